@@ -88,6 +88,7 @@ public function leaderboard()
                 $rank = ($paginator->currentPage() - 1) * $paginator->perPage() + $index + 1;
                 return [
                     'rank' => $rank,
+                    'id' => $user['id'],
                     'name' => $user['name'],
                     'level' => $user['level'],
                     'experience_points' => $user['experience_points'],
@@ -32,6 +32,7 @@ public function index(Request $request): JsonResponse
                 's.id as stock_id',
                 's.symbol as stock_symbol',
                 's.name as stock_name',
+                's.category as stock_category',
                 'p.quantity',
                 'p.average_price',
                 's.current_price',
@@ -100,6 +101,7 @@ private function handleTrade(TradeStockRequest $request, string $method): JsonRe
             'message' => $result['message'],
             'data'    => [
                 'new_balance' => $user->fresh()->balance,
+                'price'       => $result['data']['price'] ?? null,
                 'xp_earned'   => $result['data']['xp_earned'] ?? null,
             ],
         ]);
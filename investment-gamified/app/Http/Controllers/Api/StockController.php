@@ -9,6 +9,7 @@
 use App\Models\StockHistory;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Http\Request;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class StockController extends Controller
 {
@@ -19,6 +20,7 @@ public function index(Request $request): JsonResponse
             'per_page' => 'integer|min:1|max:50',
             'category' => 'string|nullable',
             'search' => 'string|nullable|min:2|max:50',
+            'sort' => 'string|nullable|in:price,-price,change,-change',
         ]);
 
         $page = $request->query('page', 1);
@@ -39,6 +41,13 @@ public function index(Request $request): JsonResponse
             });
         }
 
+        if ($request->filled('sort')) {
+            // "-" prefix sorts descending; id keeps page boundaries stable on ties
+            $sort = $request->query('sort');
+            $column = ltrim($sort, '-') === 'price' ? 'current_price' : 'change_percentage';
+            $query->orderBy($column, str_starts_with($sort, '-') ? 'desc' : 'asc')->orderBy('id');
+        }
+
         $stocks = $query->select('symbol', 'name', 'current_price', 'change_percentage', 'category', 'description', 'kid_friendly_description')
             ->paginate($perPage, ['*'], 'page', $page);
 
@@ -49,6 +58,51 @@ public function index(Request $request): JsonResponse
         ]);
     }
 
+    /**
+     * Stream current prices as Server-Sent Events.
+     *
+     * Emits a `prices` event every `game.price_stream.interval` seconds and
+     * closes after `game.price_stream.duration`; EventSource reconnects on
+     * its own, which keeps each worker's lifetime bounded.
+     */
+    public function stream(): StreamedResponse
+    {
+        abort_unless(config('game.price_stream.enabled'), 404);
+
+        $interval = max(1, (int) config('game.price_stream.interval', 3));
+        $duration = max(0, (int) config('game.price_stream.duration', 30));
+
+        return response()->stream(function () use ($interval, $duration) {
+            $deadline = time() + $duration;
+
+            echo "retry: " . ($interval * 1000) . "\n\n";
+
+            while (true) {
+                $prices = Stock::query()
+                    ->select('symbol', 'current_price', 'change_percentage')
+                    ->get();
+
+                echo "event: prices\n";
+                echo 'data: ' . $prices->toJson() . "\n\n";
+
+                if (ob_get_level() > 0) {
+                    ob_flush();
+                }
+                flush();
+
+                if (connection_aborted() || time() + $interval > $deadline) {
+                    break;
+                }
+
+                sleep($interval);
+            }
+        }, 200, [
+            'Content-Type'      => 'text/event-stream',
+            'Cache-Control'     => 'no-cache',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
     public function show(string $symbol): JsonResponse
     {
         $stock = Stock::where('symbol', $symbol)->firstOrFail();
@@ -67,7 +121,7 @@ public function history(string $symbol, Request $request): JsonResponse
         $history = StockHistory::where('stock_id', $stock->id)
             ->where('date', '>=', now()->subDays($days))
             ->orderBy('date', 'asc')
-            ->get(['date', 'close_price']);
+            ->get(['date', 'high_price', 'low_price', 'close_price']);
 
         return response()->json([
             'success' => true,
@@ -96,7 +96,7 @@ public function buyStock(User $user, string $stockSymbol, int $quantity): array
                     $this->createAuditAndCheckpoint($user, $stock, $portfolio, 'buy', $quantity, (float) $stock->current_price, (float) $totalCost);
                     $this->flushLeaderboardCache();
 
-                    return ['success' => true, 'message' => 'Stock purchased successfully', 'data' => ['xp_earned' => $xp]];
+                    return ['success' => true, 'message' => 'Stock purchased successfully', 'data' => ['price' => (float) $stock->current_price, 'xp_earned' => $xp]];
                 });
 
                 return $result;
@@ -183,7 +183,7 @@ public function sellStock(User $user, string $stockSymbol, int $quantity): array
                     $this->createAuditAndCheckpoint($user, $stock, $portfolio, 'sell', $quantity, (float) $stock->current_price, (float) $totalRevenue);
                     $this->flushLeaderboardCache();
 
-                    return ['success' => true, 'message' => 'Stock sold successfully', 'data' => ['proceeds' => $totalRevenue, 'xp_earned' => $xp]];
+                    return ['success' => true, 'message' => 'Stock sold successfully', 'data' => ['price' => (float) $stock->current_price, 'proceeds' => $totalRevenue, 'xp_earned' => $xp]];
                 });
 
                 return $result;
@@ -8,4 +8,23 @@
         'sell_reward'        => env('XP_SELL_REWARD', 15),
         'level_up_base'      => env('LEVEL_BASE_XP', 1000),
     ],
+
+    // Server-Sent Events price feed (GET /api/stocks/stream). Each connection
+    // holds a PHP worker for `duration` seconds, so keep it off on servers
+    // with a small worker pool (e.g. `php artisan serve`).
+    'price_stream' => [
+        'enabled'  => env('GAME_PRICE_STREAM', false),
+        'interval' => env('GAME_PRICE_STREAM_INTERVAL', 3),
+        'duration' => env('GAME_PRICE_STREAM_DURATION', 30),
+    ],
+
+    // Display currencies. API amounts are always US dollars; the client
+    // converts them with these rates (units per US dollar) when a user
+    // chooses to see ZiG.
+    'currency' => [
+        'default' => env('GAME_DISPLAY_CURRENCY', 'USD'),
+        'rates'   => [
+            'ZWG' => (float) env('GAME_ZWG_RATE', 26.8),
+        ],
+    ],
 ];
@@ -1,74 +1,190 @@
-// Initialize API
-const api = new InvestmentApi(document.querySelector('meta[name="app-url"]').content + '/api');
-let currentStock = null;
+// Initialize API (in-browser mock backend with ?demo=1)
+const api = new InvestmentApi(document.querySelector('meta[name="app-url"]').content + '/api', MockBackend.apiOptions());
+const { html, on, render } = Html;
+const { t, money } = I18n;
+I18n.init();
+const journal = new ActivityJournal(api);
+const connection = new OfflineStatus(api, {
+    serviceWorkerUrl: document.querySelector('meta[name="app-url"]').content + '/sw.js',
+    probe: () => currentBalance()
+});
+let cashBalance = null;
 const root = document.documentElement;
 
-// Toggle senior mode: enlarge text and touch targets
-const seniorToggle = document.getElementById('senior-toggle');
-seniorToggle.addEventListener('change', (e) => {
-    if (e.target.checked) {
-        root.style.setProperty('--base-font', '20px');
-        root.style.setProperty('--min-touch', '56px');
-        announce('Senior mode enabled');
-    } else {
-        root.style.setProperty('--base-font', '18px');
-        root.style.setProperty('--min-touch', '48px');
-        announce('Senior mode disabled');
+// Token revoked or expired: send the user back to sign in
+api.addEventListener('auth-expired', () => logout());
+
+// Other tabs: signing out (or in as someone else) there applies here too,
+// and their trades change the balance shown here. Senior mode doesn't
+// poll, so it never leads.
+const tabs = new TabSync(api, { lead: false });
+tabs.addEventListener('logout', () => logout());
+tabs.addEventListener('token', () => window.location.reload());
+tabs.addEventListener('message', ({ detail: { type } }) => {
+    if (type === 'trade') {
+        loadUserData();
+        loadActivities();
     }
 });
-
-// Wizard controls
-let curStep = 1;
-const totalSteps = 3;
-const showStep = (n) => {
-    document.querySelectorAll('.step').forEach(s => s.classList.remove('active'));
-    const el = document.querySelector('[data-step="' + n + '"]');
-    if (el) el.classList.add('active');
-    // back button visibility
-    document.getElementById('btn-back').style.display = (n > 1) ? 'inline-flex' : 'none';
-    // change button text
-    document.getElementById('btn-next').textContent = (n === totalSteps) ? 'Confirm Investment' : 'Continue';
+tabs.start();
+
+// Display preferences (large text, high contrast, read aloud), remembered between visits
+const PREFERENCES_KEY = 'seniorPreferences';
+const preferences = {
+    largeText: true,
+    highContrast: false,
+    readAloud: false,
+    speechRate: 1,
+    voiceURI: '',
+    ...loadPreferences()
 };
+const reader = new ReadAloud();
+const notifier = new Notifier({ variant: 'senior', labels: notifierLabels() });
 
-document.getElementById('btn-next').addEventListener('click', async () => {
-    if (curStep < totalSteps) {
-        curStep++;
-        showStep(curStep);
+// Button text for toasts and dialogs in the current language
+function notifierLabels() {
+    return { dismiss: t('common.dismiss'), ok: t('common.ok'), confirm: t('common.confirm'), cancel: t('common.cancel') };
+}
 
-        // Load stocks when entering step 2
-        if (curStep === 2) {
-            await loadStocksForWizard();
-        }
-    } else {
-        // confirm
-        await confirmInvestment();
+function loadPreferences() {
+    try {
+        return JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+    } catch (error) {
+        return {};
     }
+}
+
+function applyPreferences() {
+    root.style.setProperty('--base-font', preferences.largeText ? '20px' : '18px');
+    root.style.setProperty('--min-touch', preferences.largeText ? '56px' : '48px');
+    root.classList.toggle('high-contrast', preferences.highContrast);
+
+    document.getElementById('senior-toggle').checked = preferences.largeText;
+    document.getElementById('senior-toggle-state').textContent = t(preferences.largeText ? 'common.on' : 'common.off');
+    document.getElementById('contrast-toggle').checked = preferences.highContrast;
+    document.getElementById('contrast-toggle-state').textContent = t(preferences.highContrast ? 'common.on' : 'common.off');
+
+    reader.setEnabled(preferences.readAloud);
+    reader.setRate(preferences.speechRate);
+    reader.setVoice(preferences.voiceURI);
+    document.getElementById('read-aloud-pref').classList.toggle('hidden', !reader.supported);
+    document.getElementById('read-aloud-settings').classList.toggle('hidden', !reader.supported || !preferences.readAloud);
+    document.getElementById('read-aloud-toggle').checked = preferences.readAloud;
+    document.getElementById('read-aloud-toggle-state').textContent = t(preferences.readAloud ? 'common.on' : 'common.off');
+    document.getElementById('speech-rate').value = String(preferences.speechRate);
+    document.getElementById('speech-voice').value = preferences.voiceURI;
+}
+
+function setPreference(name, value) {
+    preferences[name] = value;
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    applyPreferences();
+}
+
+// Fill the voice picker; browsers load their voices asynchronously
+function renderVoiceOptions() {
+    render(document.getElementById('speech-voice'), html`
+        <option value="">${t('senior.defaultVoice')}</option>
+        ${reader.voices().map(voice => html`<option value="${voice.voiceURI}">${voice.name} (${voice.lang})</option>`)}
+    `);
+    document.getElementById('speech-voice').value = preferences.voiceURI;
+}
+
+renderVoiceOptions();
+reader.onVoicesChanged(renderVoiceOptions);
+applyPreferences();
+
+// Toggle senior mode: enlarge text and touch targets
+document.getElementById('senior-toggle').addEventListener('change', (e) => {
+    setPreference('largeText', e.target.checked);
+    announce(t(e.target.checked ? 'senior.largeTextOn' : 'senior.largeTextOff'));
+});
+
+document.getElementById('contrast-toggle').addEventListener('change', (e) => {
+    setPreference('highContrast', e.target.checked);
+    announce(t(e.target.checked ? 'senior.highContrastOn' : 'senior.highContrastOff'));
+});
+
+document.getElementById('read-aloud-toggle').addEventListener('change', (e) => {
+    setPreference('readAloud', e.target.checked);
+    announce(t(e.target.checked ? 'senior.readAloudOn' : 'senior.readAloudOff'));
+    if (e.target.checked) speakBalance();
+});
+
+document.getElementById('speech-rate').addEventListener('change', (e) => {
+    setPreference('speechRate', parseFloat(e.target.value));
+    reader.repeat();
 });
 
-document.getElementById('btn-back').addEventListener('click', () => {
-    if (curStep > 1) { curStep--; showStep(curStep) }
+document.getElementById('speech-voice').addEventListener('change', (e) => {
+    setPreference('voiceURI', e.target.value);
+    reader.repeat();
 });
 
+document.getElementById('speech-repeat').addEventListener('click', () => reader.repeat());
+
+// Language and display currency
+const localeSelect = document.getElementById('localeSelect');
+const currencySelect = document.getElementById('currencySelect');
+localeSelect.value = I18n.locale;
+currencySelect.value = I18n.currency;
+reader.setLang(I18n.LOCALES[I18n.locale].tag);
+localeSelect.addEventListener('change', () => I18n.setLocale(localeSelect.value));
+currencySelect.addEventListener('change', () => I18n.setCurrency(currencySelect.value));
+
+// Redraw text that was built in script rather than marked up with data-i18n
+I18n.onChange(() => {
+    localeSelect.value = I18n.locale;
+    currencySelect.value = I18n.currency;
+    reader.setLang(I18n.LOCALES[I18n.locale].tag);
+    notifier.setLabels(notifierLabels());
+    applyPreferences();
+    renderVoiceOptions();
+    renderOfflineBanner();
+
+    if (cashBalance !== null) {
+        document.getElementById('userBalance').textContent = money(cashBalance);
+    }
+    loadActivities();
+
+    const { button } = INVEST_STEPS[investment.step];
+    document.getElementById('btn-next').textContent = button ? t(button) : '';
+    if (investment.step === 'stock') loadStocksForWizard();
+    if (!document.getElementById('withdraw-area').classList.contains('hidden')) {
+        showWithdrawStep(withdrawal.step);
+    }
+});
+
+// Investment wizard: an explicit state machine over the steps below.
+// Each step validates its input before moving on and nothing is bought
+// until the review step is confirmed. Progress is kept in sessionStorage
+// so a reload picks up where the user left off.
+const INVEST_STEPS = {
+    amount: { back: null, button: 'common.continue' },
+    stock: { back: 'amount', button: 'common.continue' },
+    review: { back: 'stock', button: 'senior.invest.confirm' },
+    done: { back: null, button: null }
+};
+const INVEST_STORAGE_KEY = 'seniorInvestWizard';
+const investment = { step: 'amount', amount: null, stock: null, plan: null, busy: false };
+
 // chips quick set
-document.querySelectorAll('.chip').forEach(c => c.addEventListener('click', (ev) => {
+document.querySelectorAll('#wizard-area .chip').forEach(c => c.addEventListener('click', (ev) => {
     document.getElementById('amount').value = ev.target.dataset.value;
+    hideStepError('amount-error');
 }));
 
 // main tiles actions
 document.querySelectorAll('.tile').forEach(t => t.addEventListener('click', () => {
     const act = t.dataset.action;
     if (act === 'put-in') {
-        // open wizard at step 1
-        document.getElementById('wizard-area').classList.remove('hidden');
-        curStep = 1;
-        showStep(curStep);
+        closeWithdrawWizard();
+        openInvestWizard();
         t.setAttribute('aria-pressed', 'true');
-        window.scrollTo({ top: document.getElementById('wizard-area').offsetTop - 20, behavior: 'smooth' });
     } else if (act === 'take-out') {
-        // simple withdraw confirmation flow (placeholder)
-        if (confirm('Are you sure you want to withdraw money? This feature is coming soon.')) {
-            alert('Withdrawal requested. We will process it shortly.');
-        }
+        closeInvestWizard();
+        openWithdrawWizard();
+        t.setAttribute('aria-pressed', 'true');
     }
 }));
 
@@ -79,14 +195,20 @@ document.querySelectorAll('.nav-item').forEach(n => n.addEventListener('click',
         return;
     }
 
-    document.querySelectorAll('.nav-item').forEach(x => x.classList.remove('active'));
-    n.classList.add('active');
-    announce(n.textContent + ' tab');
+    document.querySelectorAll('.nav-item').forEach(x => {
+        x.classList.toggle('active', x === n);
+        if (x === n) {
+            x.setAttribute('aria-current', 'page');
+        } else {
+            x.removeAttribute('aria-current');
+        }
+    });
+    announce(t('senior.tabAnnouncement', { tab: n.textContent }));
 
     if (n.dataset.tab === 'help') {
-        document.querySelector('[aria-label="Help"]').scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('help-section').scrollIntoView({ behavior: 'smooth' });
     } else if (n.dataset.tab === 'activities') {
-        document.querySelector('[aria-label="Activities"]').scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('activities-section').scrollIntoView({ behavior: 'smooth' });
     } else {
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
@@ -94,11 +216,11 @@ document.querySelectorAll('.nav-item').forEach(n => n.addEventListener('click',
 
 // help buttons
 document.getElementById('call-support').addEventListener('click', () => {
-    alert('Support: +1-800-INVEST\n\nThis is a demo. In production, this would initiate a phone call.');
+    notifier.alert({ title: t('senior.callSupport'), message: t('senior.callSupportDemo') });
 });
 
 document.getElementById('chat-support').addEventListener('click', () => {
-    alert('Opening chat support...\n\nThis is a demo. In production, this would open a live chat window.');
+    notifier.alert({ title: t('senior.chatSupport'), message: t('senior.chatSupportDemo') });
 });
 
 // Load user data
@@ -111,169 +233,737 @@ async function loadUserData() {
     const data = await api.getSummary();
 
     if (data.success) {
-        document.getElementById('userBalance').textContent = '$' + parseFloat(data.data.balance).toFixed(2);
+        cashBalance = parseFloat(data.data.balance);
+        document.getElementById('userBalance').textContent = money(cashBalance);
+        speakBalance({ queue: true });
     } else {
         // console.error('Failed to load user data:', data.message);
     }
 }
 
+function openInvestWizard() {
+    const area = document.getElementById('wizard-area');
+
+    // Already part-way through: just bring it back into view
+    if (area.classList.contains('hidden') || investment.step === 'done') {
+        Object.assign(investment, { amount: null, stock: null, plan: null });
+        hideStepError('amount-error');
+        area.classList.remove('hidden');
+        showInvestStep('amount');
+    }
+    window.scrollTo({ top: area.offsetTop - 20, behavior: 'smooth' });
+}
+
+function closeInvestWizard() {
+    document.getElementById('wizard-area').classList.add('hidden');
+    sessionStorage.removeItem(INVEST_STORAGE_KEY);
+}
+
+function showInvestStep(step) {
+    const { back, button } = INVEST_STEPS[step];
+    investment.step = step;
+
+    document.querySelectorAll('#wizard-area .step').forEach(s => {
+        s.classList.toggle('active', s.dataset.step === step);
+    });
+    focusStepHeading(document.querySelector(`#wizard-area [data-step="${step}"]`));
+    document.getElementById('invest-actions').style.display = button ? 'flex' : 'none';
+    document.getElementById('btn-back').style.display = back ? 'inline-flex' : 'none';
+    document.getElementById('btn-next').textContent = button ? t(button) : '';
+    updateTradeLock();
+
+    saveInvestState();
+}
+
+function saveInvestState() {
+    if (investment.step === 'done') {
+        sessionStorage.removeItem(INVEST_STORAGE_KEY);
+        return;
+    }
+    sessionStorage.setItem(INVEST_STORAGE_KEY, JSON.stringify({
+        step: investment.step,
+        amount: investment.amount,
+        symbol: investment.stock ? investment.stock.symbol : null
+    }));
+}
+
+function showStepError(id, message) {
+    const el = document.getElementById(id);
+    el.textContent = message;
+    el.classList.remove('hidden');
+    announce(message, { assertive: true });
+}
+
+function hideStepError(id) {
+    document.getElementById(id).classList.add('hidden');
+}
+
+function setInvestBusy(busy) {
+    investment.busy = busy;
+    ['btn-back', 'btn-cancel'].forEach(id => {
+        document.getElementById(id).disabled = busy;
+    });
+    updateTradeLock();
+}
+
+// The invest and take-out wizards work in US dollars whatever the display
+// currency: amounts are typed in dollars, so the prices, limits and totals
+// they're checked against are shown in dollars too
+function dollars(usd) {
+    return money(usd, { currency: 'USD' });
+}
+
+/**
+ * Check the typed amount; returns the amount in dollars or an error message
+ */
+function validateInvestAmount(amountText) {
+    const amount = Math.round(parseFloat(amountText) * 100) / 100;
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: t('senior.invest.amountMissing') };
+    }
+    if (amount < 1) {
+        return { error: t('senior.invest.amountTooSmall', { minimum: dollars(1) }) };
+    }
+    if (cashBalance !== null && amount > cashBalance) {
+        return { error: t('senior.invest.amountTooLarge', { balance: dollars(cashBalance) }) };
+    }
+    return { amount };
+}
+
+/**
+ * Whole shares `amount` buys at the stock's current price, and the cash left after
+ */
+function planInvestment(amount, stock, balance) {
+    const price = parseFloat(stock.current_price);
+    const shares = wholeShares(amount, price);
+    const cost = shares * price;
+
+    if (shares < 1) {
+        return { error: t('senior.invest.shareTooExpensive', { symbol: stock.symbol, price: dollars(price) }) };
+    }
+    if (balance !== null && cost > balance) {
+        return { error: t('senior.invest.notEnoughCash', { balance: dollars(balance), count: shares, symbol: stock.symbol }) };
+    }
+    return { shares, price, cost, remaining: balance !== null ? balance - cost : null };
+}
+
+async function investNext() {
+    if (investment.busy) return;
+
+    if (investment.step === 'amount') {
+        const result = validateInvestAmount(document.getElementById('amount').value);
+        if (result.error) {
+            showStepError('amount-error', result.error);
+            return;
+        }
+
+        investment.amount = result.amount;
+        hideStepError('amount-error');
+        hideStepError('stock-error');
+        showInvestStep('stock');
+        await loadStocksForWizard();
+    } else if (investment.step === 'stock') {
+        if (!investment.stock) {
+            showStepError('stock-error', t('senior.invest.chooseStock'));
+            return;
+        }
+        await reviewInvestment();
+    } else if (investment.step === 'review' && connection.online) {
+        await submitInvestment();
+    }
+}
+
+function investBack() {
+    if (investment.busy) return;
+
+    const { back } = INVEST_STEPS[investment.step];
+    if (!back) return;
+
+    hideStepError('invest-error');
+    showInvestStep(back);
+    if (back === 'stock') loadStocksForWizard();
+}
+
+// Re-quote the chosen stock so the review shows the price the trade will use
+async function reviewInvestment() {
+    setInvestBusy(true);
+    const [quote, balance] = await Promise.all([api.getStock(investment.stock.symbol), currentBalance()]);
+    setInvestBusy(false);
+
+    if (!quote.success) {
+        showStepError('stock-error', t('senior.invest.quoteFailed'));
+        return;
+    }
+
+    investment.stock = quote.data;
+    if (balance !== null) cashBalance = balance;
+
+    const plan = planInvestment(investment.amount, investment.stock, cashBalance);
+    if (plan.error) {
+        showStepError('stock-error', plan.error);
+        return;
+    }
+
+    investment.plan = plan;
+    hideStepError('stock-error');
+    hideStepError('invest-error');
+    render(document.getElementById('confirm-summary'), html`
+        ${emphasise('senior.invest.summary', {
+            count: plan.shares,
+            stock: `${investment.stock.name} (${investment.stock.symbol})`,
+            price: dollars(plan.price),
+            total: dollars(plan.cost)
+        })}
+        ${plan.cost < investment.amount ? t('senior.invest.roundedDown', { amount: dollars(investment.amount) }) : ''}
+        ${plan.remaining !== null ? emphasise('senior.invest.cashLeft', { balance: dollars(plan.remaining) }) : ''}
+    `);
+    showInvestStep('review');
+    reader.speak(document.getElementById('confirm-summary').textContent.replace(/\s+/g, ' ').trim()
+        + ' ' + t('senior.invest.speakConfirm'));
+}
+
+async function submitInvestment() {
+    const { stock, plan } = investment;
+
+    setInvestBusy(true);
+    const data = await api.buyStock(stock.symbol, plan.shares);
+    setInvestBusy(false);
+
+    if (!data.success) {
+        showStepError('invest-error', data.message || t('senior.invest.failed'));
+        return;
+    }
+
+    const price = data.data.price ?? plan.price;
+    document.getElementById('invest-result').textContent = t('senior.invest.result', {
+        amount: dollars(plan.shares * price),
+        symbol: stock.symbol,
+        count: plan.shares,
+        balance: dollars(data.data.new_balance)
+    });
+    showInvestStep('done');
+    announce(document.getElementById('invest-result').textContent);
+    reader.speak(document.getElementById('invest-result').textContent);
+    await loadUserData();
+    await api.getAchievements(); // Lets the journal pick up newly unlocked badges
+    tabs.post('trade');
+}
+
+// Pick up a wizard left part-way through before a reload
+async function restoreInvestWizard() {
+    let saved;
+    try {
+        saved = JSON.parse(sessionStorage.getItem(INVEST_STORAGE_KEY));
+    } catch (error) {
+        saved = null;
+    }
+    if (!saved || !INVEST_STEPS[saved.step] || saved.step === 'done') return;
+
+    document.getElementById('wizard-area').classList.remove('hidden');
+    if (saved.amount) document.getElementById('amount').value = saved.amount;
+
+    const amount = validateInvestAmount(saved.amount);
+    if (saved.step === 'amount' || amount.error) {
+        showInvestStep('amount');
+        return;
+    }
+
+    investment.amount = amount.amount;
+    if (saved.symbol) {
+        const quote = await api.getStock(saved.symbol);
+        investment.stock = quote.success ? quote.data : null;
+    }
+
+    showInvestStep('stock');
+    await loadStocksForWizard();
+    if (saved.step === 'review' && investment.stock) {
+        await reviewInvestment();
+    }
+}
+
+function speakBalance(options) {
+    if (cashBalance !== null) {
+        reader.speak(t('senior.speakBalance', { balance: money(cashBalance) }), options);
+    }
+}
+
 // Load stocks for wizard
 async function loadStocksForWizard() {
     const data = await api.getStocks();
 
     if (!data.success) {
-        // console.error('Failed to load stocks:', data.message);
+        showStepError('stock-error', t('senior.invest.stocksFailed'));
         return;
     }
 
     const stockList = document.getElementById('stock-list-wizard');
-    stockList.innerHTML = data.data.map(stock => `
-    <div class="row" role="button" tabindex="0" data-stock='${JSON.stringify(stock)}'>
+    render(stockList, data.data.map(stock => html`
+    <div class="row ${investment.stock && investment.stock.symbol === stock.symbol ? 'selected' : ''}" role="button" tabindex="-1"
+         aria-pressed="${Boolean(investment.stock && investment.stock.symbol === stock.symbol)}"
+         ${on({ click: (ev) => selectWizardStock(stock, ev.currentTarget), focus: () => speakStock(stock) })}>
       <div style="flex:1">
         <div class="meta">${stock.symbol} - ${stock.name}</div>
-        <div class="sub">$${stock.current_price} per share</div>
+        <div class="sub">${t('senior.invest.stockRow', {
+            price: dollars(stock.current_price),
+            count: wholeShares(investment.amount, parseFloat(stock.current_price)),
+            amount: dollars(investment.amount)
+        })}</div>
       </div>
       <div style="font-weight:700;color:${stock.change_percentage >= 0 ? 'green' : 'red'}">
-        ${stock.change_percentage >= 0 ? '+' : ''}${stock.change_percentage}%
+        ${I18n.percent(stock.change_percentage)}
       </div>
     </div>
-  `).join('');
-
-    // Add click handlers
-    document.querySelectorAll('#stock-list-wizard .row').forEach(r => {
-        r.addEventListener('click', (ev) => {
-            currentStock = JSON.parse(r.dataset.stock);
-            // visually indicate selection
-            document.querySelectorAll('#stock-list-wizard .row').forEach(x => x.style.outline = 'none');
-            r.style.outline = '3px solid rgba(11,109,58,0.12)';
-            announce(currentStock.symbol + ' selected');
-        });
-    });
+  `));
+    updateRovingFocus(stockList);
+}
+
+function speakStock(stock) {
+    const change = parseFloat(stock.change_percentage);
+    const movement = change === 0
+        ? t('senior.speakUnchanged')
+        : t(change > 0 ? 'senior.speakUp' : 'senior.speakDown', { change: I18n.percent(Math.abs(change), { signed: false }) });
+    reader.speak(t('senior.speakStock', { name: stock.name, price: dollars(stock.current_price), movement }));
 }
 
-// Confirm investment
-async function confirmInvestment() {
-    if (!currentStock) {
-        alert('Please select a stock first');
-        curStep = 2;
-        showStep(curStep);
+function selectWizardStock(stock, row) {
+    investment.stock = stock;
+    markSelectedRow(row);
+    hideStepError('stock-error');
+    saveInvestState();
+    announce(t('senior.selected', { name: stock.symbol }));
+}
+
+document.getElementById('btn-next').addEventListener('click', investNext);
+document.getElementById('btn-back').addEventListener('click', investBack);
+document.getElementById('btn-cancel').addEventListener('click', () => {
+    if (investment.busy) return;
+    closeInvestWizard();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+});
+document.getElementById('amount').addEventListener('input', () => hideStepError('amount-error'));
+document.getElementById('invest-again').addEventListener('click', () => {
+    const amount = investment.amount;
+    Object.assign(investment, { stock: null, plan: null });
+    document.getElementById('amount').value = amount;
+    showInvestStep('amount');
+});
+document.getElementById('invest-done').addEventListener('click', () => {
+    closeInvestWizard();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+});
+
+// Withdrawal wizard: pick a holding, choose dollars, review, then sell whole shares
+const withdrawal = { step: 1, holding: null, sellAll: false, plan: null, busy: false };
+const withdrawSteps = 4;
+
+async function openWithdrawWizard() {
+    const area = document.getElementById('withdraw-area');
+    Object.assign(withdrawal, { holding: null, sellAll: false, plan: null });
+    document.getElementById('withdraw-amount').value = '';
+    hideStepError('withdraw-holding-error');
+    area.classList.remove('hidden');
+    showWithdrawStep(1);
+    window.scrollTo({ top: area.offsetTop - 20, behavior: 'smooth' });
+
+    const holdingsList = document.getElementById('withdraw-holdings');
+    render(holdingsList, html`<p>${t('senior.withdraw.loading')}</p>`);
+
+    let holdings;
+    try {
+        holdings = await api.fetchAll('portfolio');
+    } catch (error) {
+        render(holdingsList, html`<p class="error">${t('senior.withdraw.loadFailed')}</p>`);
         return;
     }
 
-    const amount = parseInt(document.getElementById('amount').value);
-    const quantity = Math.floor(amount / currentStock.current_price);
-
-    if (quantity < 1) {
-        alert('Amount too small. Please increase the amount.');
+    if (holdings.length === 0) {
+        render(holdingsList, html`<p>${t('senior.withdraw.empty')}</p>`);
+        document.getElementById('withdraw-next').style.display = 'none';
         return;
     }
 
-    // Update summary
-    document.getElementById('confirm-summary').innerHTML =
-        `You are investing <strong>$${amount}</strong> into <strong>${currentStock.symbol}</strong> (${quantity} shares at $${currentStock.current_price} each).`;
+    render(holdingsList, holdings.map(holding => html`
+    <div class="row" role="button" tabindex="-1" aria-pressed="false" ${on('click', (ev) => selectWithdrawHolding(holding, ev.currentTarget))}>
+      <div style="flex:1">
+        <div class="meta">${holding.stock_symbol} - ${holding.stock_name}</div>
+        <div class="sub">${t('senior.withdraw.holdingRow', { count: parseInt(holding.quantity), price: dollars(holding.current_price) })}</div>
+      </div>
+      <div style="font-weight:700">${dollars(holding.total_value)}</div>
+    </div>
+  `));
+    updateRovingFocus(holdingsList);
+}
 
-    const data = await api.buyStock(currentStock.symbol, quantity);
+function closeWithdrawWizard() {
+    document.getElementById('withdraw-area').classList.add('hidden');
+}
 
-    if (data.success) {
-        showSuccess(amount, currentStock.symbol, quantity);
-        await loadUserData();
+function selectWithdrawHolding(holding, row) {
+    withdrawal.holding = holding;
+    markSelectedRow(row);
+    hideStepError('withdraw-holding-error');
+    announce(t('senior.selected', { name: holding.stock_symbol }));
+}
+
+function showWithdrawStep(n) {
+    withdrawal.step = n;
+    document.querySelectorAll('#withdraw-area .step').forEach(s => {
+        s.classList.toggle('active', s.dataset.withdrawStep === String(n));
+    });
+    focusStepHeading(document.querySelector(`#withdraw-area [data-withdraw-step="${n}"]`));
+
+    const next = document.getElementById('withdraw-next');
+    next.style.display = 'inline-flex';
+    next.textContent = t(n === 3 ? 'senior.takeOut' : (n === withdrawSteps ? 'common.done' : 'common.continue'));
+    document.getElementById('withdraw-back').style.display = (n > 1 && n < withdrawSteps) ? 'inline-flex' : 'none';
+    document.getElementById('withdraw-cancel').style.display = n < withdrawSteps ? 'inline-flex' : 'none';
+    updateTradeLock();
+}
+
+// Whole shares `amount` dollars buys at `price`. Works in cents so e.g.
+// $0.30 / $0.10 doesn't round down to 2
+function wholeShares(amount, price) {
+    const amountCents = Math.round(amount * 100);
+    const priceCents = Math.round(price * 100);
+    return priceCents > 0 ? Math.floor(amountCents / priceCents) : 0;
+}
+
+/**
+ * Turn a dollar amount into a whole number of shares to sell, with a
+ * plain-language explanation of any rounding
+ */
+function planWithdrawal(holding, amountText, sellAll) {
+    const price = parseFloat(holding.current_price);
+    const held = parseInt(holding.quantity);
+
+    if (sellAll) {
+        return {
+            shares: held,
+            proceeds: held * price,
+            explanation: t('senior.withdraw.sellingAll', { count: held })
+        };
+    }
+
+    const amount = Math.round(parseFloat(amountText) * 100) / 100;
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: t('senior.withdraw.amountMissing') };
+    }
+    if (amount < price) {
+        return { error: t('senior.withdraw.amountTooSmall', { symbol: holding.stock_symbol, price: dollars(price) }) };
+    }
+
+    // In cents, so $0.30 at $0.10 is exactly 3 shares
+    const exactShares = Math.round(amount * 100) / Math.round(price * 100);
+    const shares = Math.min(wholeShares(amount, price), held);
+    const proceeds = shares * price;
+
+    let explanation;
+    if (shares === held && exactShares > held) {
+        explanation = t('senior.withdraw.onlyHave', { count: held, value: dollars(proceeds) });
+    } else if (shares === exactShares) {
+        explanation = t('senior.withdraw.exact', { amount: dollars(amount), count: shares });
     } else {
-        alert(data.message || 'Investment failed. Please try again.');
+        explanation = t('senior.withdraw.rounded', {
+            amount: dollars(amount),
+            exact: I18n.number(exactShares, { maximumFractionDigits: 2 }),
+            count: shares,
+            proceeds: dollars(proceeds)
+        });
     }
+
+    return { shares, proceeds, explanation };
 }
 
-function showSuccess(amount, symbol, quantity) {
-    const area = document.getElementById('wizard-area');
-    area.innerHTML = `
-    <div class="card">
-      <h2>Success! 🎉</h2>
-      <p style="font-size:18px">You invested <strong>$${amount}</strong> into <strong>${symbol}</strong> (${quantity} shares).</p>
-      <p style="color:var(--muted)">Your investment is protected & trackable.</p>
-      <div style="margin-top:12px">
-        <button class="btn btn-primary" id="done">Done</button>
-      </div>
-    </div>
-  `;
-    document.getElementById('done').addEventListener('click', () => {
+function updateWithdrawPlan() {
+    const plan = planWithdrawal(withdrawal.holding, document.getElementById('withdraw-amount').value, withdrawal.sellAll);
+    const error = document.getElementById('withdraw-error');
+
+    document.getElementById('withdraw-rounding').textContent = plan.error ? '' : plan.explanation;
+    error.textContent = plan.error || '';
+    error.classList.toggle('hidden', !plan.error);
+    return plan;
+}
+
+async function withdrawNext() {
+    const { step, holding } = withdrawal;
+
+    if (step === 1) {
+        if (!holding) {
+            showStepError('withdraw-holding-error', t('senior.withdraw.chooseHolding'));
+            return;
+        }
+        document.getElementById('withdraw-holding-summary').textContent = t('senior.withdraw.holdingSummary', {
+            stock: `${holding.stock_name} (${holding.stock_symbol})`,
+            value: dollars(holding.total_value)
+        });
+        document.getElementById('withdraw-amount').value = '';
+        document.getElementById('withdraw-error').classList.add('hidden');
+        document.getElementById('withdraw-rounding').textContent = '';
+        withdrawal.sellAll = false;
+        showWithdrawStep(2);
+        document.getElementById('withdraw-amount').focus();
+    } else if (step === 2) {
+        const plan = updateWithdrawPlan();
+        if (plan.error) {
+            announce(plan.error, { assertive: true });
+            return;
+        }
+
+        withdrawal.plan = plan;
+        const balance = await currentBalance();
+        render(document.getElementById('withdraw-summary'), html`
+            ${emphasise('senior.withdraw.summary', {
+                amount: dollars(plan.proceeds),
+                count: plan.shares,
+                stock: `${holding.stock_name} (${holding.stock_symbol})`,
+                price: dollars(holding.current_price)
+            })}
+            ${balance !== null ? emphasise('senior.withdraw.balanceChange', { from: dollars(balance), to: dollars(balance + plan.proceeds) }) : ''}
+            ${t('senior.withdraw.priceMayMove')}
+        `);
+        showWithdrawStep(3);
+        reader.speak(document.getElementById('withdraw-summary').textContent.replace(/\s+/g, ' ').trim()
+            + ' ' + t('senior.withdraw.speakConfirm'));
+    } else if (step === 3) {
+        if (withdrawal.busy || !connection.online) return;
+
+        setWithdrawBusy(true);
+        const data = await api.sellStock(holding.stock_symbol, withdrawal.plan.shares);
+        setWithdrawBusy(false);
+
+        if (!data.success) {
+            notifier.error(data.message || t('senior.withdraw.failed'));
+            return;
+        }
+
+        document.getElementById('withdraw-result').textContent = t('senior.withdraw.result', {
+            count: withdrawal.plan.shares,
+            symbol: holding.stock_symbol,
+            balance: dollars(data.data.new_balance)
+        });
+        showWithdrawStep(4);
+        announce(document.getElementById('withdraw-result').textContent);
+        reader.speak(document.getElementById('withdraw-result').textContent);
+        await loadUserData();
+        await api.getAchievements(); // Lets the journal pick up newly unlocked badges
+        tabs.post('trade');
+    } else {
+        closeWithdrawWizard();
         window.scrollTo({ top: 0, behavior: 'smooth' });
-        area.classList.add('hidden');
-        area.innerHTML = `
-      <div id="step-1" class="step active" data-step="1">
-        <h2>Step 1 — Choose Amount</h2>
-        <p>Tap a quick amount or type your own.</p>
-        <div class="amount-input">
-          <input id="amount" class="numeric" type="number" min="1" value="100" aria-label="Amount to invest" />
-          <div class="chips" role="list">
-            <button class="chip" data-value="100">100</button>
-            <button class="chip" data-value="300">300</button>
-            <button class="chip" data-value="500">500</button>
-            <button class="chip" data-value="1000">1000</button>
-          </div>
-        </div>
-      </div>
-      <div id="step-2" class="step" data-step="2">
-        <h2>Step 2 — Choose Stock</h2>
-        <p>Pick a stock with a single tap.</p>
-        <div id="stock-list-wizard"></div>
-      </div>
-      <div id="step-3" class="step" data-step="3">
-        <h2>Step 3 — Confirm</h2>
-        <div class="card" style="padding:14px">
-          <div style="font-size:18px;font-weight:700">Summary</div>
-          <p id="confirm-summary">You are investing <strong>$100</strong> into <strong>Stock</strong>.</p>
-        </div>
-        <p style="margin-top:12px">If everything looks correct, press Confirm. You can cancel anytime.</p>
-      </div>
-      <div class="fixed-action">
-        <button class="btn btn-ghost" id="btn-back" style="display:none">Back</button>
-        <button class="btn btn-primary" id="btn-next">Continue</button>
-      </div>
-    `;
-        // Re-initialize wizard
-        initWizard();
+    }
+}
+
+// While the sale is going through, leaving the wizard would hide its result
+function setWithdrawBusy(busy) {
+    withdrawal.busy = busy;
+    ['withdraw-back', 'withdraw-cancel'].forEach(id => {
+        document.getElementById(id).disabled = busy;
     });
+    updateTradeLock();
 }
 
-function logout() {
-    api.clearToken();
-    window.location.href = document.querySelector('meta[name="app-url"]').content;
+async function currentBalance() {
+    const data = await api.getSummary();
+    return data.success ? parseFloat(data.data.balance) : null;
 }
 
-function announce(text) {
-    const live = document.querySelector('#senior-ui');
-    if (live) live.setAttribute('aria-busy', 'true');
-    setTimeout(() => { if (live) live.setAttribute('aria-busy', 'false') }, 400);
+document.getElementById('withdraw-next').addEventListener('click', withdrawNext);
+document.getElementById('withdraw-back').addEventListener('click', () => {
+    if (withdrawal.step > 1) showWithdrawStep(withdrawal.step - 1);
+});
+document.getElementById('withdraw-cancel').addEventListener('click', () => {
+    closeWithdrawWizard();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+});
+document.getElementById('withdraw-amount').addEventListener('input', () => {
+    withdrawal.sellAll = false;
+    updateWithdrawPlan();
+});
+document.getElementById('withdraw-all').addEventListener('click', () => {
+    withdrawal.sellAll = true;
+    document.getElementById('withdraw-amount').value = parseFloat(withdrawal.holding.total_value).toFixed(2);
+    updateWithdrawPlan();
+});
 
+// Offline: cached balance and lists stay on screen with their age, but
+// nothing can be bought or sold until the connection is back
+function updateTradeLock() {
+    const offline = !connection.online;
+    document.getElementById('btn-next').disabled = investment.busy || (offline && investment.step === 'review');
+    document.getElementById('withdraw-next').disabled = withdrawal.busy || (offline && withdrawal.step === 3);
 }
 
-function initWizard() {
-    // Re-attach event listeners after wizard reset
-    document.querySelectorAll('.chip').forEach(c => c.addEventListener('click', (ev) => {
-        document.getElementById('amount').value = ev.target.dataset.value;
-    }));
+function renderOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    banner.classList.toggle('hidden', connection.online);
+    if (connection.online) return;
 
-    document.getElementById('btn-next').addEventListener('click', async () => {
-        if (curStep < totalSteps) {
-            curStep++;
-            showStep(curStep);
-            if (curStep === 2) {
-                await loadStocksForWizard();
-            }
-        } else {
-            await confirmInvestment();
+    const asOf = connection.asOf;
+    banner.textContent = `${asOf ? t('offline.asOf', { time: I18n.time(asOf) }) : t('offline.noData')} ${t('offline.tradingPaused')}`;
+}
+
+connection.addEventListener('change', () => {
+    renderOfflineBanner();
+    updateTradeLock();
+});
+
+connection.addEventListener('disconnect', () => {
+    announce(document.getElementById('offline-banner').textContent);
+});
+
+connection.addEventListener('reconnect', async () => {
+    announce(t('offline.backOnline'));
+    await loadUserData();
+    loadActivities();
+    if (!document.getElementById('wizard-area').classList.contains('hidden') && investment.step === 'stock') {
+        loadStocksForWizard();
+    }
+});
+
+// Latest Activity: journal entries as plain sentences
+async function loadActivities() {
+    const entries = await journal.list({ limit: 8 });
+    const list = document.getElementById('activities-list');
+
+    if (entries.length === 0) {
+        render(list, html`<p>${t('senior.noActivity')}</p>`);
+        return;
+    }
+
+    render(list, entries.map(entry => html`
+    <p class="activity">${describeActivity(entry)}</p>
+  `));
+}
+
+function describeActivity(entry) {
+    const when = describeWhen(new Date(entry.timestamp));
+
+    if (entry.type === 'trade') {
+        const buy = entry.side === 'buy';
+        if (typeof entry.price !== 'number') {
+            return t(buy ? 'senior.activity.bought' : 'senior.activity.sold', { count: entry.quantity, symbol: entry.symbol, when });
         }
+        const amount = money(entry.quantity * entry.price);
+        return t(buy ? 'senior.activity.putIn' : 'senior.activity.tookOut', { amount, symbol: entry.symbol, when });
+    }
+    if (entry.type === 'achievement') {
+        return t('senior.activity.badge', { name: entry.name, icon: entry.icon || '', when });
+    }
+    return t(entry.registered ? 'senior.activity.registered' : 'senior.activity.signedIn', { when });
+}
+
+// "today at 3:05 PM", "yesterday", "on Tuesday", "on March 3"
+function describeWhen(date) {
+    const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    const days = Math.round((startOfDay(new Date()) - startOfDay(date)) / 86400000);
+
+    if (days === 0) {
+        return t('senior.when.today', { time: I18n.time(date) });
+    }
+    if (days === 1) {
+        return t('senior.when.yesterday');
+    }
+    if (days < 7) {
+        return t('senior.when.on', { date: I18n.date(date, { weekday: 'long' }) });
+    }
+    return t('senior.when.on', { date: I18n.date(date, { month: 'long', day: 'numeric' }) });
+}
+
+// Translated sentence with the filled-in values in bold
+function emphasise(key, params) {
+    return I18n.tParts(key, params, (value) => html`<strong>${value}</strong>`);
+}
+
+journal.addEventListener('change', loadActivities);
+
+async function logout() {
+    reader.stop();
+    await api.logout();
+    await connection.clear(); // Finish wiping cached data before leaving the page
+    window.location.href = document.querySelector('meta[name="app-url"]').content;
+}
+
+/**
+ * Speak a message through the screen reader live regions. Assertive
+ * messages (errors) interrupt; polite ones wait for a pause.
+ */
+function announce(text, { assertive = false } = {}) {
+    const region = document.getElementById(assertive ? 'announcer-assertive' : 'announcer-polite');
+    region.textContent = '';
+    // Set after a tick so the same message twice in a row is still read out
+    setTimeout(() => { region.textContent = text; }, 50);
+}
+
+// Move focus to a wizard step's heading so screen readers read the new step
+function focusStepHeading(step) {
+    const heading = step && step.querySelector('h2');
+    if (heading && !step.closest('.hidden')) heading.focus({ preventScroll: true });
+}
+
+function markSelectedRow(row) {
+    row.parentElement.querySelectorAll('.row').forEach(x => {
+        x.classList.toggle('selected', x === row);
+        x.setAttribute('aria-pressed', String(x === row));
+    });
+    updateRovingFocus(row.parentElement, row);
+}
+
+/**
+ * Roving tabindex: the list is a single Tab stop and the arrow keys (plus
+ * Home/End) move between its items. `itemSelector` picks the items.
+ */
+function initRovingFocus(container, itemSelector) {
+    container.dataset.rovingItems = itemSelector;
+
+    container.addEventListener('keydown', (e) => {
+        const items = [...container.querySelectorAll(itemSelector)];
+        const index = items.indexOf(document.activeElement);
+        if (index === -1) return;
+
+        const moves = {
+            ArrowDown: index + 1,
+            ArrowRight: index + 1,
+            ArrowUp: index - 1,
+            ArrowLeft: index - 1,
+            Home: 0,
+            End: items.length - 1
+        };
+        if (!(e.key in moves)) return;
+
+        e.preventDefault();
+        const next = items[(moves[e.key] + items.length) % items.length];
+        updateRovingFocus(container, next);
+        next.focus();
     });
 
-    document.getElementById('btn-back').addEventListener('click', () => {
-        if (curStep > 1) { curStep--; showStep(curStep) }
+    container.addEventListener('focusin', (e) => {
+        if (e.target.matches(itemSelector)) updateRovingFocus(container, e.target);
     });
+
+    updateRovingFocus(container);
 }
 
-// keyboard focus affordances for accessibility
+// Make `current` (or the selected/first item) the list's only Tab stop
+function updateRovingFocus(container, current = null) {
+    const items = [...container.querySelectorAll(container.dataset.rovingItems)];
+    const stop = current || items.find(item => item.classList.contains('selected') || item.classList.contains('active')) || items[0];
+    items.forEach(item => item.setAttribute('tabindex', item === stop ? '0' : '-1'));
+}
+
+initRovingFocus(document.getElementById('stock-list-wizard'), '.row');
+initRovingFocus(document.getElementById('withdraw-holdings'), '.row');
+initRovingFocus(document.querySelector('.bottom-nav'), '.nav-item');
+
+// keyboard focus affordances for accessibility: Enter and Space activate role="button"
+// elements (real buttons already do this natively, so skip them to avoid double clicks)
 document.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
+    if (e.key === 'Enter' || e.key === ' ') {
         const el = document.activeElement;
-        if (el && el.click && el.tagName !== 'INPUT') el.click();
+        if (el && el.getAttribute('role') === 'button' && el.tagName !== 'BUTTON') {
+            e.preventDefault();
+            el.click();
+        }
     }
 });
 
@@ -284,4 +974,7 @@ window.onload = async () => {
         return;
     }
     await loadUserData();
+    await restoreInvestWizard();
+    await loadActivities();
+    api.getAchievements();
 };
@@ -0,0 +1,108 @@
+/**
+ * Read-aloud helper built on the Web Speech API
+ * Speaks short messages and remembers the last one so it can be repeated
+ */
+
+/**
+ *   const reader = new ReadAloud();
+ *   reader.setEnabled(true);
+ *   reader.speak('Your balance is $120.00');
+ *   reader.repeat();
+ *
+ * Pass `synth` and `Utterance` to use a stub in tests. When the browser has
+ * no speech synthesis every method is a no-op and `supported` is false.
+ */
+class ReadAloud {
+    constructor({
+        synth = window.speechSynthesis,
+        Utterance = window.SpeechSynthesisUtterance,
+        rate = 1,
+        voiceURI = null
+    } = {}) {
+        this.synth = synth || null;
+        this.Utterance = Utterance || null;
+        this.rate = rate;
+        this.voiceURI = voiceURI;
+        this.lang = null;
+        this.enabled = false;
+        this.lastText = '';
+    }
+
+    get supported() {
+        return Boolean(this.synth && this.Utterance);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.stop();
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+    }
+
+    setVoice(voiceURI) {
+        this.voiceURI = voiceURI || null;
+    }
+
+    /**
+     * Language tag for utterances when no voice is chosen (e.g. 'sn-ZW')
+     */
+    setLang(lang) {
+        this.lang = lang;
+    }
+
+    /**
+     * Installed voices, or an empty list before the browser has loaded them
+     */
+    voices() {
+        return this.supported ? this.synth.getVoices() : [];
+    }
+
+    /**
+     * Call `callback` whenever the voice list changes (browsers load it lazily)
+     */
+    onVoicesChanged(callback) {
+        if (this.supported && this.synth.addEventListener) {
+            this.synth.addEventListener('voiceschanged', callback);
+        }
+    }
+
+    /**
+     * Say `text`, cutting off anything still being read unless `queue` is set
+     * (queued text is read after the current message)
+     */
+    speak(text, { queue = false } = {}) {
+        if (!this.enabled || !this.supported || !text) return;
+
+        if (queue && this.synth.speaking) {
+            // Repeat replays everything said since the last interruption
+            this.lastText = `${this.lastText} ${text}`;
+        } else {
+            this.lastText = text;
+            this.synth.cancel();
+        }
+
+        const utterance = new this.Utterance(text);
+        utterance.rate = this.rate;
+        const voice = this.voices().find(v => v.voiceURI === this.voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        } else if (this.lang) {
+            utterance.lang = this.lang;
+        }
+        this.synth.speak(utterance);
+    }
+
+    repeat() {
+        this.speak(this.lastText);
+    }
+
+    stop() {
+        if (this.supported) this.synth.cancel();
+    }
+}
+
+// Expose to window
+window.ReadAloud = ReadAloud;
@@ -0,0 +1,150 @@
+/**
+ * Service worker: offline app shell and last-known API data
+ *
+ * Pages and scripts are served network-first, falling back to the cached
+ * copy. The last good /stocks, /portfolio and /portfolio/summary responses
+ * are kept per signed-in user; when the network is down (or too slow) the
+ * cached response is returned with an `X-Cached-At` header so the page can
+ * tell the user how old it is. OfflineStatus wipes the data cache on logout.
+ */
+
+const SHELL_CACHE = 'investment-shell-v4';
+// Must match OFFLINE_DATA_CACHE in resources/js/shared/services/OfflineStatus.js
+const DATA_CACHE = 'investment-data-v1';
+const NETWORK_TIMEOUT = 5000;
+
+// Precached on install. The Vite bundle (build/assets/*) has hashed names,
+// so it's cached the first time a page loads it instead.
+const SHELL_ASSETS = [
+    './',
+    'css/senior.css',
+    'css/notifications.css',
+    'js/services/ReadAloud.js',
+    'js/senior.js'
+];
+
+// Third-party assets the pages can't render without
+const SHELL_ORIGINS = ['https://cdn.tailwindcss.com'];
+
+// API paths (under the scope's api/) whose last response is kept for offline use
+const DATA_PATHS = [/^stocks$/, /^portfolio$/, /^portfolio\/summary$/];
+
+const scopeUrl = new URL(self.registration.scope);
+const apiPrefix = `${scopeUrl.pathname}api/`;
+
+// Bumped on every wipe so responses already in flight aren't written back
+let dataGeneration = 0;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS.map(path => new URL(path, scopeUrl).href)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('investment-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'clear-data') {
+        dataGeneration++;
+        event.waitUntil(caches.delete(DATA_CACHE));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === scopeUrl.origin && url.pathname.startsWith(apiPrefix)) {
+        const path = url.pathname.slice(apiPrefix.length);
+        if (DATA_PATHS.some(pattern => pattern.test(path))) {
+            event.respondWith(dataResponse(request));
+        }
+        return;
+    }
+
+    if (request.mode === 'navigate' || url.origin === scopeUrl.origin || SHELL_ORIGINS.includes(url.origin)) {
+        event.respondWith(shellResponse(request));
+    }
+});
+
+/**
+ * Network first; the cached copy if the network fails
+ */
+async function shellResponse(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetchWithTimeout(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Network first, remembering the last good response for this user; the
+ * remembered one (stamped with X-Cached-At) if the network fails
+ */
+async function dataResponse(request) {
+    const generation = dataGeneration;
+    const key = await dataCacheKey(request);
+
+    let response;
+    try {
+        response = await fetchWithTimeout(request);
+    } catch (error) {
+        const cached = await caches.open(DATA_CACHE).then(cache => cache.match(key));
+        if (cached) return cached;
+        throw error;
+    }
+
+    if (response.ok && generation === dataGeneration) {
+        const headers = new Headers(response.headers);
+        headers.set('X-Cached-At', String(Date.now()));
+        const body = await response.clone().blob();
+        const cache = await caches.open(DATA_CACHE);
+        await cache.put(key, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    }
+    return response;
+}
+
+/**
+ * Cache key for an API request, scoped to the bearer token so one user
+ * never sees another's portfolio. Public requests (e.g. /stocks) share
+ * a key since they carry no user data.
+ */
+async function dataCacheKey(request) {
+    const authorization = request.headers.get('Authorization') || '';
+    let user = 'public';
+    if (authorization) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(authorization));
+        user = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    const url = new URL(request.url);
+    url.searchParams.set('__user', user);
+    return new Request(url.href);
+}
+
+function fetchWithTimeout(request) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT);
+        fetch(request).then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
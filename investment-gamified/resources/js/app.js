@@ -1 +1,7 @@
 import './bootstrap';
+import { mountDashboard } from './dashboard/main';
+
+// Normal-mode dashboard (welcome view)
+if (document.getElementById('dashboardScreen')) {
+    mountDashboard();
+}
@@ -0,0 +1,133 @@
+import { Html } from './shared';
+
+/**
+ * Renders a list of items into a container, one element per item, and on
+ * each update touches only the rows whose data changed. Unchanged rows keep
+ * their DOM nodes, so focus, hover and scroll position survive a refresh.
+ *
+ *   const list = new KeyedList(container, {
+ *       key: stock => stock.symbol,
+ *       create: stock => html`<div>...</div>`,         // one root element
+ *       patch: (el, stock, previous) => { ... },       // optional
+ *       empty: () => html`<p>Nothing here</p>`
+ *   });
+ *   list.update(stocks);
+ *
+ * Changed rows are patched in place when `patch` is given (returning false
+ * asks for the row to be rebuilt instead), otherwise rebuilt with `create`.
+ */
+export class KeyedList {
+    constructor(container, { key, create, patch = null, empty = null }) {
+        this.container = container;
+        this.key = key;
+        this.create = create;
+        this.patch = patch;
+        this.empty = empty;
+        // key => { item, el }
+        this.rows = new Map();
+        this.items = [];
+    }
+
+    update(items) {
+        this.items = items;
+
+        if (items.length === 0) {
+            this.showMessage(this.empty ? this.empty() : '');
+            return;
+        }
+
+        // Drop the empty-state message (or anything else not ours)
+        if (this.rows.size === 0) {
+            this.container.textContent = '';
+        }
+
+        const next = new Map();
+        items.forEach((item, index) => {
+            const key = this.key(item);
+            const row = this.rows.get(key);
+            let el;
+
+            if (!row) {
+                el = this._build(item);
+            } else if (sameData(row.item, item)) {
+                el = row.el;
+            } else if (this.patch && this.patch(row.el, item, row.item) !== false) {
+                el = row.el;
+            } else {
+                el = this._build(item);
+                row.el.replaceWith(el);
+            }
+
+            next.set(key, { item, el });
+            const current = this.container.children[index];
+            if (current !== el) {
+                this.container.insertBefore(el, current || null);
+            }
+        });
+
+        this.rows.forEach((row, key) => {
+            if (!next.has(key)) row.el.remove();
+        });
+        this.rows = next;
+    }
+
+    /**
+     * Replace the rows with a message (empty state, load error); the next
+     * update with items rebuilds the list
+     */
+    showMessage(template) {
+        this.items = [];
+        this.rows.clear();
+        Html.render(this.container, template);
+    }
+
+    /**
+     * Rebuild every row, e.g. after the language changes
+     */
+    refresh() {
+        this.rows.clear();
+        this.container.textContent = '';
+        this.update(this.items);
+    }
+
+    /**
+     * Run `fn(el, item)` for each rendered row
+     */
+    forEachRow(fn) {
+        this.rows.forEach(({ item, el }) => fn(el, item));
+    }
+
+    // Parsed inside the container's own tag, so e.g. <tr> rows survive in a <tbody>
+    _build(item) {
+        const holder = document.createElement(this.container.tagName);
+        Html.render(holder, this.create(item));
+        return holder.firstElementChild;
+    }
+}
+
+// Element => highlight in progress
+const flashes = new WeakMap();
+
+/**
+ * Briefly highlight an element by adding `classNames` for `duration` ms
+ * (restarts the highlight if it's already showing)
+ */
+export function flash(el, classNames, duration = 1200) {
+    const running = flashes.get(el);
+    if (running) {
+        clearTimeout(running.timer);
+        el.classList.remove(...running.classes);
+    }
+
+    const classes = classNames.split(' ');
+    el.classList.add(...classes);
+    const timer = setTimeout(() => {
+        el.classList.remove(...classes);
+        flashes.delete(el);
+    }, duration);
+    flashes.set(el, { classes, timer });
+}
+
+function sameData(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,77 @@
+const FOCUSABLE = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), a[href], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Opens and closes an overlay that lives in the page markup (shown by
+ * removing `hidden`). While open, Escape closes it and Tab stays inside;
+ * on close, focus goes back to whatever had it before.
+ *
+ * `closeOnBackdrop` also closes it on a click outside its panel.
+ */
+export class Modal {
+    constructor(overlay, { onClose = () => {}, closeOnBackdrop = false } = {}) {
+        this.overlay = overlay;
+        this.onClose = onClose;
+        this.returnFocus = null;
+
+        overlay.addEventListener('keydown', event => this._onKeydown(event));
+        if (closeOnBackdrop) {
+            overlay.addEventListener('mousedown', event => {
+                if (event.target === overlay) this.close();
+            });
+        }
+    }
+
+    get isOpen() {
+        return !this.overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Show the overlay (if it isn't already) and focus `focus`, or the
+     * first focusable element inside it
+     */
+    open(focus = null) {
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
+            this.overlay.classList.remove('hidden');
+        }
+
+        const target = focus || this.overlay.querySelector(FOCUSABLE);
+        if (target) target.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.overlay.classList.add('hidden');
+        this.onClose();
+        if (this.returnFocus && this.returnFocus.isConnected && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    _onKeydown(event) {
+        if (event.key === 'Escape' && !event.defaultPrevented) {
+            event.preventDefault();
+            this.close();
+        } else if (event.key === 'Tab') {
+            this._trapFocus(event);
+        }
+    }
+
+    _trapFocus(event) {
+        const focusable = [...this.overlay.querySelectorAll(FOCUSABLE)]
+            .filter(el => !el.closest('.hidden'));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
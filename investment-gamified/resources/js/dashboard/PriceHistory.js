@@ -0,0 +1,124 @@
+const STORAGE_PREFIX = 'price-history:';
+
+/**
+ * Daily closing prices per stock from /stocks/{symbol}/history, a year at
+ * a time. A few stocks are fetched at once, and each history is kept in
+ * sessionStorage for the rest of the browser session, then fetched again
+ * the next (UTC) day.
+ *
+ *   const histories = await history.load(['AAPL', 'TSLA']);
+ *   histories.get('AAPL'); // [{ date: '2024-05-01', close: 189.95 }, ...] oldest first
+ *
+ * Stocks whose history failed to load are left out of the Map, and aren't
+ * asked for again until a backoff (`retryDelay`, doubling up to
+ * `maxRetryDelay`) has passed.
+ */
+export class PriceHistory {
+    constructor(api, { storage = window.sessionStorage, days = 365, concurrency = 4, retryDelay = 30000, maxRetryDelay = 600000 } = {}) {
+        this.api = api;
+        this.storage = storage;
+        this.days = days;
+        this.concurrency = concurrency;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.cache = new Map();
+        this.pending = new Map();
+        // symbol => { attempts, retryAt } for histories that failed to load
+        this.failures = new Map();
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async load(symbols) {
+        const histories = new Map();
+        await Promise.all([...new Set(symbols)].map(async symbol => {
+            const rows = this._cached(symbol) || (this.isBackingOff(symbol) ? null : await this._fetch(symbol));
+            if (rows) histories.set(symbol, rows);
+        }));
+        return histories;
+    }
+
+    /**
+     * Whether `symbol` failed to load recently and is waiting to be retried
+     */
+    isBackingOff(symbol) {
+        const failure = this.failures.get(symbol);
+        return Boolean(failure) && Date.now() < failure.retryAt;
+    }
+
+    _cached(symbol) {
+        const today = utcDay(new Date());
+        let entry = this.cache.get(symbol);
+        if (!entry) {
+            try {
+                entry = JSON.parse(this.storage.getItem(STORAGE_PREFIX + symbol));
+            } catch (error) {
+                entry = null;
+            }
+            if (entry && Array.isArray(entry.rows)) this.cache.set(symbol, entry);
+        }
+        return entry && entry.day === today && Array.isArray(entry.rows) ? entry.rows : null;
+    }
+
+    // One request per symbol however many load() calls ask for it
+    _fetch(symbol) {
+        if (!this.pending.has(symbol)) {
+            const request = this._slot()
+                .then(() => this.api.getStockHistory(symbol, { days: this.days }))
+                .then(data => data.success ? this._save(symbol, data.data) : this._failed(symbol))
+                .finally(() => {
+                    this.pending.delete(symbol);
+                    this._release();
+                });
+            this.pending.set(symbol, request);
+        }
+        return this.pending.get(symbol);
+    }
+
+    _failed(symbol) {
+        const attempts = (this.failures.has(symbol) ? this.failures.get(symbol).attempts : 0) + 1;
+        const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+        this.failures.set(symbol, { attempts, retryAt: Date.now() + delay });
+        return null;
+    }
+
+    _save(symbol, data) {
+        this.failures.delete(symbol);
+        const rows = data
+            .map(row => ({ date: String(row.date).slice(0, 10), close: parseFloat(row.close_price) }))
+            .filter(row => Number.isFinite(row.close))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const entry = { day: utcDay(new Date()), rows };
+
+        this.cache.set(symbol, entry);
+        try {
+            this.storage.setItem(STORAGE_PREFIX + symbol, JSON.stringify(entry));
+        } catch (error) {
+            // Storage full or blocked: kept in memory for this page only
+        }
+        return rows;
+    }
+
+    // Wait for one of `concurrency` request slots
+    _slot() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    // Hand the slot straight to the next request in line, if any
+    _release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
+function utcDay(date) {
+    return date.toISOString().slice(0, 10);
+}
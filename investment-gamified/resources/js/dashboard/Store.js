@@ -0,0 +1,50 @@
+/**
+ * Minimal client-side store
+ * State is split into named slices; listeners subscribe to one slice and
+ * only hear about changes to it.
+ *
+ *   const store = new Store({ user: null, stocks: [] });
+ *   store.subscribe('stocks', (stocks, previous) => list.update(stocks));
+ *   store.set('stocks', data.data);
+ *   store.update('user', user => ({ ...user, balance: 10 }));
+ *
+ * Slices are replaced, never mutated, so listeners can compare `previous`
+ * with the new value.
+ */
+export class Store {
+    constructor(initialState = {}) {
+        this.state = { ...initialState };
+        this.listeners = new Map();
+    }
+
+    get(slice) {
+        return this.state[slice];
+    }
+
+    /**
+     * Replace a slice and notify its subscribers (no-op if unchanged)
+     */
+    set(slice, value) {
+        const previous = this.state[slice];
+        if (Object.is(previous, value)) return;
+
+        this.state[slice] = value;
+        (this.listeners.get(slice) || []).forEach(listener => listener(value, previous));
+    }
+
+    update(slice, fn) {
+        this.set(slice, fn(this.state[slice]));
+    }
+
+    /**
+     * Call `listener(value, previous)` on every change to `slice`.
+     * Returns a function that unsubscribes.
+     */
+    subscribe(slice, listener) {
+        if (!this.listeners.has(slice)) {
+            this.listeners.set(slice, new Set());
+        }
+        this.listeners.get(slice).add(listener);
+        return () => this.listeners.get(slice).delete(listener);
+    }
+}
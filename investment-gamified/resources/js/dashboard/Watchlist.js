@@ -0,0 +1,160 @@
+const STORAGE_PREFIX = 'watchlist:';
+
+export const ALERT_CONDITIONS = ['above', 'below', 'move'];
+
+/**
+ * Watched symbols and price alerts for the signed-in user, saved in
+ * localStorage under their id and mirrored into the `watchlist` slice as
+ * `{ symbols, alerts }`.
+ *
+ * Alert shape: { id, symbol, condition, target, armed, firedAt, firedPrice }
+ *   above / below: `target` is a US dollar price
+ *   move:          `target` is a percentage; fires when the day's
+ *                  change_percentage reaches it in either direction
+ *
+ * An alert fires once: `check()` disarms it, and it stays quiet until
+ * `rearm()` is called. Changes saved by other tabs are picked up through
+ * `storage` events.
+ */
+export class Watchlist {
+    constructor(store, { storage = window.localStorage } = {}) {
+        this.store = store;
+        this.storage = storage;
+        this.userId = null;
+
+        // Another tab changed this user's list
+        window.addEventListener('storage', (event) => {
+            if (this.userId !== null && event.storageArea === storage && event.key === STORAGE_PREFIX + this.userId) {
+                this.store.set('watchlist', this._load());
+            }
+        });
+    }
+
+    /**
+     * Load the given user's list (null for signed out)
+     */
+    setUser(userId) {
+        this.userId = userId;
+        this.store.set('watchlist', userId === null ? { symbols: [], alerts: [] } : this._load());
+    }
+
+    get symbols() {
+        return this.store.get('watchlist').symbols;
+    }
+
+    get alerts() {
+        return this.store.get('watchlist').alerts;
+    }
+
+    isWatched(symbol) {
+        return this.symbols.includes(symbol);
+    }
+
+    toggle(symbol) {
+        const symbols = this.isWatched(symbol)
+            ? this.symbols.filter(watched => watched !== symbol)
+            : [...this.symbols, symbol];
+        this._save({ symbols });
+    }
+
+    /**
+     * Symbols whose prices are needed: everything watched, plus armed alerts
+     */
+    trackedSymbols() {
+        const armed = this.alerts.filter(alert => alert.armed).map(alert => alert.symbol);
+        return [...new Set([...this.symbols, ...armed])];
+    }
+
+    addAlert({ symbol, condition, target }) {
+        if (!ALERT_CONDITIONS.includes(condition)) {
+            throw new Error(`Unknown alert condition: ${condition}`);
+        }
+
+        const alert = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            symbol,
+            condition,
+            target: Number(target),
+            armed: true,
+            firedAt: null,
+            firedPrice: null
+        };
+        this._save({ alerts: [...this.alerts, alert] });
+        return alert;
+    }
+
+    removeAlert(id) {
+        this._save({ alerts: this.alerts.filter(alert => alert.id !== id) });
+    }
+
+    rearm(id) {
+        this._save({
+            alerts: this.alerts.map(alert => alert.id === id
+                ? { ...alert, armed: true, firedAt: null, firedPrice: null }
+                : alert)
+        });
+    }
+
+    /**
+     * Test armed alerts against fresh quotes (stock objects with
+     * `current_price` and `change_percentage`). Returns the alerts that
+     * fired, each with the quote that set it off; they are now disarmed.
+     */
+    check(quotes) {
+        const bySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+        const fired = [];
+        const now = Date.now();
+
+        const alerts = this.alerts.map(alert => {
+            const quote = bySymbol.get(alert.symbol);
+            if (!alert.armed || !quote || !isTriggered(alert, quote)) return alert;
+
+            const firedAlert = { ...alert, armed: false, firedAt: now, firedPrice: parseFloat(quote.current_price) };
+            fired.push({ alert: firedAlert, quote });
+            return firedAlert;
+        });
+
+        if (fired.length) {
+            this._save({ alerts });
+        }
+        return fired;
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_PREFIX + this.userId)) || {};
+            return {
+                symbols: Array.isArray(saved.symbols) ? saved.symbols : [],
+                alerts: Array.isArray(saved.alerts) ? saved.alerts : []
+            };
+        } catch (error) {
+            return { symbols: [], alerts: [] };
+        }
+    }
+
+    _save(changes) {
+        const next = { ...this.store.get('watchlist'), ...changes };
+        this.store.set('watchlist', next);
+        if (this.userId === null) return;
+
+        try {
+            this.storage.setItem(STORAGE_PREFIX + this.userId, JSON.stringify(next));
+        } catch (error) {
+            // Storage full or blocked: the list still works for this visit
+        }
+    }
+}
+
+function isTriggered(alert, quote) {
+    const price = parseFloat(quote.current_price);
+    switch (alert.condition) {
+        case 'above':
+            return price >= alert.target;
+        case 'below':
+            return price <= alert.target;
+        case 'move':
+            return Math.abs(parseFloat(quote.change_percentage)) >= alert.target;
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Command palette input, parsed and matched. Commands are typed in
+ * English whatever the display language:
+ *
+ *   buy AAPL 5        { type: 'trade', side: 'buy', query: 'AAPL', quantity: 5 }
+ *   sell all TSLA     { type: 'trade', side: 'sell', query: 'TSLA', quantity: 'all' }
+ *   show leaderboard  { type: 'show', query: 'leaderboard' }
+ *   anything else     { type: 'search', query }
+ */
+export function parseCommand(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    const verb = (words[0] || '').toLowerCase();
+
+    if (verb === 'buy' || verb === 'sell') {
+        let quantity = null;
+        const terms = [];
+        words.slice(1).forEach(word => {
+            if (word.toLowerCase() === 'all' || word.toLowerCase() === 'max') {
+                quantity = 'all';
+            } else if (/^\d+$/.test(word)) {
+                quantity = parseInt(word);
+            } else {
+                terms.push(word);
+            }
+        });
+        return { type: 'trade', side: verb, query: terms.join(' '), quantity };
+    }
+
+    if (['show', 'go', 'open', 'view'].includes(verb)) {
+        return { type: 'show', query: words.slice(1).filter(word => word.toLowerCase() !== 'to').join(' ') };
+    }
+
+    return { type: 'search', query: text.trim() };
+}
+
+/**
+ * How well `query` matches `text`, or null if it doesn't. A prefix beats
+ * a substring, which beats the letters appearing in order ("apl" in
+ * "Apple"); letters that follow each other or start words count extra.
+ */
+export function fuzzyScore(query, text) {
+    const needle = query.toLowerCase();
+    const haystack = String(text || '').toLowerCase();
+    if (!needle) return 0;
+
+    if (haystack.startsWith(needle)) return 300 - haystack.length;
+    const index = haystack.indexOf(needle);
+    if (index >= 0) return 200 - index;
+
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const char of needle) {
+        const at = haystack.indexOf(char, from);
+        if (at < 0) return null;
+        score += (at === previous + 1 ? 3 : 1) + (at === 0 || /\W/.test(haystack[at - 1]) ? 2 : 0);
+        previous = at;
+        from = at + 1;
+    }
+    return score;
+}
+
+/**
+ * Stocks matching `query` on symbol or name, best first. An exact symbol
+ * always comes first.
+ */
+export function matchStocks(stocks, query, limit = 5) {
+    const symbol = query.trim().toUpperCase();
+    return stocks
+        .map(stock => ({
+            stock,
+            score: stock.symbol === symbol ? Infinity : bestScore(query, [stock.symbol, stock.name])
+        }))
+        .filter(match => match.score !== null)
+        .sort((a, b) => b.score - a.score || a.stock.symbol.localeCompare(b.stock.symbol))
+        .slice(0, limit)
+        .map(match => match.stock);
+}
+
+/**
+ * Items matching `query` on any of `texts(item)`, best first; ties keep
+ * their order, so an empty query returns the first `limit` as they are.
+ */
+export function rankMatches(items, query, texts, limit = Infinity) {
+    return items
+        .map(item => ({ item, score: bestScore(query, texts(item)) }))
+        .filter(match => match.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(match => match.item);
+}
+
+function bestScore(query, texts) {
+    const scores = texts.map(text => fuzzyScore(query, text)).filter(score => score !== null);
+    return scores.length ? Math.max(...scores) : null;
+}
@@ -0,0 +1,30 @@
+import { Html, I18n } from '../shared';
+import { KeyedList } from '../KeyedList';
+
+const { html } = Html;
+const { t } = I18n;
+
+/**
+ * Achievements from the `achievements` slice; a row is rebuilt only when
+ * that achievement changes (e.g. it unlocks)
+ */
+export class AchievementList {
+    constructor(container, store) {
+        this.list = new KeyedList(container, {
+            key: achievement => achievement.id,
+            create: achievement => html`
+                <div class="flex items-center gap-3 p-2 rounded-lg ${achievement.unlocked ? 'bg-yellow-50' : 'bg-gray-50'}">
+                    <span class="text-2xl ${achievement.unlocked ? '' : 'grayscale opacity-50'}">${achievement.icon}</span>
+                    <div class="flex-1">
+                        <p class="text-sm font-semibold">${achievement.name}</p>
+                        <p class="text-xs text-gray-600">${t('xp.amount', { count: achievement.xp_reward })}</p>
+                    </div>
+                    ${achievement.unlocked ? html`<span class="text-xs text-green-600 font-bold">✓</span>` : ''}
+                </div>
+            `
+        });
+
+        store.subscribe('achievements', achievements => this.list.update(achievements));
+        I18n.onChange(() => this.list.refresh());
+    }
+}
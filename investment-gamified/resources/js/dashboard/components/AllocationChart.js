@@ -0,0 +1,84 @@
+import { Html, I18n } from '../shared';
+
+const { html, render } = Html;
+const { t, money, percent } = I18n;
+
+// Slice colours, largest category first
+const COLOURS = ['#7c3aed', '#10b981', '#f59e0b', '#3b82f6', '#ef4444', '#ec4899', '#14b8a6', '#6b7280'];
+
+// Radius giving a circumference of 100, so dash lengths are percentages
+const RADIUS = 50 / Math.PI;
+
+/**
+ * Donut of the `portfolio` slice's market value by stock category, with a
+ * legend giving each category's share and value. The chart itself is
+ * decorative; the legend carries the numbers for screen readers.
+ */
+export class AllocationChart {
+    constructor(container, store) {
+        this.container = container;
+        this.store = store;
+        this.rendered = null;
+
+        store.subscribe('portfolio', () => this.render());
+        I18n.onChange(() => this.render(true));
+    }
+
+    render(force = false) {
+        const slices = allocation(this.store.get('portfolio'));
+        const signature = JSON.stringify(slices);
+        if (!force && signature === this.rendered) return;
+        this.rendered = signature;
+
+        if (slices.length === 0) {
+            render(this.container, html`<p class="text-gray-500 text-sm">${t('portfolio.empty')}</p>`);
+            return;
+        }
+
+        let offset = 0;
+        const segments = slices.map((slice, index) => {
+            // Start at 12 o'clock and run clockwise
+            const segment = html`
+                <circle cx="21" cy="21" r="${RADIUS}" fill="transparent" stroke="${COLOURS[index % COLOURS.length]}" stroke-width="6"
+                        stroke-dasharray="${slice.weight} ${100 - slice.weight}" stroke-dashoffset="${25 - offset}"></circle>
+            `;
+            offset += slice.weight;
+            return segment;
+        });
+
+        render(this.container, html`
+            <div class="flex flex-col sm:flex-row lg:flex-col items-center gap-4">
+                <svg viewBox="0 0 42 42" class="w-40 h-40 shrink-0" aria-hidden="true">
+                    <circle cx="21" cy="21" r="${RADIUS}" fill="transparent" stroke="#e5e7eb" stroke-width="6"></circle>
+                    ${segments}
+                </svg>
+                <ul class="w-full space-y-1 text-sm">
+                    ${slices.map((slice, index) => html`
+                        <li class="flex items-center gap-2">
+                            <span class="w-3 h-3 rounded-full shrink-0" style="background-color: ${COLOURS[index % COLOURS.length]}"></span>
+                            <span class="flex-1 truncate">${slice.category || t('portfolio.uncategorised')}</span>
+                            <span class="font-semibold tabular-nums">${percent(slice.weight, { signed: false })}</span>
+                            <span class="text-gray-500 tabular-nums">${money(slice.value)}</span>
+                        </li>
+                    `)}
+                </ul>
+            </div>
+        `);
+    }
+}
+
+// Market value per category, largest first, with each one's share in percent
+function allocation(items) {
+    const totals = new Map();
+    items.forEach(item => {
+        const category = item.stock_category || '';
+        totals.set(category, (totals.get(category) || 0) + (parseFloat(item.total_value) || 0));
+    });
+
+    const total = [...totals.values()].reduce((sum, value) => sum + value, 0);
+    if (total <= 0) return [];
+
+    return [...totals]
+        .map(([category, value]) => ({ category, value, weight: (value / total) * 100 }))
+        .sort((a, b) => b.value - a.value || a.category.localeCompare(b.category));
+}
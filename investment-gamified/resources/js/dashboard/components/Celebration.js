@@ -0,0 +1,62 @@
+import { Html, I18n } from '../shared';
+
+const { html, on, render } = Html;
+const { t } = I18n;
+
+/**
+ * Short "you did it" moments (level-ups, unlocked achievements), shown one
+ * at a time in a polite live region. Animations use Tailwind's motion-safe
+ * variants, so they're skipped for users who prefer reduced motion.
+ *
+ *   celebration.show({ icon: '🎉', message: t('celebrate.levelUp', { level: 3 }) });
+ */
+export class Celebration {
+    constructor(container, { duration = 4000 } = {}) {
+        this.container = container;
+        this.duration = duration;
+        this.queue = [];
+        this.current = null;
+        this.timer = null;
+    }
+
+    show(moment) {
+        this.queue.push(moment);
+        if (!this.current) this._next();
+    }
+
+    dismiss() {
+        clearTimeout(this.timer);
+        this.current = null;
+        render(this.container, '');
+        this._next();
+    }
+
+    // Drop anything queued, e.g. on logout
+    clear() {
+        this.queue = [];
+        clearTimeout(this.timer);
+        this.current = null;
+        render(this.container, '');
+    }
+
+    _next() {
+        const moment = this.queue.shift();
+        if (!moment) return;
+
+        this.current = moment;
+        render(this.container, html`
+            <div class="pointer-events-auto flex items-center gap-3 bg-white border-2 border-yellow-300 rounded-2xl shadow-2xl px-5 py-4 max-w-md opacity-0 scale-90 motion-safe:transition motion-safe:duration-300">
+                <span class="text-4xl motion-safe:animate-bounce" aria-hidden="true">${moment.icon}</span>
+                <p class="flex-1 font-bold text-gray-800">${moment.message}</p>
+                <button type="button" ${on('click', () => this.dismiss())} aria-label="${t('common.dismiss')}"
+                        class="text-gray-400 hover:text-gray-600 text-xl leading-none">×</button>
+            </div>
+        `);
+
+        // Next frame, so the pop-in transition runs from the hidden state
+        const card = this.container.firstElementChild;
+        requestAnimationFrame(() => card.classList.remove('opacity-0', 'scale-90'));
+
+        this.timer = setTimeout(() => this.dismiss(), this.duration);
+    }
+}
@@ -0,0 +1,93 @@
+import { Html, I18n } from '../shared';
+import { Modal } from '../Modal';
+
+const { html, on, render } = Html;
+const { t } = I18n;
+
+/**
+ * Ctrl/Cmd+K palette: a text box over a list of commands. `commands(text)`
+ * returns what the text could mean, best first, as
+ * `{ id, label, detail, run }`; Enter (or a click) runs the highlighted
+ * one after the palette closes.
+ */
+export class CommandPalette {
+    constructor({ overlay, input, list }, { commands }) {
+        this.input = input;
+        this.list = list;
+        this.commands = commands;
+        this.items = [];
+        this.active = -1;
+        this.modal = new Modal(overlay, { closeOnBackdrop: true });
+
+        input.addEventListener('input', () => this._update());
+        input.addEventListener('keydown', event => this._onKeydown(event));
+        // Keep focus in the input while an option is clicked
+        list.addEventListener('mousedown', event => event.preventDefault());
+        I18n.onChange(() => {
+            if (this.isOpen) this._update();
+        });
+    }
+
+    get isOpen() {
+        return this.modal.isOpen;
+    }
+
+    open() {
+        this.input.value = '';
+        this._update();
+        this.modal.open(this.input);
+    }
+
+    close() {
+        this.modal.close();
+    }
+
+    _update() {
+        this.items = this.commands(this.input.value);
+        this.active = this.items.length ? 0 : -1;
+        this._render();
+    }
+
+    _render() {
+        render(this.list, this.items.length
+            ? this.items.map((item, index) => html`
+                <li id="command-option-${index}" role="option" aria-selected="${index === this.active}"
+                    ${on('click', () => this._run(item))}
+                    class="flex items-baseline gap-3 px-4 py-2 cursor-pointer ${index === this.active ? 'bg-purple-100' : 'hover:bg-gray-100'}">
+                    <span class="font-semibold">${item.label}</span>
+                    ${item.detail ? html`<span class="flex-1 min-w-0 truncate text-sm text-gray-500">${item.detail}</span>` : ''}
+                </li>
+            `)
+            : html`<li role="presentation" class="px-4 py-2 text-gray-500">${t('palette.noResults')}</li>`);
+
+        if (this.active >= 0) {
+            this.input.setAttribute('aria-activedescendant', `command-option-${this.active}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    _onKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!this.items.length) return;
+                this.active = event.key === 'ArrowDown'
+                    ? (this.active + 1) % this.items.length
+                    : (this.active <= 0 ? this.items.length : this.active) - 1;
+                this._render();
+                this.list.children[this.active].scrollIntoView?.({ block: 'nearest' });
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (this.active >= 0) this._run(this.items[this.active]);
+                break;
+        }
+    }
+
+    _run(item) {
+        this.close();
+        item.run();
+    }
+}
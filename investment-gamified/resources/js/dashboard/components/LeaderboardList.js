@@ -0,0 +1,54 @@
+import { Html, I18n } from '../shared';
+import { KeyedList } from '../KeyedList';
+
+const { html } = Html;
+const { t } = I18n;
+
+/**
+ * Leaderboard page from the `leaderboard` slice, highlighting the current
+ * user and showing how far each player moved since the last visit.
+ * `currentUser()` and `previousRank(id)` are read when a row is built.
+ */
+export class LeaderboardList {
+    constructor(container, store, { currentUser, previousRank }) {
+        this.currentUser = currentUser;
+        this.previousRank = previousRank;
+        this.list = new KeyedList(container, {
+            key: entry => entry.id,
+            create: entry => this._row(entry),
+            empty: () => html`<p class="text-gray-500 text-sm">${t('leaderboard.empty')}</p>`
+        });
+
+        store.subscribe('leaderboard', ({ entries }) => this.list.update(entries));
+        I18n.onChange(() => this.list.refresh());
+    }
+
+    _row(entry) {
+        const user = this.currentUser();
+        const isMe = user && entry.id === user.id;
+        return html`
+            <div class="flex items-center gap-3 p-2 rounded-lg ${isMe ? 'bg-purple-100 ring-2 ring-purple-400' : 'bg-gray-50'}"
+                 ${isMe ? html`aria-current="true"` : ''}>
+                <span class="w-8 text-center font-bold text-gray-700">#${entry.rank}</span>
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm font-semibold truncate">${isMe ? t('leaderboard.you', { name: entry.name }) : entry.name}</p>
+                    <p class="text-xs text-gray-600">${t('leaderboard.levelXp', { level: entry.level, xp: entry.experience_points })}</p>
+                </div>
+                ${this._movement(entry)}
+            </div>
+        `;
+    }
+
+    // Arrow showing how far a player moved since the last visit
+    _movement(entry) {
+        const before = this.previousRank(entry.id);
+        if (before === undefined || before === entry.rank) {
+            return '';
+        }
+
+        const places = Math.abs(before - entry.rank);
+        return before > entry.rank
+            ? html`<span class="text-xs font-bold text-green-600" title="${t('leaderboard.movedUp', { count: places })}">▲${places}</span>`
+            : html`<span class="text-xs font-bold text-red-600" title="${t('leaderboard.movedDown', { count: places })}">▼${places}</span>`;
+    }
+}
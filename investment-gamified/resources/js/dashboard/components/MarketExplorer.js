@@ -0,0 +1,383 @@
+import { Html, I18n } from '../shared';
+import { searchResults, quote as readQuote, historyRows } from '../externalMarket';
+
+const { html, on, render } = Html;
+const { t, money, percent } = I18n;
+
+// Typeahead waits this long after the last keystroke
+const SEARCH_DELAY = 400;
+const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 10;
+
+// Alpha Vantage only sends its compact history (100 days) on the free tier
+const HISTORY_DAYS = 100;
+
+// The routes' throttle:60,1 window, for a 429 without Retry-After
+const DEFAULT_RETRY_AFTER = 60;
+
+/**
+ * "Explore market" panel over the /external/stocks routes: a typeahead on
+ * search, then a company's profile, latest quote and price history. Stocks
+ * the game also lists get a Trade button calling `onTrade(symbol, 'buy')`;
+ * `createChart(container)` builds the PriceChart for the history.
+ *
+ * The routes are throttled, so a 429 pauses the panel with a countdown and
+ * repeats the most recent search or lookup once it runs out.
+ */
+export class MarketExplorer {
+    constructor({ source, search, results, status, detail }, { api, onTrade, createChart }) {
+        this.sourceSelect = source;
+        this.input = search;
+        this.results = results;
+        this.status = status;
+        this.detail = detail;
+        this.api = api;
+        this.onTrade = onTrade;
+        this.createChart = createChart;
+
+        this.matches = [];
+        this.active = -1;
+        this.names = new Map(); // symbol => name, from search results
+        this.details = null;
+        this.statusMessage = null; // [key, params]
+        this.searchTimer = null;
+        this.throttle = null;
+        // Responses overtaken by a newer request are dropped
+        this.searchSequence = 0;
+        this.detailSequence = 0;
+
+        search.addEventListener('input', () => this._scheduleSearch());
+        search.addEventListener('keydown', event => this._onKeydown(event));
+        search.addEventListener('blur', () => this._close());
+        // Keep focus in the input while an option is clicked
+        results.addEventListener('mousedown', event => event.preventDefault());
+        source.addEventListener('change', () => {
+            this._scheduleSearch(0);
+            if (this.details) this.show(this.details.symbol);
+        });
+
+        I18n.onChange(() => {
+            this._renderResults();
+            if (this.throttle) {
+                this._renderThrottle();
+            } else {
+                this._setStatus(...(this.statusMessage || []));
+            }
+            if (this.details) this._renderDetail();
+        });
+    }
+
+    get source() {
+        return this.sourceSelect.value;
+    }
+
+    /**
+     * Look up one symbol and show its profile, quote and history
+     */
+    async show(symbol) {
+        symbol = symbol.trim().toUpperCase();
+        if (!symbol) return;
+        if (this.throttle) {
+            this.throttle.retry = () => this.show(symbol);
+            return;
+        }
+
+        const sequence = ++this.detailSequence;
+        const source = this.source;
+        this.details = null;
+        this._setStatus('explore.loading', { symbol });
+        render(this.detail, '');
+
+        const [profile, quote, history, stock] = await Promise.all([
+            this.api.getExternalProfile(symbol),
+            this.api.getExternalQuote(symbol, { source }),
+            this.api.getExternalHistory(symbol, { source, days: HISTORY_DAYS }),
+            this.api.getStock(symbol)
+        ]);
+        if (sequence !== this.detailSequence) return;
+
+        const limited = [profile, quote, history].find(isRateLimited);
+        if (limited) {
+            this._startThrottle(limited, () => this.show(symbol));
+            return;
+        }
+
+        this.details = { symbol, profile, quote, history, stock: stock.success ? stock.data : null };
+        this._setStatus();
+        this._renderDetail();
+    }
+
+    /**
+     * Close the suggestions and clear the lookup, e.g. on logout
+     */
+    reset() {
+        clearTimeout(this.searchTimer);
+        this._stopThrottle();
+        this.searchSequence++;
+        this.detailSequence++;
+        this.input.value = '';
+        this.matches = [];
+        this.details = null;
+        this._renderResults();
+        this._setStatus();
+        render(this.detail, '');
+    }
+
+    _scheduleSearch(delay = SEARCH_DELAY) {
+        clearTimeout(this.searchTimer);
+        const query = this.input.value.trim();
+
+        if (query.length < MIN_QUERY_LENGTH) {
+            this.searchSequence++;
+            this.matches = [];
+            this._renderResults();
+            if (!this.throttle) this._setStatus();
+            return;
+        }
+
+        this.searchTimer = setTimeout(() => this._search(query), delay);
+    }
+
+    async _search(query) {
+        if (this.throttle) {
+            this.throttle.retry = () => this._search(query);
+            return;
+        }
+
+        const sequence = ++this.searchSequence;
+        this._setStatus('explore.searching');
+        const response = await this.api.searchExternalStocks(query, { source: this.source });
+        if (sequence !== this.searchSequence) return;
+
+        if (isRateLimited(response)) {
+            this._startThrottle(response, () => this._search(query));
+            return;
+        }
+
+        this.matches = response.success ? searchResults(response.data).slice(0, MAX_RESULTS) : [];
+        this.matches.forEach(match => this.names.set(match.symbol, match.name));
+        this.active = -1;
+        this._renderResults();
+
+        if (!response.success) {
+            this._setStatus(problem(response, 'search'));
+        } else if (this.matches.length) {
+            this._setStatus('explore.resultCount', { count: this.matches.length });
+        } else {
+            this._setStatus('explore.noMatches');
+        }
+    }
+
+    _onKeydown(event) {
+        const open = this.matches.length > 0 && !this.results.classList.contains('hidden');
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (!this.matches.length) return;
+                event.preventDefault();
+                if (!open) this._open();
+                this._setActive(event.key === 'ArrowDown'
+                    ? (this.active + 1) % this.matches.length
+                    : (this.active <= 0 ? this.matches.length : this.active) - 1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                // Enter without a highlighted suggestion looks the typed symbol up directly
+                this._select(open && this.active >= 0 ? this.matches[this.active].symbol : this.input.value);
+                break;
+            case 'Escape':
+                if (open) {
+                    event.preventDefault();
+                    this._close();
+                }
+                break;
+        }
+    }
+
+    _select(symbol) {
+        clearTimeout(this.searchTimer);
+        this.searchSequence++;
+        this.input.value = symbol.trim().toUpperCase();
+        this._close();
+        this.show(symbol);
+    }
+
+    _renderResults() {
+        render(this.results, this.matches.map((match, index) => html`
+            <li id="explore-option-${index}" role="option" aria-selected="${index === this.active}"
+                ${on('click', () => this._select(match.symbol))}
+                class="flex items-center gap-2 px-3 py-2 cursor-pointer ${index === this.active ? 'bg-purple-100' : 'hover:bg-gray-100'}">
+                <span class="font-semibold">${match.symbol}</span>
+                <span class="flex-1 min-w-0 truncate text-sm text-gray-600">${match.name}</span>
+                <span class="text-xs text-gray-500">${match.exchange}</span>
+            </li>
+        `));
+
+        if (this.matches.length && this.input === document.activeElement) {
+            this._open();
+        } else {
+            this._close();
+        }
+    }
+
+    _setActive(index) {
+        this.active = index;
+        [...this.results.children].forEach((option, position) => {
+            const active = position === index;
+            option.setAttribute('aria-selected', String(active));
+            option.classList.toggle('bg-purple-100', active);
+            option.classList.toggle('hover:bg-gray-100', !active);
+            if (active) option.scrollIntoView?.({ block: 'nearest' });
+        });
+        this.input.setAttribute('aria-activedescendant', `explore-option-${index}`);
+    }
+
+    _open() {
+        this.results.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    _close() {
+        this.active = -1;
+        this.results.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    _renderDetail() {
+        const { symbol, profile, quote, history, stock } = this.details;
+
+        // The quote route is the one that checks the symbol's format
+        if (quote.error && quote.error.status === 422) {
+            render(this.detail, html`<p class="text-sm text-red-600">${t('explore.invalidSymbol', { symbol })}</p>`);
+            return;
+        }
+
+        const company = profile.success ? profile.data : {};
+        const name = company.companyName || this.names.get(symbol) || symbol;
+
+        render(this.detail, html`
+            <div class="border-t pt-4 mt-4 space-y-4">
+                <div class="flex items-start gap-3">
+                    ${company.image ? html`<img src="${company.image}" alt="" class="w-12 h-12 rounded-lg object-contain bg-gray-50">` : ''}
+                    <div class="flex-1 min-w-0">
+                        <h4 class="text-lg font-bold">${name}</h4>
+                        <p class="text-sm text-gray-600">${[symbol, company.exchangeShortName, company.sector].filter(Boolean).join(' · ')}</p>
+                    </div>
+                    ${stock ? html`
+                        <button type="button" ${on('click', () => this.onTrade(stock.symbol, 'buy'))}
+                                aria-label="${t('explore.tradeLabel', { symbol: stock.symbol })}"
+                                class="bg-green-500 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-600">
+                            ${t('explore.trade')}
+                        </button>
+                    ` : ''}
+                </div>
+                ${quoteSection(quote)}
+                ${profile.success && company.description
+                    ? html`<p class="text-sm text-gray-700 line-clamp-4">${company.description}</p>`
+                    : profile.success ? '' : html`<p class="text-sm text-gray-500">${t(problem(profile, 'profile'))}</p>`}
+                <div>
+                    <h5 class="font-semibold text-gray-700 mb-2">${t('explore.history')}</h5>
+                    <div data-field="chart">
+                        ${history.success ? '' : html`<p class="text-sm text-gray-500">${t(problem(history, 'history'))}</p>`}
+                    </div>
+                </div>
+            </div>
+        `);
+
+        if (history.success) {
+            this.createChart(this.detail.querySelector('[data-field="chart"]')).setHistory(historyRows(history.data));
+        }
+    }
+
+    _startThrottle(response, retry) {
+        this._stopThrottle();
+        const seconds = response.error.retryAfter ?? DEFAULT_RETRY_AFTER;
+        this.throttle = { until: Date.now() + seconds * 1000, retry, timer: null };
+        this._renderThrottle();
+
+        this.throttle.timer = setInterval(() => {
+            if (this._secondsLeft() > 0) {
+                this._updateCountdown();
+                return;
+            }
+            const pending = this.throttle.retry;
+            this._stopThrottle();
+            this._setStatus();
+            pending();
+        }, 1000);
+    }
+
+    _stopThrottle() {
+        if (!this.throttle) return;
+        clearInterval(this.throttle.timer);
+        this.throttle = null;
+    }
+
+    _secondsLeft() {
+        return Math.max(0, Math.ceil((this.throttle.until - Date.now()) / 1000));
+    }
+
+    // Announced once; the ticking countdown is hidden from screen readers
+    _renderThrottle() {
+        render(this.status, html`
+            <span class="text-yellow-700">${t('explore.throttled')}</span>
+            <span aria-hidden="true" data-field="countdown" class="text-yellow-700 font-semibold tabular-nums"></span>
+        `);
+        this._updateCountdown();
+    }
+
+    _updateCountdown() {
+        this.status.querySelector('[data-field="countdown"]').textContent =
+            t('explore.retryIn', { count: this._secondsLeft() });
+    }
+
+    _setStatus(key = null, params = {}) {
+        this.statusMessage = key ? [key, params] : null;
+        render(this.status, key ? t(key, params) : '');
+    }
+}
+
+function quoteSection(response) {
+    if (!response.success) {
+        return html`<p class="text-sm text-gray-500">${t(problem(response, 'quote'))}</p>`;
+    }
+
+    const { price, change, changePercent } = readQuote(response.data);
+    if (price === null) {
+        return html`<p class="text-sm text-gray-500">${t('explore.noData')}</p>`;
+    }
+
+    return html`
+        <div class="flex items-baseline gap-3">
+            <span class="text-2xl font-bold">${money(price)}</span>
+            ${change === null ? '' : html`
+                <span class="font-semibold ${change >= 0 ? 'text-green-600' : 'text-red-600'}">
+                    ${money(change, { signed: true })}${changePercent === null ? '' : ` (${percent(changePercent)})`}
+                </span>
+            `}
+        </div>
+    `;
+}
+
+function isRateLimited(response) {
+    return !response.success && response.error && response.error.status === 429;
+}
+
+// Message key for what went wrong with one request
+function problem(response, part) {
+    const status = response.error ? response.error.status : 0;
+    switch (status) {
+        case 0:
+            return 'explore.offline';
+        case 422:
+            return 'explore.invalidQuery';
+        case 404:
+            return 'explore.notInGame';
+        case 502:
+            return part === 'search' ? 'explore.noMatches' : 'explore.noData';
+        default:
+            return 'explore.unavailable';
+    }
+}
@@ -0,0 +1,233 @@
+import { Html, I18n } from '../shared';
+
+const { html, on, render } = Html;
+const { t, money, percent } = I18n;
+
+// Range label => days shown
+const RANGES = { '1M': 30, '3M': 90, '1Y': 365 };
+
+const COLOURS = { value: '#7c3aed', market: '#f59e0b', invested: '#6b7280', cash: '#10b981' };
+
+// SVG user units; the chart stretches to the container's width
+const WIDTH = 600;
+const HEIGHT = 200;
+const PAD = 8;
+
+/**
+ * What the `portfolio` slice's shares were worth on each day of the range,
+ * worked out from today's holdings and each stock's daily closes. It shows
+ * how the stocks held now have done, not the account's actual past: trades
+ * made during the range aren't reflected.
+ *
+ * The shares are stacked on top of cash, with break-even (cash plus the
+ * amount invested) and an equal-weight basket of every listed stock that
+ * starts the range at the same value. `stocks()` gives the listed stocks.
+ * The chart itself is decorative; the legend carries the numbers.
+ */
+export class PerformanceChart {
+    constructor(container, store, { history, stocks }) {
+        this.container = container;
+        this.store = store;
+        this.history = history;
+        this.stocks = stocks;
+        this.range = '1M';
+        this.histories = new Map();
+        this.loading = null;
+        this.failed = false;
+        this.rendered = null;
+
+        // Built once so a range button keeps focus when it's pressed
+        render(container, html`
+            <div class="flex gap-2 mb-2" role="group" data-field="ranges">
+                ${Object.keys(RANGES).map(range => html`
+                    <button type="button" data-range="${range}" ${on('click', () => this.setRange(range))}
+                            class="px-3 py-1 rounded-lg text-sm font-semibold">${range}</button>
+                `)}
+            </div>
+            <div data-field="body"></div>
+        `);
+        this.rangeButtons = [...container.querySelectorAll('[data-range]')];
+        this.body = container.querySelector('[data-field="body"]');
+        this.setRange(this.range);
+
+        store.subscribe('portfolio', () => this.load());
+        store.subscribe('user', () => this.render());
+        I18n.onChange(() => this.render(true));
+    }
+
+    setRange(range) {
+        this.range = range;
+        this.rangeButtons.forEach(button => {
+            const active = button.dataset.range === range;
+            button.classList.toggle('bg-purple-600', active);
+            button.classList.toggle('text-white', active);
+            button.classList.toggle('bg-gray-100', !active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        this.render();
+    }
+
+    // Fetch any history not loaded yet; cached stocks come back at once.
+    // Runs on every portfolio poll, so stocks that just failed are skipped
+    // until PriceHistory's backoff says to try them again.
+    async load() {
+        const symbols = [
+            ...this.store.get('portfolio').map(item => item.stock_symbol),
+            ...this.stocks().map(stock => stock.symbol)
+        ].filter(symbol => !this.histories.has(symbol) && !this.history.isBackingOff(symbol));
+
+        if (symbols.length > 0) {
+            const loading = this.history.load(symbols);
+            this.loading = loading;
+            this.render();
+
+            const histories = await loading;
+            histories.forEach((rows, symbol) => this.histories.set(symbol, rows));
+            if (this.loading !== loading) return;
+            this.loading = null;
+            this.failed = symbols.some(symbol => !histories.has(symbol));
+        }
+        this.render();
+    }
+
+    render(force = false) {
+        const holdings = this.store.get('portfolio').filter(item => parseInt(item.quantity) > 0);
+        const missing = holdings.some(item => !this.histories.has(item.stock_symbol));
+        const user = this.store.get('user');
+        const series = holdings.length && !missing
+            ? performance(holdings, this.histories, this.stocks(), RANGES[this.range], parseFloat(user ? user.balance : 0))
+            : null;
+
+        const signature = JSON.stringify([this.range, holdings.length, missing && (this.loading ? 'loading' : this.failed), series]);
+        if (!force && signature === this.rendered) return;
+        this.rendered = signature;
+
+        this.container.querySelector('[data-field="ranges"]').setAttribute('aria-label', t('performance.range'));
+
+        let body;
+        if (holdings.length === 0) {
+            body = html`<p class="text-gray-500 text-sm py-8 text-center">${t('performance.empty')}</p>`;
+        } else if (missing) {
+            body = html`<p class="text-gray-500 text-sm py-8 text-center">${t(this.loading ? 'performance.loading' : 'performance.unavailable')}</p>`;
+        } else if (series.dates.length < 2) {
+            body = html`<p class="text-gray-500 text-sm py-8 text-center">${t('chart.notEnough')}</p>`;
+        } else {
+            body = this._chart(series);
+        }
+
+        render(this.body, body);
+    }
+
+    _chart(series) {
+        const { dates, value, market, invested, cash } = series;
+        const total = value.map(amount => cash + amount);
+        const plotted = [...total, cash, cash + invested, ...(market ? market.map(amount => cash + amount) : [])];
+        let min = Math.min(...plotted);
+        let max = Math.max(...plotted);
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+
+        const x = (i) => (i / (dates.length - 1)) * WIDTH;
+        const y = (amount) => PAD + (1 - (amount - min) / (max - min)) * (HEIGHT - 2 * PAD);
+        const line = (amounts) => amounts.map((amount, i) => `${x(i)},${y(amount)}`).join(' ');
+
+        const first = value[0];
+        const last = value[value.length - 1];
+        const change = first > 0 ? ((last - first) / first) * 100 : 0;
+        const marketChange = market && market[0] > 0 ? ((market[market.length - 1] - market[0]) / market[0]) * 100 : null;
+        const formatDate = (date) => I18n.date(date, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+        return html`
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none" class="block w-full h-48" aria-hidden="true">
+                <polygon points="${line(total)} ${WIDTH},${y(cash)} 0,${y(cash)}" fill="rgba(124,58,237,0.12)"></polygon>
+                <line x1="0" x2="${WIDTH}" y1="${y(cash)}" y2="${y(cash)}" stroke="${COLOURS.cash}" stroke-width="2" vector-effect="non-scaling-stroke"></line>
+                <line x1="0" x2="${WIDTH}" y1="${y(cash + invested)}" y2="${y(cash + invested)}" stroke="${COLOURS.invested}" stroke-dasharray="4 3" vector-effect="non-scaling-stroke"></line>
+                ${market ? html`
+                    <polyline points="${line(market.map(amount => cash + amount))}" fill="none" stroke="${COLOURS.market}" stroke-width="2"
+                              stroke-dasharray="6 3" stroke-linejoin="round" vector-effect="non-scaling-stroke"></polyline>
+                ` : ''}
+                <polyline points="${line(total)}" fill="none" stroke="${COLOURS.value}" stroke-width="2" stroke-linejoin="round" vector-effect="non-scaling-stroke"></polyline>
+            </svg>
+            <div class="flex justify-between text-xs text-gray-500 mt-1">
+                <span>${formatDate(dates[0])}</span>
+                <span>${formatDate(dates[dates.length - 1])}</span>
+            </div>
+            <ul class="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm mt-3">
+                ${legendItem(COLOURS.value, t('performance.value'), money(last), change)}
+                ${market ? legendItem(COLOURS.market, t('performance.market'), null, marketChange) : ''}
+                ${legendItem(COLOURS.invested, t('performance.invested'), money(invested))}
+                ${legendItem(COLOURS.cash, t('performance.cash'), money(cash))}
+            </ul>
+        `;
+    }
+}
+
+function legendItem(colour, label, amount, change = null) {
+    return html`
+        <li class="flex items-center gap-2">
+            <span class="w-3 h-3 rounded-full shrink-0" style="background-color: ${colour}"></span>
+            <span class="flex-1 truncate">${label}</span>
+            ${amount !== null ? html`<span class="font-semibold tabular-nums">${amount}</span>` : ''}
+            ${change !== null ? html`<span class="tabular-nums ${change >= 0 ? 'text-green-600' : 'text-red-600'}">${percent(change)}</span>` : ''}
+        </li>
+    `;
+}
+
+/**
+ * Daily series over the last `days` of the held stocks' history:
+ *   value:    today's holdings at each day's closes (today's live price last)
+ *   market:   an equal-weight basket of `stocks` with history, scaled to
+ *             start at value[0]; null if there are none
+ *   invested: what today's holdings cost
+ *   cash:     today's balance
+ */
+function performance(holdings, histories, stocks, days, cash) {
+    const held = holdings.map(item => histories.get(item.stock_symbol));
+    const end = held.reduce((latest, rows) => rows.length && rows[rows.length - 1].date > latest ? rows[rows.length - 1].date : latest, '');
+    const start = end ? new Date(Date.parse(end) - days * 86400000).toISOString().slice(0, 10) : '';
+    const dates = [...new Set(held.flatMap(rows => rows.map(row => row.date)))]
+        .filter(date => date >= start)
+        .sort();
+
+    const value = dates.map(() => 0);
+    holdings.forEach((item, index) => {
+        const closes = closesOn(held[index], dates, parseFloat(item.current_price));
+        closes.forEach((close, i) => {
+            value[i] += parseInt(item.quantity) * close;
+        });
+    });
+
+    const basket = stocks
+        .filter(stock => (histories.get(stock.symbol) || []).length > 0)
+        .map(stock => closesOn(histories.get(stock.symbol), dates, parseFloat(stock.current_price)));
+    const market = basket.length && dates.length
+        ? dates.map((date, i) => value[0] * basket.reduce((sum, closes) => sum + closes[i] / closes[0], 0) / basket.length)
+        : null;
+
+    const invested = holdings.reduce((sum, item) => sum + parseInt(item.quantity) * parseFloat(item.average_price), 0);
+    return { dates, value: value.map(round), market: market && market.map(round), invested: round(invested), cash };
+}
+
+// A stock's close on each of `dates`: the last close on or before the day,
+// or its first close for days before its history starts. `latest`
+// (today's live price) replaces the final day when it's known, and stands
+// in for every day if the stock has no history at all.
+function closesOn(rows, dates, latest) {
+    if (rows.length === 0) return dates.map(() => latest);
+
+    let index = 0;
+    const closes = dates.map(date => {
+        while (index + 1 < rows.length && rows[index + 1].date <= date) index++;
+        return rows[index].close;
+    });
+    if (closes.length && Number.isFinite(latest)) {
+        closes[closes.length - 1] = latest;
+    }
+    return closes;
+}
+
+function round(amount) {
+    return Math.round(amount * 100) / 100;
+}
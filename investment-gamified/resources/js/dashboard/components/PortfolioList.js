@@ -0,0 +1,200 @@
+import { Html, I18n } from '../shared';
+import { KeyedList, flash } from '../KeyedList';
+
+const { html, on, render } = Html;
+const { t, money, percent } = I18n;
+
+// Table columns, in order; `text` columns sort alphabetically
+const COLUMNS = [
+    { key: 'stock_symbol', label: 'portfolio.column.stock', text: true },
+    { key: 'quantity', label: 'portfolio.column.shares' },
+    { key: 'average_price', label: 'portfolio.column.averagePrice' },
+    { key: 'cost_basis', label: 'portfolio.column.costBasis' },
+    { key: 'current_price', label: 'portfolio.column.price' },
+    { key: 'total_value', label: 'portfolio.column.value' },
+    { key: 'profit_loss', label: 'portfolio.column.profit' },
+    { key: 'profit_loss_percentage', label: 'portfolio.column.profitPercent' },
+    { key: 'weight', label: 'portfolio.column.weight' }
+];
+
+// How each numeric cell is written
+const FORMATS = {
+    quantity: row => I18n.number(row.quantity),
+    average_price: row => money(row.average_price),
+    cost_basis: row => money(row.cost_basis),
+    current_price: row => money(row.current_price),
+    total_value: row => money(row.total_value),
+    profit_loss: row => money(row.profit_loss, { signed: true }),
+    profit_loss_percentage: row => percent(row.profit_loss_percentage),
+    weight: row => percent(row.weight, { signed: false })
+};
+
+/**
+ * Every holding from the `portfolio` slice as a sortable table, with cost
+ * basis and portfolio weight worked out per row. The footer shows the
+ * totals from the `user` slice (/portfolio/summary). Changed cells are
+ * patched in place, and profit/loss flashes when it moves.
+ */
+export class PortfolioList {
+    constructor(table, store) {
+        this.store = store;
+        this.head = table.tHead;
+        this.foot = table.tFoot;
+        this.sort = { key: 'total_value', direction: 'desc' };
+
+        this.list = new KeyedList(table.tBodies[0], {
+            key: row => row.stock_symbol,
+            create: row => this._row(row),
+            patch: (el, row, previous) => this._patch(el, row, previous),
+            empty: () => html`<tr><td colspan="${COLUMNS.length}" class="py-2 text-gray-500">${t('portfolio.empty')}</td></tr>`
+        });
+
+        this._renderHead();
+        store.subscribe('portfolio', () => this.render());
+        store.subscribe('user', () => this._renderTotals());
+        I18n.onChange(() => {
+            this._renderHead();
+            this.list.refresh();
+            this._renderTotals();
+        });
+    }
+
+    render() {
+        this.list.update(sortRows(withDerivedFields(this.store.get('portfolio')), this.sort));
+        this._renderTotals();
+    }
+
+    /**
+     * Sort by a column; choosing the current one again flips the direction.
+     * Text sorts A-Z first, numbers largest first.
+     */
+    sortBy(key) {
+        const column = COLUMNS.find(candidate => candidate.key === key);
+        if (this.sort.key === key) {
+            this.sort = { key, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' };
+        } else {
+            this.sort = { key, direction: column.text ? 'asc' : 'desc' };
+        }
+        this._updateSortIndicators();
+        this.render();
+    }
+
+    _renderHead() {
+        render(this.head, html`
+            <tr class="border-b text-gray-600">
+                ${COLUMNS.map(column => html`
+                    <th scope="col" data-sort="${column.key}" class="py-2 px-2 font-semibold whitespace-nowrap ${column.text ? 'text-left' : 'text-right'}">
+                        <button type="button" ${on('click', () => this.sortBy(column.key))}
+                                class="inline-flex items-center gap-1 hover:text-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 rounded">
+                            ${t(column.label)}<span aria-hidden="true" data-field="arrow" class="w-3"></span>
+                        </button>
+                    </th>
+                `)}
+            </tr>
+        `);
+        this._updateSortIndicators();
+    }
+
+    // Patched rather than re-rendered so the clicked heading keeps focus
+    _updateSortIndicators() {
+        this.head.querySelectorAll('th[data-sort]').forEach(th => {
+            const active = th.dataset.sort === this.sort.key;
+            if (active) {
+                th.setAttribute('aria-sort', this.sort.direction === 'asc' ? 'ascending' : 'descending');
+            } else {
+                th.removeAttribute('aria-sort');
+            }
+            th.querySelector('[data-field="arrow"]').textContent = active ? (this.sort.direction === 'asc' ? '▲' : '▼') : '';
+        });
+    }
+
+    _row(row) {
+        return html`
+            <tr class="border-b last:border-0">
+                <th scope="row" class="py-2 px-2 text-left font-normal">
+                    <span class="font-semibold">${row.stock_symbol}</span>
+                    <span class="block text-xs text-gray-500 truncate max-w-[12rem]">${row.stock_name}</span>
+                </th>
+                ${COLUMNS.slice(1).map(column => html`
+                    <td data-field="${column.key}" class="py-2 px-2 text-right tabular-nums whitespace-nowrap rounded transition-colors duration-700 ${cellClass(column.key, row)}">
+                        ${FORMATS[column.key](row)}
+                    </td>
+                `)}
+            </tr>
+        `;
+    }
+
+    _patch(el, row, previous) {
+        COLUMNS.slice(1).forEach(({ key }) => {
+            const cell = el.querySelector(`[data-field="${key}"]`);
+            const text = FORMATS[key](row);
+            if (cell.textContent.trim() !== text) {
+                cell.textContent = text;
+            }
+            if (key === 'profit_loss' || key === 'profit_loss_percentage') {
+                cell.classList.toggle('text-green-600', row[key] >= 0);
+                cell.classList.toggle('text-red-600', row[key] < 0);
+            }
+        });
+
+        const moved = parseFloat(row.profit_loss) - parseFloat(previous.profit_loss);
+        if (moved !== 0) {
+            flash(el.querySelector('[data-field="profit_loss"]'), moved > 0 ? 'bg-green-100' : 'bg-red-100');
+        }
+    }
+
+    // Same sums and percentage as PortfolioController::summary
+    _renderTotals() {
+        const user = this.store.get('user');
+        if (!user || this.store.get('portfolio').length === 0) {
+            render(this.foot, '');
+            return;
+        }
+
+        const invested = parseFloat(user.total_invested) || 0;
+        const value = parseFloat(user.total_value) || 0;
+        const profit = value - invested;
+        const profitPercentage = invested > 0 ? (profit / invested) * 100 : 0;
+
+        render(this.foot, html`
+            <tr class="border-t-2 font-bold">
+                <th scope="row" colspan="3" class="py-2 px-2 text-left">${t('portfolio.total')}</th>
+                <td class="py-2 px-2 text-right tabular-nums whitespace-nowrap">${money(invested)}</td>
+                <td></td>
+                <td class="py-2 px-2 text-right tabular-nums whitespace-nowrap">${money(value)}</td>
+                <td class="py-2 px-2 text-right tabular-nums whitespace-nowrap ${profitClass(profit)}">${money(profit, { signed: true })}</td>
+                <td class="py-2 px-2 text-right tabular-nums whitespace-nowrap ${profitClass(profit)}">${percent(profitPercentage)}</td>
+                <td class="py-2 px-2 text-right tabular-nums whitespace-nowrap">${percent(100, { signed: false })}</td>
+            </tr>
+        `);
+    }
+}
+
+// Cost basis, and each holding's share of the total market value
+function withDerivedFields(items) {
+    const totalValue = items.reduce((sum, item) => sum + (parseFloat(item.total_value) || 0), 0);
+    return items.map(item => ({
+        ...item,
+        cost_basis: parseInt(item.quantity) * parseFloat(item.average_price),
+        weight: totalValue > 0 ? (parseFloat(item.total_value) / totalValue) * 100 : 0
+    }));
+}
+
+function sortRows(rows, { key, direction }) {
+    const column = COLUMNS.find(candidate => candidate.key === key);
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const order = column.text
+            ? String(a[key]).localeCompare(String(b[key]))
+            : parseFloat(a[key]) - parseFloat(b[key]);
+        return order * sign || a.stock_symbol.localeCompare(b.stock_symbol);
+    });
+}
+
+function cellClass(key, row) {
+    return key === 'profit_loss' || key === 'profit_loss_percentage' ? profitClass(row[key]) : '';
+}
+
+function profitClass(value) {
+    return value >= 0 ? 'text-green-600' : 'text-red-600';
+}
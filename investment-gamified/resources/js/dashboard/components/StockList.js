@@ -0,0 +1,114 @@
+import { Html, I18n } from '../shared';
+import { KeyedList, flash } from '../KeyedList';
+
+const { html, on } = Html;
+const { t, money, percent } = I18n;
+
+/**
+ * Stock cards from the `stocks` slice. Price and daily change are patched
+ * in place and flash green or red when the price moves; Buy/Sell are
+ * disabled while offline. The star adds a stock to the watchlist. Cards
+ * take focus so the B and S shortcuts can trade the one that has it.
+ */
+export class StockList {
+    constructor(container, store, { connection, watchlist, onTrade }) {
+        this.connection = connection;
+        this.watchlist = watchlist;
+        this.onTrade = onTrade;
+        this.list = new KeyedList(container, {
+            key: stock => stock.symbol,
+            create: stock => this._card(stock),
+            patch: (el, stock, previous) => this._patch(el, stock, previous),
+            empty: () => html`<p class="text-gray-500 text-sm">${t('stocks.empty')}</p>`
+        });
+
+        store.subscribe('stocks', ({ items }) => this.list.update(items));
+        store.subscribe('watchlist', () => {
+            this.list.forEachRow((el, stock) => this._setWatched(el, stock));
+        });
+        connection.addEventListener('change', () => {
+            this.list.forEachRow(el => this._setTradeEnabled(el));
+        });
+        I18n.onChange(() => this.list.refresh());
+    }
+
+    showError(message) {
+        this.list.showMessage(html`<p class="text-red-500">${message}</p>`);
+    }
+
+    _card(stock) {
+        return html`
+            <div tabindex="0" data-symbol="${stock.symbol}" role="group" aria-label="${stock.symbol} ${stock.name}" aria-keyshortcuts="B S"
+                 class="border rounded-xl p-4 hover:shadow-md transition focus:outline-none focus:ring-2 focus:ring-purple-500">
+                <div class="flex justify-between items-start mb-2">
+                    <div>
+                        <h4 class="font-bold text-lg">${stock.symbol}</h4>
+                        <p class="text-sm text-gray-600">${stock.name}</p>
+                    </div>
+                    <div class="flex items-start gap-1">
+                        <div class="text-right rounded-lg px-2 transition-colors duration-700" data-field="quote">
+                            <p class="font-bold text-xl" data-field="price">${money(stock.current_price)}</p>
+                            <p class="text-sm ${changeClass(stock)}" data-field="change">${percent(stock.change_percentage)}</p>
+                        </div>
+                        <button type="button" data-watch ${on('click', () => this.watchlist.toggle(stock.symbol))}
+                                aria-pressed="${this.watchlist.isWatched(stock.symbol)}"
+                                aria-label="${t('watchlist.toggle', { symbol: stock.symbol })}" title="${t('watchlist.toggle', { symbol: stock.symbol })}"
+                                class="w-9 h-9 -mr-2 rounded-lg text-2xl leading-none text-yellow-500 hover:bg-gray-100">
+                            ${this.watchlist.isWatched(stock.symbol) ? '★' : '☆'}
+                        </button>
+                    </div>
+                </div>
+                <p class="text-sm text-gray-600 mb-3">${stock.kid_friendly_description || stock.description || ''}</p>
+                ${stock.fun_fact ? html`<p class="text-xs text-purple-600 mb-3">💡 ${stock.fun_fact}</p>` : ''}
+                <div class="flex gap-2">
+                    <button data-trade ${on('click', () => this.onTrade(stock.symbol, 'buy'))} ${this.connection.online ? '' : html`disabled`}
+                            class="flex-1 bg-green-500 text-white py-2 rounded-lg hover:bg-green-600 font-semibold disabled:opacity-50 disabled:cursor-not-allowed">
+                        ${t('stocks.buy')}
+                    </button>
+                    <button data-trade ${on('click', () => this.onTrade(stock.symbol, 'sell'))} ${this.connection.online ? '' : html`disabled`}
+                            class="flex-1 bg-red-500 text-white py-2 rounded-lg hover:bg-red-600 font-semibold disabled:opacity-50 disabled:cursor-not-allowed">
+                        ${t('stocks.sell')}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Only prices move between polls; anything else rebuilds the card
+    _patch(el, stock, previous) {
+        if (JSON.stringify(withoutQuote(stock)) !== JSON.stringify(withoutQuote(previous))) return false;
+
+        el.querySelector('[data-field="price"]').textContent = money(stock.current_price);
+        const changeEl = el.querySelector('[data-field="change"]');
+        changeEl.textContent = percent(stock.change_percentage);
+        changeEl.className = `text-sm ${changeClass(stock)}`;
+
+        const moved = parseFloat(stock.current_price) - parseFloat(previous.current_price);
+        if (moved !== 0) {
+            flash(el.querySelector('[data-field="quote"]'), moved > 0 ? 'bg-green-100' : 'bg-red-100');
+        }
+        return true;
+    }
+
+    _setWatched(el, stock) {
+        const watched = this.watchlist.isWatched(stock.symbol);
+        const button = el.querySelector('[data-watch]');
+        button.setAttribute('aria-pressed', String(watched));
+        button.textContent = watched ? '★' : '☆';
+    }
+
+    _setTradeEnabled(el) {
+        el.querySelectorAll('[data-trade]').forEach(button => {
+            button.disabled = !this.connection.online;
+        });
+    }
+}
+
+function changeClass(stock) {
+    return stock.change_percentage >= 0 ? 'text-green-600' : 'text-red-600';
+}
+
+// A stock without the fields that change on every price tick
+function withoutQuote({ current_price, change_percentage, ...stock }) {
+    return stock;
+}
@@ -0,0 +1,60 @@
+import { I18n } from '../shared';
+
+const { t, money } = I18n;
+
+/**
+ * Welcome line, level, balance, portfolio value, XP and progress toward the
+ * next level from the `user` slice. Only text that actually changed is
+ * written back to the page.
+ */
+export class SummaryPanel {
+    constructor(store) {
+        this.store = store;
+        this.fields = {
+            welcome: document.getElementById('welcomeHeading'),
+            level: document.getElementById('levelLabel'),
+            balance: document.getElementById('userBalance'),
+            portfolioValue: document.getElementById('portfolioValue'),
+            xp: document.getElementById('userXP'),
+            progressLabel: document.getElementById('xpProgressLabel')
+        };
+        this.progress = document.getElementById('xpProgress');
+        this.progressFill = document.getElementById('xpProgressFill');
+
+        store.subscribe('user', () => this.render());
+        I18n.onChange(() => this.render());
+    }
+
+    render() {
+        const user = this.store.get('user');
+        if (!user) return;
+
+        this._set('welcome', t('dashboard.welcome', { name: user.name || t('dashboard.defaultName') }));
+        this._set('level', t('dashboard.level', { level: user.level }));
+        this._set('balance', money(user.balance));
+        this._set('portfolioValue', money(user.total_value));
+        this._set('xp', t('xp.amount', { count: user.experience_points }));
+        this._renderProgress(user);
+    }
+
+    // XP rolls over at each level-up, so experience_points is progress
+    // within the current level
+    _renderProgress(user) {
+        const next = user.next_level_xp || 0;
+        const xp = Math.min(user.experience_points, next);
+        const nextLevel = user.level + 1;
+
+        this.progressFill.style.width = `${next ? (xp / next) * 100 : 0}%`;
+        this.progress.setAttribute('aria-valuemax', String(next));
+        this.progress.setAttribute('aria-valuenow', String(xp));
+        this.progress.setAttribute('aria-label', t('xp.progressLabel', { level: nextLevel }));
+        this._set('progressLabel', t('xp.progress', { xp, next, level: nextLevel }));
+    }
+
+    _set(field, text) {
+        const el = this.fields[field];
+        if (el.textContent !== text) {
+            el.textContent = text;
+        }
+    }
+}
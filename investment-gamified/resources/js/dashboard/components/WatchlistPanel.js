@@ -0,0 +1,129 @@
+import { Html, I18n } from '../shared';
+import { KeyedList, flash } from '../KeyedList';
+
+const { html, on } = Html;
+const { t, money, percent } = I18n;
+
+/**
+ * Watched stocks and price alerts from the `watchlist` slice. Prices come
+ * from the `quotes` slice, or the loaded stocks page until a quote arrives.
+ * `onAlert(symbol)` is called when a stock's bell is pressed.
+ */
+export class WatchlistPanel {
+    constructor({ list, alerts }, store, { watchlist, onAlert }) {
+        this.store = store;
+        this.watchlist = watchlist;
+        this.onAlert = onAlert;
+
+        this.list = new KeyedList(list, {
+            key: row => row.symbol,
+            create: row => this._watchRow(row),
+            patch: (el, row, previous) => this._patchWatchRow(el, row, previous),
+            empty: () => html`<p class="text-gray-500 text-sm">${t('watchlist.empty')}</p>`
+        });
+        this.alerts = new KeyedList(alerts, {
+            key: alert => alert.id,
+            create: alert => this._alertRow(alert),
+            empty: () => html`<p class="text-gray-500 text-sm">${t('alerts.empty')}</p>`
+        });
+
+        store.subscribe('watchlist', () => this.render());
+        store.subscribe('quotes', () => this.render());
+        store.subscribe('stocks', () => this.render());
+        I18n.onChange(() => {
+            this.list.refresh();
+            this.alerts.refresh();
+        });
+    }
+
+    render() {
+        const { symbols, alerts } = this.store.get('watchlist');
+        const quotes = this.store.get('quotes');
+        const loaded = this.store.get('stocks').items;
+
+        this.list.update(symbols.map(symbol => quotes[symbol] || loaded.find(stock => stock.symbol === symbol) || { symbol }));
+        this.alerts.update(alerts);
+    }
+
+    _watchRow(row) {
+        return html`
+            <div class="flex items-center gap-2 p-2 rounded-lg bg-gray-50">
+                <div class="flex-1 min-w-0">
+                    <p class="font-semibold">${row.symbol}</p>
+                    <p class="text-xs text-gray-600 truncate" data-field="name">${row.name || ''}</p>
+                </div>
+                <div class="text-right rounded px-1 transition-colors duration-700" data-field="quote">
+                    <p class="text-sm font-bold" data-field="price">${price(row)}</p>
+                    <p class="text-xs ${changeClass(row)}" data-field="change">${change(row)}</p>
+                </div>
+                <button type="button" ${on('click', () => this.onAlert(row.symbol))}
+                        aria-label="${t('alerts.setFor', { symbol: row.symbol })}" title="${t('alerts.setFor', { symbol: row.symbol })}"
+                        class="w-9 h-9 rounded-lg hover:bg-gray-200"><span aria-hidden="true">🔔</span></button>
+                <button type="button" ${on('click', () => this.watchlist.toggle(row.symbol))}
+                        aria-label="${t('watchlist.remove', { symbol: row.symbol })}" title="${t('watchlist.remove', { symbol: row.symbol })}"
+                        class="w-9 h-9 rounded-lg text-yellow-500 text-xl hover:bg-gray-200"><span aria-hidden="true">★</span></button>
+            </div>
+        `;
+    }
+
+    _patchWatchRow(el, row, previous) {
+        el.querySelector('[data-field="name"]').textContent = row.name || '';
+        el.querySelector('[data-field="price"]').textContent = price(row);
+        const changeEl = el.querySelector('[data-field="change"]');
+        changeEl.textContent = change(row);
+        changeEl.className = `text-xs ${changeClass(row)}`;
+
+        const moved = parseFloat(row.current_price) - parseFloat(previous.current_price);
+        if (moved) {
+            flash(el.querySelector('[data-field="quote"]'), moved > 0 ? 'bg-green-100' : 'bg-red-100');
+        }
+    }
+
+    _alertRow(alert) {
+        const description = describeAlert(alert);
+        return html`
+            <div class="flex items-center gap-2 p-2 rounded-lg ${alert.armed ? 'bg-gray-50' : 'bg-yellow-50'}">
+                <span aria-hidden="true">${alert.armed ? '🔔' : '🔕'}</span>
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm font-semibold">${description}</p>
+                    <p class="text-xs text-gray-600">
+                        ${alert.armed ? t('alerts.armed') : t('alerts.firedAt', { time: I18n.time(alert.firedAt), price: money(alert.firedPrice) })}
+                    </p>
+                </div>
+                ${alert.armed ? '' : html`
+                    <button type="button" ${on('click', () => this.watchlist.rearm(alert.id))}
+                            aria-label="${t('alerts.rearmLabel', { alert: description })}"
+                            class="px-2 py-1 rounded-lg text-xs font-semibold bg-purple-100 text-purple-700 hover:bg-purple-200">
+                        ${t('alerts.rearm')}
+                    </button>
+                `}
+                <button type="button" ${on('click', () => this.watchlist.removeAlert(alert.id))}
+                        aria-label="${t('alerts.remove', { alert: description })}"
+                        class="w-8 h-8 rounded-lg text-gray-400 text-xl hover:bg-gray-200 hover:text-gray-600">×</button>
+            </div>
+        `;
+    }
+}
+
+/**
+ * "AAPL above $200.00" and the like, for lists, toasts and notifications
+ */
+export function describeAlert(alert) {
+    return t(`alerts.condition.${alert.condition}`, {
+        symbol: alert.symbol,
+        price: money(alert.target),
+        percent: percent(alert.target, { signed: false })
+    });
+}
+
+function price(row) {
+    return row.current_price === undefined ? '—' : money(row.current_price);
+}
+
+function change(row) {
+    return row.change_percentage === undefined ? '' : percent(row.change_percentage);
+}
+
+function changeClass(row) {
+    return row.change_percentage >= 0 ? 'text-green-600' : 'text-red-600';
+}
@@ -0,0 +1,57 @@
+/**
+ * The /external/stocks routes pass provider data through as-is, so Alpha
+ * Vantage answers with numbered keys ("1. symbol", "4. close") and FMP
+ * with camelCase. These turn either into the shapes the explorer shows.
+ */
+
+/**
+ * Search matches as [{ symbol, name, exchange }]
+ */
+export function searchResults(data) {
+    return (Array.isArray(data) ? data : [])
+        .map(row => ({
+            symbol: row.symbol ?? row['1. symbol'],
+            name: row.name ?? row['2. name'] ?? '',
+            exchange: row.exchangeShortName ?? row.stockExchange ?? row['4. region'] ?? ''
+        }))
+        .filter(row => row.symbol);
+}
+
+/**
+ * Latest quote as { price, change, changePercent } (numbers or null)
+ */
+export function quote(data) {
+    const percent = data.changesPercentage ?? data.change_percent;
+    return {
+        price: toNumber(data.price),
+        change: toNumber(data.change),
+        // Alpha Vantage sends "1.2345%"
+        changePercent: toNumber(typeof percent === 'string' ? percent.replace('%', '') : percent)
+    };
+}
+
+/**
+ * Daily prices in the StockHistory row shape PriceChart#setHistory takes
+ */
+export function historyRows(data) {
+    if (Array.isArray(data)) {
+        return data.map(row => ({
+            date: row.date,
+            close_price: row.close,
+            high_price: row.high ?? row.close,
+            low_price: row.low ?? row.close
+        }));
+    }
+
+    return Object.entries(data || {}).map(([date, row]) => ({
+        date,
+        close_price: row['4. close'],
+        high_price: row['2. high'],
+        low_price: row['3. low']
+    }));
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
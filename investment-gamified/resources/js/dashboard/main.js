@@ -0,0 +1,1274 @@
+import { Html, I18n, InvestmentApi, ActivityJournal, LiveUpdates, OfflineStatus, TabSync, PriceChart, MockBackend, Notifier } from './shared';
+import { Store } from './Store';
+import { SummaryPanel } from './components/SummaryPanel';
+import { StockList } from './components/StockList';
+import { PortfolioList } from './components/PortfolioList';
+import { AllocationChart } from './components/AllocationChart';
+import { PerformanceChart } from './components/PerformanceChart';
+import { AchievementList } from './components/AchievementList';
+import { LeaderboardList } from './components/LeaderboardList';
+import { Celebration } from './components/Celebration';
+import { WatchlistPanel, describeAlert } from './components/WatchlistPanel';
+import { MarketExplorer } from './components/MarketExplorer';
+import { CommandPalette } from './components/CommandPalette';
+import { Watchlist } from './Watchlist';
+import { PriceHistory } from './PriceHistory';
+import { Modal } from './Modal';
+import { parseCommand, matchStocks, rankMatches } from './commands';
+
+const { html, on, render } = Html;
+const { t, money, percent } = I18n;
+
+let api = null;
+let journal = null;
+let connection = null;
+let tabs = null;
+let xpRewards = null;
+
+// Dashboard data; components subscribe to the slices they show
+const store = new Store({
+    user: null,
+    stocks: { items: [], meta: null },
+    portfolio: [],
+    achievements: [],
+    leaderboard: { entries: [], meta: null },
+    watchlist: { symbols: [], alerts: [] },
+    // Latest prices for watched and alerted stocks, by symbol
+    quotes: {}
+});
+const watchlist = new Watchlist(store);
+
+// Slices the leader tab posts to the others whenever they change
+const SHARED_SLICES = ['user', 'portfolio', 'quotes', 'stocks', 'leaderboard'];
+
+let stockList = null;
+let marketExplorer = null;
+let celebration = null;
+let notifier = null;
+let currentStock = null;
+let tradeType = null;
+let tradePending = false;
+// Bumped when a trade settles, so loads that began before it are dropped
+let tradeGeneration = 0;
+let priceChart = null;
+let liveUpdates = null;
+let tradeModal = null;
+let shortcutHelp = null;
+let commandPalette = null;
+
+// Stock browser filters, mirrored in the URL query string
+let stockFilters = null;
+let categories = [];
+// Every listed stock, for the command palette and the performance chart's benchmark
+let stockIndex = [];
+
+// Leaderboard paging, plus ranks from the previous visit for movement arrows
+let currentUser = null;
+let leaderboardPage = 1;
+let previousRanks = {};
+
+/**
+ * Start the normal-mode dashboard on the welcome page
+ */
+export function mountDashboard() {
+    const appUrl = document.querySelector('meta[name="app-url"]').content;
+    // In-browser mock backend with ?demo=1
+    api = new InvestmentApi(appUrl + '/api', MockBackend.apiOptions());
+    journal = new ActivityJournal(api);
+    connection = new OfflineStatus(api, { serviceWorkerUrl: appUrl + '/sw.js' });
+    tabs = new TabSync(api);
+    xpRewards = JSON.parse(document.querySelector('meta[name="game-xp"]').content);
+    stockFilters = readStockFilters();
+    I18n.init();
+
+    new SummaryPanel(store);
+    stockList = new StockList(document.getElementById('stocksList'), store, {
+        connection,
+        watchlist,
+        onTrade: openTradeModal
+    });
+    new PortfolioList(document.getElementById('portfolioTable'), store);
+    new AllocationChart(document.getElementById('allocationChart'), store);
+    new PerformanceChart(document.getElementById('performanceChart'), store, {
+        history: new PriceHistory(api),
+        stocks: () => stockIndex
+    });
+    new AchievementList(document.getElementById('achievementsList'), store);
+    new LeaderboardList(document.getElementById('leaderboardList'), store, {
+        currentUser: () => currentUser,
+        previousRank: id => previousRanks[id]
+    });
+    new WatchlistPanel({
+        list: document.getElementById('watchlistList'),
+        alerts: document.getElementById('alertsList')
+    }, store, { watchlist, onAlert: prefillAlert });
+    marketExplorer = new MarketExplorer({
+        source: document.getElementById('exploreSource'),
+        search: document.getElementById('exploreSearch'),
+        results: document.getElementById('exploreResults'),
+        status: document.getElementById('exploreStatus'),
+        detail: document.getElementById('exploreDetail')
+    }, {
+        api,
+        onTrade: openTradeModal,
+        createChart: container => new PriceChart(container, priceChartOptions())
+    });
+    store.subscribe('stocks', ({ meta }) => renderStocksPagination(meta));
+    store.subscribe('leaderboard', ({ meta }) => renderLeaderboardPagination(meta));
+
+    tradeModal = new Modal(document.getElementById('tradeModal'));
+    shortcutHelp = new Modal(document.getElementById('shortcutHelp'), { closeOnBackdrop: true });
+    commandPalette = new CommandPalette({
+        overlay: document.getElementById('commandPalette'),
+        input: document.getElementById('commandInput'),
+        list: document.getElementById('commandList')
+    }, { commands: paletteCommands });
+
+    celebration = new Celebration(document.getElementById('celebration'));
+    notifier = new Notifier({ labels: notifierLabels() });
+    store.subscribe('user', celebrateLevelUp);
+
+    // Token revoked or expired: drop back to the login screen
+    api.addEventListener('auth-expired', () => {
+        logout();
+        showError(t('auth.sessionExpired'));
+    });
+    journal.addEventListener('change', loadActivity);
+    // The journal keeps the ids of unlocks already seen, so each is celebrated once
+    journal.addEventListener('change', ({ detail: { entry } }) => {
+        if (entry.type === 'achievement') celebrateAchievement(entry);
+    });
+
+    bindTradeTicket();
+    bindStockBrowser();
+    bindConnection();
+    bindLanguage();
+    bindAlerts();
+    bindTabs();
+    bindShortcuts();
+
+    // Static controls
+    document.getElementById('loginBtn').addEventListener('click', login);
+    document.getElementById('registerBtn').addEventListener('click', register);
+    document.querySelectorAll('[data-action="toggle-auth"]').forEach(button => button.addEventListener('click', toggleAuthMode));
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+    document.getElementById('cancelTradeBtn').addEventListener('click', closeTradeModal);
+    document.getElementById('confirmTradeBtn').addEventListener('click', confirmTrade);
+
+    // Check for existing token on load
+    if (api.token) {
+        showDashboard();
+    }
+}
+
+// Login
+async function login() {
+    const email = document.getElementById('loginEmail').value;
+    const password = document.getElementById('loginPassword').value;
+
+    const data = await api.login(email, password);
+
+    if (data.success) {
+        showDashboard();
+    } else {
+        showError(data.message || t('auth.loginFailed'));
+    }
+}
+
+// Register
+async function register() {
+    const name = document.getElementById('registerName').value;
+    const email = document.getElementById('registerEmail').value;
+    const password = document.getElementById('registerPassword').value;
+    const passwordConfirm = document.getElementById('registerPasswordConfirm').value;
+
+    // Client-side validation
+    if (!name || !email || !password || !passwordConfirm) {
+        showError(t('auth.fillAllFields'));
+        return;
+    }
+
+    if (password.length < 8) {
+        showError(t('auth.passwordTooShort', { count: 8 }));
+        return;
+    }
+
+    if (password !== passwordConfirm) {
+        showError(t('auth.passwordMismatch'));
+        return;
+    }
+
+    const data = await api.register(name, email, password, passwordConfirm);
+
+    if (data.success) {
+        showSuccess(t('auth.accountCreated'));
+        setTimeout(() => showDashboard(), 1500);
+    } else {
+        // Handle Laravel validation errors
+        if (data.errors) {
+            const errorMessages = Object.values(data.errors).flat().join(', ');
+            showError(errorMessages);
+        } else {
+            showError(data.message || t('auth.registrationFailed'));
+        }
+    }
+}
+
+// Toggle between login and register forms
+function toggleAuthMode() {
+    document.getElementById('loginForm').classList.toggle('hidden');
+    document.getElementById('registerForm').classList.toggle('hidden');
+
+    // Clear error/success messages
+    hideMessages();
+}
+
+function showError(message) {
+    const errorDiv = document.getElementById('authError');
+    const successDiv = document.getElementById('authSuccess');
+    errorDiv.textContent = message;
+    errorDiv.classList.remove('hidden');
+    successDiv.classList.add('hidden');
+}
+
+function showSuccess(message) {
+    const errorDiv = document.getElementById('authError');
+    const successDiv = document.getElementById('authSuccess');
+    successDiv.textContent = message;
+    successDiv.classList.remove('hidden');
+    errorDiv.classList.add('hidden');
+}
+
+function hideMessages() {
+    document.getElementById('authError').classList.add('hidden');
+    document.getElementById('authSuccess').classList.add('hidden');
+}
+
+function logout() {
+    endSession();
+    api.logout();
+    document.getElementById('loginScreen').classList.remove('hidden');
+    document.getElementById('dashboardScreen').classList.add('hidden');
+
+    // Clear forms
+    document.getElementById('loginEmail').value = '';
+    document.getElementById('loginPassword').value = '';
+    hideMessages();
+}
+
+// Forget the signed-in user's data and stop refreshing it
+function endSession() {
+    stopLiveUpdates();
+    currentUser = null;
+    leaderboardPage = 1;
+    // Next user's first summary is a baseline, not a level-up
+    store.set('user', null);
+    watchlist.setUser(null);
+    store.set('quotes', {});
+    marketExplorer.reset();
+    celebration.clear();
+}
+
+async function showDashboard() {
+    document.getElementById('loginScreen').classList.add('hidden');
+    document.getElementById('dashboardScreen').classList.remove('hidden');
+
+    await loadUserData();
+    await loadCategories();
+    await loadStocks();
+    await loadPortfolio();
+    await loadAchievements();
+    await loadCurrentUser();
+    await loadLeaderboard();
+    await loadActivity();
+
+    startLiveUpdates();
+}
+
+// Keep stocks, portfolio and balance fresh while the dashboard is open.
+// Only the leader tab polls; the others get its results through bindTabs().
+function startLiveUpdates() {
+    stopLiveUpdates();
+    tabs.start();
+
+    // The demo backend has no price stream; its prices tick as they're polled
+    const streamUrl = api.transport ? null : document.querySelector('meta[name="price-stream-url"]');
+    liveUpdates = new LiveUpdates({
+        resources: {
+            stocks: { load: loadStocks, interval: 3000 },
+            portfolio: { load: loadPortfolio, interval: 3000 },
+            summary: { load: loadUserData, interval: 3000 }, // Reflects portfolio value changes
+            leaderboard: { load: loadLeaderboard, interval: 3000 },
+            quotes: { load: loadQuotes, interval: 3000 }
+        },
+        streamUrl: streamUrl && streamUrl.content ? streamUrl.content : null,
+        onPrices: applyPrices
+    });
+    if (tabs.isLeader) {
+        liveUpdates.start();
+    }
+}
+
+function stopLiveUpdates() {
+    tabs.stop();
+    if (liveUpdates) {
+        liveUpdates.stop();
+        liveUpdates = null;
+    }
+}
+
+async function loadUserData() {
+    const generation = tradeGeneration;
+    const data = await api.getSummary();
+
+    // Don't overwrite an optimistic trade with data from before it was confirmed
+    if (data.success && isCurrentLoad(generation)) {
+        store.set('user', data.data);
+    }
+    return data.success;
+}
+
+// Compare each summary with the last one shown
+function celebrateLevelUp(user, previous) {
+    if (!user || !previous || user.level <= previous.level) return;
+
+    celebration.show({ icon: '🎉', message: t('celebrate.levelUp', { level: user.level }) });
+}
+
+function celebrateAchievement(entry) {
+    celebration.show({
+        icon: '🏆',
+        message: t('celebrate.achievement', { icon: entry.icon || '🏆', name: entry.name, count: entry.xp_reward })
+    });
+}
+
+function readStockFilters() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+        search: params.get('search') || '',
+        category: params.get('category') || '',
+        sort: params.get('sort') || '',
+        page: Math.max(1, parseInt(params.get('page')) || 1)
+    };
+}
+
+function writeStockFilters() {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(stockFilters).forEach(([key, value]) => {
+        if (value && !(key === 'page' && value === 1)) {
+            params.set(key, value);
+        } else {
+            params.delete(key);
+        }
+    });
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+}
+
+// Change one or more filters and reload from the first page
+function updateStockFilters(changes) {
+    Object.assign(stockFilters, { page: 1 }, changes);
+    writeStockFilters();
+    renderCategoryChips();
+    loadStocks();
+}
+
+function debounce(fn, wait) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
+// Build the category chips from every listed stock
+async function loadCategories() {
+    try {
+        const all = await api.fetchAll('stocks', { per_page: 50 });
+        stockIndex = all;
+        categories = [...new Set(all.map(stock => stock.category).filter(Boolean))].sort();
+    } catch (error) {
+        console.error('Failed to load categories:', error);
+    }
+    renderCategoryChips();
+}
+
+function renderCategoryChips() {
+    render(document.getElementById('categoryChips'), ['', ...categories].map(category => {
+        const active = stockFilters.category === category;
+        return html`
+            <button type="button" aria-pressed="${active}" ${on('click', () => updateStockFilters({ category }))}
+                    class="px-3 py-1 rounded-full text-sm font-semibold ${active ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}">
+                ${category || t('stocks.categoryAll')}
+            </button>
+        `;
+    }));
+}
+
+function renderStocksPagination(meta) {
+    const pagination = document.getElementById('stocksPagination');
+    if (!meta || meta.last_page <= 1) {
+        pagination.classList.add('hidden');
+        return;
+    }
+
+    pagination.classList.remove('hidden');
+    document.getElementById('stocksPageInfo').textContent = t('stocks.pageInfo', {
+        page: meta.current_page,
+        pages: meta.last_page,
+        count: meta.total
+    });
+    document.getElementById('stocksPrev').disabled = meta.current_page <= 1;
+    document.getElementById('stocksNext').disabled = meta.current_page >= meta.last_page;
+}
+
+function goToStocksPage(page) {
+    stockFilters.page = page;
+    writeStockFilters();
+    loadStocks();
+    document.getElementById('stocksList').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function loadStocks() {
+    // The API rejects one-character searches, so only send two or more
+    const search = stockFilters.search.length >= 2 ? stockFilters.search : '';
+    const filters = { ...stockFilters };
+    const data = await api.getStocks({
+        search,
+        category: stockFilters.category,
+        sort: stockFilters.sort,
+        page: stockFilters.page
+    });
+
+    // Filters changed while this page was loading; a newer request will render
+    if (Object.keys(filters).some(key => filters[key] !== stockFilters[key])) {
+        return true;
+    }
+
+    if (!data.success) {
+        console.error('Failed to load stocks:', data.message);
+        if (store.get('stocks').items.length === 0) {
+            stockList.showError(t('stocks.loadFailed'));
+        }
+        return false;
+    }
+
+    // Bookmarked page past the end of the results
+    if (data.meta && stockFilters.page > data.meta.last_page && data.meta.last_page >= 1) {
+        goToStocksPage(data.meta.last_page);
+        return true;
+    }
+
+    store.set('stocks', { items: data.data, meta: data.meta || null });
+    return true;
+}
+
+// Merge streamed prices into the loaded stock list and watched quotes
+function applyPrices(prices) {
+    const bySymbol = new Map(prices.map(price => [price.symbol, price]));
+    store.update('stocks', stocks => ({
+        ...stocks,
+        items: stocks.items.map(stock => bySymbol.has(stock.symbol) ? { ...stock, ...bySymbol.get(stock.symbol) } : stock)
+    }));
+    store.update('quotes', quotes => Object.fromEntries(Object.entries(quotes)
+        .map(([symbol, quote]) => [symbol, bySymbol.has(symbol) ? { ...quote, ...bySymbol.get(symbol) } : quote])));
+}
+
+// Watched and alerted stocks may not be on the stocks page being shown
+async function loadQuotes() {
+    const symbols = watchlist.trackedSymbols();
+    if (symbols.length === 0) {
+        if (Object.keys(store.get('quotes')).length) store.set('quotes', {});
+        return true;
+    }
+
+    const responses = await Promise.all(symbols.map(symbol => api.getStock(symbol)));
+    const quotes = {};
+    responses.forEach(response => {
+        if (response.success) quotes[response.data.symbol] = response.data;
+    });
+    store.set('quotes', quotes);
+    return responses.some(response => response.success);
+}
+
+// Every page of holdings, so the table and allocation add up to the summary totals
+async function loadPortfolio() {
+    const generation = tradeGeneration;
+    let holdings;
+    try {
+        holdings = await api.fetchAll('portfolio', { per_page: 100 });
+    } catch (error) {
+        if (store.get('portfolio').length === 0) {
+            // Replace the loading text with the empty state
+            store.set('portfolio', []);
+        }
+        return false;
+    }
+
+    if (isCurrentLoad(generation)) {
+        store.set('portfolio', holdings);
+    }
+    return true;
+}
+
+// Whether a load that began at `generation` may update the store: not while
+// a trade is in flight, nor once one has settled since the load began
+function isCurrentLoad(generation) {
+    return !tradePending && generation === tradeGeneration;
+}
+
+async function loadAchievements() {
+    const data = await api.getAchievements();
+
+    if (!data.success) {
+        console.error('Failed to load achievements:', data.message);
+        return;
+    }
+
+    store.set('achievements', data.data);
+}
+
+async function loadCurrentUser() {
+    const data = await api.getCurrentUser();
+    if (!data.success) return;
+
+    currentUser = data.user;
+    previousRanks = JSON.parse(localStorage.getItem(leaderboardRanksKey()) || '{}');
+    watchlist.setUser(currentUser.id);
+}
+
+function leaderboardRanksKey() {
+    return `leaderboardRanks:${currentUser.id}`;
+}
+
+// Remember ranks seen this visit so the next visit can show movement
+function saveLeaderboardRanks(entries) {
+    if (!currentUser) return;
+
+    const saved = JSON.parse(localStorage.getItem(leaderboardRanksKey()) || '{}');
+    entries.forEach(entry => { saved[entry.id] = entry.rank; });
+    localStorage.setItem(leaderboardRanksKey(), JSON.stringify(saved));
+}
+
+async function loadLeaderboard() {
+    const page = leaderboardPage;
+    const data = await api.getLeaderboard({ page, per_page: 10 });
+
+    // User paged while this loaded; fetch the page they're on now
+    if (page !== leaderboardPage) return loadLeaderboard();
+
+    if (!data.success) {
+        console.error('Failed to load leaderboard:', data.message);
+        return false;
+    }
+
+    store.set('leaderboard', { entries: data.data, meta: data.meta || null });
+    saveLeaderboardRanks(data.data);
+    return true;
+}
+
+function renderLeaderboardPagination(meta) {
+    const pagination = document.getElementById('leaderboardPagination');
+    if (!meta || meta.last_page <= 1) {
+        pagination.classList.add('hidden');
+        return;
+    }
+
+    pagination.classList.remove('hidden');
+    document.getElementById('leaderboardPageInfo').textContent = t('pagination.pageInfo', { page: meta.current_page, pages: meta.last_page });
+    document.getElementById('leaderboardPrev').disabled = meta.current_page <= 1;
+    document.getElementById('leaderboardNext').disabled = meta.current_page >= meta.last_page;
+}
+
+function goToLeaderboardPage(page) {
+    leaderboardPage = page;
+    if (liveUpdates) {
+        liveUpdates.refresh('leaderboard');
+    } else {
+        loadLeaderboard();
+    }
+}
+
+// Activity history from the local journal
+async function loadActivity() {
+    const filter = document.getElementById('activityFilter').value;
+    const isTrade = filter === 'buy' || filter === 'sell';
+    let entries = await journal.list({ types: filter ? [isTrade ? 'trade' : filter] : null, limit: 100 });
+    if (isTrade) {
+        entries = entries.filter(entry => entry.side === filter).slice(0, 50);
+    } else {
+        entries = entries.slice(0, 50);
+    }
+
+    const activityList = document.getElementById('activityList');
+    if (entries.length === 0) {
+        render(activityList, html`<p class="text-gray-500 text-sm">${t('activity.empty')}</p>`);
+        return;
+    }
+
+    render(activityList, entries.map(entry => html`
+        <div class="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+            <div>
+                <p class="font-semibold">${describeActivity(entry)}</p>
+                <p class="text-xs text-gray-500">${I18n.dateTime(entry.timestamp)}</p>
+            </div>
+            <div class="text-right">
+                ${activityAmount(entry)}
+                ${activityXp(entry) ? html`<p class="text-xs text-purple-600 font-semibold">${t('xp.gain', { count: activityXp(entry) })}</p>` : ''}
+            </div>
+        </div>
+    `));
+}
+
+function describeActivity(entry) {
+    switch (entry.type) {
+        case 'trade':
+            return t(entry.side === 'buy' ? 'activity.bought' : 'activity.sold', { count: entry.quantity, symbol: entry.symbol });
+        case 'achievement':
+            return t('activity.unlocked', { icon: entry.icon || '🏆', name: entry.name });
+        default:
+            return t(entry.registered ? 'activity.registered' : 'activity.loggedIn');
+    }
+}
+
+function activityAmount(entry) {
+    if (entry.type !== 'trade' || typeof entry.price !== 'number') return '';
+
+    const total = entry.quantity * entry.price;
+    return entry.side === 'buy'
+        ? html`<p class="font-bold text-red-600">${money(-total, { signed: true })}</p>`
+        : html`<p class="font-bold text-green-600">${money(total, { signed: true })}</p>`;
+}
+
+function activityXp(entry) {
+    return entry.type === 'achievement' ? entry.xp_reward : entry.xp_earned;
+}
+
+function isTradeModalOpen() {
+    return currentStock && tradeModal.isOpen;
+}
+
+// `quantity: 'all'` starts the ticket at the most shares the trade allows
+async function openTradeModal(symbol, type, { quantity = 1 } = {}) {
+    const data = await api.getStock(symbol);
+    if (!data.success) return;
+    currentStock = data.data;
+    tradeType = type;
+
+    const input = document.getElementById('tradeQuantity');
+    document.getElementById('modalTitle').textContent =
+        t(type === 'buy' ? 'trade.buyTitle' : 'trade.sellTitle', { symbol: currentStock.symbol });
+    document.getElementById('modalDescription').textContent = currentStock.kid_friendly_description;
+    input.value = quantity === 'all' ? maxTradeQuantity() : quantity;
+    document.getElementById('totalLabel').textContent = t(type === 'buy' ? 'trade.totalCost' : 'trade.youReceive');
+    updateTradeTicket();
+
+    tradeModal.open(input);
+    input.select();
+
+    loadPriceChart(currentStock.symbol);
+}
+
+// Price history for the trade modal, with the user's average buy price when held
+async function loadPriceChart(symbol) {
+    if (!priceChart) {
+        priceChart = new PriceChart(document.getElementById('priceChart'), priceChartOptions());
+    }
+
+    const holding = findHolding(symbol);
+    priceChart.setReferencePrice(holding ? parseFloat(holding.average_price) : null);
+    priceChart.setLoading();
+
+    const data = await api.getStockHistory(symbol, { days: 365 });
+
+    // Modal may have moved on to another stock while this loaded
+    if (!currentStock || currentStock.symbol !== symbol) return;
+
+    priceChart.setHistory(data.success ? data.data : []);
+}
+
+// Localised formatting and labels for a PriceChart
+function priceChartOptions() {
+    return {
+        formatPrice: (price) => money(price),
+        formatDate: (date) => I18n.date(date, { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+        labels: {
+            chart: t('chart.label'),
+            loading: t('chart.loading'),
+            notEnough: t('chart.notEnough'),
+            high: t('chart.high'),
+            low: t('chart.low'),
+            reference: t('chart.yourAverage')
+        }
+    };
+}
+
+function findHolding(symbol) {
+    return store.get('portfolio').find(item => item.stock_symbol === symbol);
+}
+
+function heldQuantity(symbol) {
+    const holding = findHolding(symbol);
+    return holding ? parseInt(holding.quantity) : 0;
+}
+
+function currentBalance() {
+    const user = store.get('user');
+    return parseFloat(user ? user.balance : 0);
+}
+
+// Most shares this trade allows: what the balance affords, or what's held
+function maxTradeQuantity() {
+    if (tradeType === 'sell') {
+        return heldQuantity(currentStock.symbol);
+    }
+
+    // Work in cents so e.g. $10.00 / $0.10 doesn't round down to 99
+    const balanceCents = Math.round(currentBalance() * 100);
+    const priceCents = Math.round(parseFloat(currentStock.current_price) * 100);
+    return priceCents > 0 ? Math.floor(balanceCents / priceCents) : 0;
+}
+
+function validateTradeQuantity(value, max) {
+    if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+        return t('trade.invalidQuantity');
+    }
+    if (tradeType === 'buy' && parseInt(value) > max) {
+        return max === 0
+            ? t('trade.cannotAffordAny')
+            : t('trade.affordAtMost', { count: max });
+    }
+    if (tradeType === 'sell' && parseInt(value) > max) {
+        return max === 0
+            ? t('trade.ownNone', { symbol: currentStock.symbol })
+            : t('trade.ownOnly', { count: max });
+    }
+    return null;
+}
+
+// Recompute totals, projected balance, XP and inline validation
+function updateTradeTicket() {
+    const input = document.getElementById('tradeQuantity');
+    const max = maxTradeQuantity();
+    const error = validateTradeQuantity(input.value.trim(), max);
+    const quantity = error ? 0 : parseInt(input.value);
+    const total = parseFloat(currentStock.current_price) * quantity;
+    const balance = currentBalance();
+    const projected = tradeType === 'buy' ? balance - total : balance + total;
+
+    document.getElementById('tradeMaxBtn').textContent = t(tradeType === 'buy' ? 'trade.max' : 'trade.sellAll', { count: max });
+    document.getElementById('tradeMaxBtn').disabled = max === 0;
+    document.getElementById('tradeQuantityHint').textContent = t(tradeType === 'buy' ? 'trade.affordHint' : 'trade.ownHint', { count: max });
+    document.getElementById('totalCost').textContent = money(total);
+    document.getElementById('projectedBalance').textContent = money(projected);
+    document.getElementById('tradeXp').textContent = tradeXpPreview();
+
+    const errorEl = document.getElementById('tradeQuantityError');
+    errorEl.textContent = error || '';
+    errorEl.classList.toggle('hidden', !error);
+    input.setAttribute('aria-invalid', String(Boolean(error)));
+    input.classList.toggle('border-red-500', Boolean(error));
+    document.getElementById('confirmTradeBtn').disabled = Boolean(error) || tradePending || !connection.online;
+}
+
+function tradeXpPreview() {
+    const user = store.get('user');
+    const xp = tradeType === 'buy' ? xpRewards.buy : xpRewards.sell;
+    if (!user) {
+        return t('xp.gain', { count: xp });
+    }
+
+    // Same rollover rule as PortfolioService: level * base XP to level up
+    const levelUp = user.experience_points + xp >= user.level * xpRewards.level_up_base;
+    return t(levelUp ? 'trade.xpLevelUp' : 'xp.gain', { count: xp });
+}
+
+function bindTradeTicket() {
+    document.getElementById('tradeQuantity').addEventListener('input', updateTradeTicket);
+    // Enter confirms from anywhere in the ticket but its buttons, which Enter already presses
+    document.getElementById('tradeModal').addEventListener('keydown', event => {
+        if (event.key === 'Enter' && !event.target.closest('button')) {
+            event.preventDefault();
+            confirmTrade();
+        }
+    });
+    document.getElementById('tradeMaxBtn').addEventListener('click', () => {
+        document.getElementById('tradeQuantity').value = maxTradeQuantity();
+        updateTradeTicket();
+    });
+}
+
+// Stock browser and leaderboard controls
+function bindStockBrowser() {
+    const stockSearch = document.getElementById('stockSearch');
+    const stockSort = document.getElementById('stockSort');
+    stockSearch.value = stockFilters.search;
+    stockSort.value = stockFilters.sort;
+    stockSearch.addEventListener('input', debounce(() => {
+        updateStockFilters({ search: stockSearch.value.trim() });
+    }, 300));
+    stockSort.addEventListener('change', () => updateStockFilters({ sort: stockSort.value }));
+    document.getElementById('stocksPrev').addEventListener('click', () => goToStocksPage(stockFilters.page - 1));
+    document.getElementById('stocksNext').addEventListener('click', () => goToStocksPage(stockFilters.page + 1));
+    document.getElementById('leaderboardPrev').addEventListener('click', () => goToLeaderboardPage(leaderboardPage - 1));
+    document.getElementById('leaderboardNext').addEventListener('click', () => goToLeaderboardPage(leaderboardPage + 1));
+    document.getElementById('activityFilter').addEventListener('change', loadActivity);
+}
+
+// Apply a trade to the local balance and holdings before the server confirms it
+function applyOptimisticTrade(type, stock, quantity) {
+    const price = parseFloat(stock.current_price);
+    const total = price * quantity;
+    const portfolio = store.get('portfolio');
+    const holding = findHolding(stock.symbol);
+    const costOfSale = holding ? parseFloat(holding.average_price) * quantity : 0;
+
+    store.update('user', user => ({
+        ...user,
+        balance: parseFloat(user.balance) + (type === 'buy' ? -total : total),
+        total_value: parseFloat(user.total_value) + (type === 'buy' ? total : -total),
+        // Selling leaves the average price alone, so cost basis drops at that price
+        total_invested: parseFloat(user.total_invested) + (type === 'buy' ? total : -costOfSale)
+    }));
+
+    if (type === 'buy' && !holding) {
+        store.set('portfolio', [...portfolio, {
+            stock_symbol: stock.symbol,
+            stock_name: stock.name,
+            stock_category: stock.category,
+            quantity,
+            average_price: price,
+            current_price: price,
+            total_value: total,
+            profit_loss: 0,
+            profit_loss_percentage: 0
+        }]);
+    } else if (holding) {
+        const held = parseInt(holding.quantity);
+        const newQuantity = type === 'buy' ? held + quantity : held - quantity;
+        const averagePrice = type === 'buy'
+            ? (held * parseFloat(holding.average_price) + total) / newQuantity
+            : parseFloat(holding.average_price);
+
+        store.set('portfolio', newQuantity > 0
+            ? portfolio.map(item => item === holding ? {
+                ...item,
+                quantity: newQuantity,
+                average_price: averagePrice,
+                current_price: price,
+                total_value: newQuantity * price,
+                profit_loss: (price - averagePrice) * newQuantity,
+                profit_loss_percentage: averagePrice ? ((price - averagePrice) / averagePrice) * 100 : 0
+            } : item)
+            : portfolio.filter(item => item !== holding));
+    }
+}
+
+async function confirmTrade() {
+    const input = document.getElementById('tradeQuantity');
+    if (tradePending || !connection.online || validateTradeQuantity(input.value.trim(), maxTradeQuantity())) {
+        updateTradeTicket();
+        return;
+    }
+
+    const quantity = parseInt(input.value);
+    const stock = currentStock;
+    const type = tradeType;
+    const snapshot = { user: store.get('user'), portfolio: store.get('portfolio') };
+
+    tradePending = true;
+    document.getElementById('confirmTradeBtn').disabled = true;
+    applyOptimisticTrade(type, stock, quantity);
+
+    let data;
+    if (type === 'buy') {
+        data = await api.buyStock(stock.symbol, quantity);
+    } else {
+        data = await api.sellStock(stock.symbol, quantity);
+    }
+    tradePending = false;
+    tradeGeneration++;
+
+    if (data.success) {
+        closeTradeModal();
+        // Fresh loads rather than refresh(), which could hand back a poll
+        // that began before the trade and will be dropped
+        await Promise.all([loadUserData(), loadPortfolio()]);
+        await loadAchievements();
+        tabs.post('trade', { symbol: stock.symbol });
+        notifier.success(t(type === 'buy' ? 'trade.bought' : 'trade.sold', { count: data.data.xp_earned }));
+    } else {
+        // Roll back to what we showed before the trade
+        store.set('user', snapshot.user);
+        store.set('portfolio', snapshot.portfolio);
+        updateTradeTicket();
+        notifier.error(data.message || t('trade.failed'));
+    }
+}
+
+function closeTradeModal() {
+    tradeModal.close();
+}
+
+// Offline: show cached data with its age and hold trades until we're back
+function renderOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    banner.classList.toggle('hidden', connection.online);
+    if (connection.online) return;
+
+    const asOf = connection.asOf;
+    banner.textContent = `${asOf ? t('offline.asOf', { time: I18n.time(asOf) }) : t('offline.noData')} ${t('offline.tradingPaused')}`;
+}
+
+function bindConnection() {
+    connection.addEventListener('change', () => {
+        renderOfflineBanner();
+        if (isTradeModalOpen()) {
+            updateTradeTicket();
+        }
+    });
+
+    connection.addEventListener('reconnect', () => {
+        if (!liveUpdates) return;
+        liveUpdates.refreshAll();
+        loadAchievements();
+    });
+}
+
+// Price alerts: checked whenever prices refresh, each firing once until re-armed
+function bindAlerts() {
+    // Checked by the leader tab only, so an alert goes off once; the
+    // others see it fire through the saved list
+    store.subscribe('stocks', ({ items }) => {
+        if (tabs.isLeader) announceAlerts(watchlist.check(items));
+        renderAlertSymbols();
+    });
+    store.subscribe('quotes', quotes => {
+        if (tabs.isLeader) announceAlerts(watchlist.check(Object.values(quotes)));
+    });
+    store.subscribe('watchlist', (list, previous) => {
+        renderAlertSymbols();
+        // Fetch prices for anything newly watched or alerted
+        if (liveUpdates && list.symbols.length + list.alerts.length > previous.symbols.length + previous.alerts.length) {
+            liveUpdates.refresh('quotes');
+        }
+    });
+
+    const condition = document.getElementById('alertCondition');
+    condition.addEventListener('change', updateAlertTargetLabel);
+    document.getElementById('alertForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        addAlert();
+    });
+
+    const permission = document.getElementById('alertPermissionBtn');
+    permission.classList.toggle('hidden', !('Notification' in window) || Notification.permission !== 'default');
+    permission.addEventListener('click', async () => {
+        await Notification.requestPermission();
+        permission.classList.toggle('hidden', Notification.permission !== 'default');
+    });
+    updateAlertTargetLabel();
+}
+
+async function addAlert() {
+    const symbolInput = document.getElementById('alertSymbol');
+    const targetInput = document.getElementById('alertTarget');
+    const symbol = symbolInput.value.trim().toUpperCase();
+    const condition = document.getElementById('alertCondition').value;
+    // Prices are typed in the display currency; alerts compare US dollars
+    const typed = parseFloat(targetInput.value);
+    const target = condition === 'move' ? typed : I18n.toUsd(typed);
+
+    if (!symbol) {
+        showAlertError(t('alerts.symbolRequired'), symbolInput);
+        return;
+    }
+    if (!(target > 0)) {
+        showAlertError(t('alerts.invalidTarget'), targetInput);
+        return;
+    }
+    if (!knownQuote(symbol)) {
+        const data = await api.getStock(symbol);
+        if (!data.success) {
+            showAlertError(t('alerts.unknownStock', { symbol }), symbolInput);
+            return;
+        }
+    }
+
+    showAlertError('');
+    const alert = watchlist.addAlert({ symbol, condition, target });
+    targetInput.value = '';
+    notifier.success(t('alerts.added', { alert: describeAlert(alert) }));
+}
+
+function showAlertError(message, field = null) {
+    const error = document.getElementById('alertError');
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+    if (field) field.focus();
+}
+
+// Bell on a watched stock: fill in the symbol and jump to the target
+function prefillAlert(symbol) {
+    document.getElementById('alertSymbol').value = symbol;
+    showAlertError('');
+    document.getElementById('alertTarget').focus();
+}
+
+function updateAlertTargetLabel() {
+    const move = document.getElementById('alertCondition').value === 'move';
+    const target = document.getElementById('alertTarget');
+    const zig = I18n.currency === 'ZWG';
+    target.setAttribute('aria-label', t(move ? 'alerts.percentLabel' : (zig ? 'alerts.priceLabelZwg' : 'alerts.priceLabel')));
+    target.placeholder = move ? '%' : (zig ? 'ZiG' : 'US$');
+}
+
+// Suggestions for the symbol box: the stocks page plus everything watched
+function renderAlertSymbols() {
+    const symbols = new Set([...store.get('stocks').items.map(stock => stock.symbol), ...watchlist.symbols]);
+    render(document.getElementById('alertSymbols'), [...symbols].sort().map(symbol => html`<option value="${symbol}"></option>`));
+}
+
+function knownQuote(symbol) {
+    return store.get('quotes')[symbol] || store.get('stocks').items.find(stock => stock.symbol === symbol);
+}
+
+// Toast for each alert that went off, plus a system notification if allowed
+function announceAlerts(fired) {
+    fired.forEach(({ alert, quote }) => {
+        const message = t('alerts.fired', {
+            alert: describeAlert(alert),
+            price: money(quote.current_price),
+            change: percent(quote.change_percentage)
+        });
+        notifier.info(message);
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(t('alerts.notificationTitle'), { body: message, tag: `price-alert-${alert.id}` });
+        }
+    });
+}
+
+// Other tabs of this browser: shared sign-in, one polling leader, trades
+function bindTabs() {
+    tabs.addEventListener('login', () => showDashboard());
+    tabs.addEventListener('logout', () => {
+        logout();
+        showError(t('auth.signedOutElsewhere'));
+    });
+    // Signed in again elsewhere, possibly as someone else
+    tabs.addEventListener('token', () => {
+        endSession();
+        showDashboard();
+    });
+
+    tabs.addEventListener('leader', ({ detail: { leader } }) => {
+        if (!liveUpdates) return;
+        if (leader) {
+            // Taking over: what the old leader last shared may be stale
+            liveUpdates.start();
+            liveUpdates.refreshAll();
+        } else {
+            liveUpdates.stop();
+        }
+    });
+
+    SHARED_SLICES.forEach(slice => store.subscribe(slice, value => {
+        if (tabs.isLeader && value !== null) {
+            tabs.post('state', { slice, value, view: sharedView(slice) });
+        }
+    }));
+
+    tabs.addEventListener('message', ({ detail: { type, data } }) => {
+        if (!api.token) return;
+        if (type === 'state') {
+            applySharedState(data);
+        } else if (type === 'trade') {
+            // The trade and any unlocks are already in the shared journal
+            loadActivity();
+            loadAchievements();
+            if (tabs.isLeader) {
+                liveUpdates.refresh('summary');
+                liveUpdates.refresh('portfolio');
+            }
+        }
+    });
+}
+
+// Which page of a paged slice a tab is showing; another tab's copy only
+// fits if it's the same one
+function sharedView(slice) {
+    if (slice === 'stocks') return JSON.stringify(stockFilters);
+    if (slice === 'leaderboard') return leaderboardPage;
+    return null;
+}
+
+function applySharedState({ slice, value, view }) {
+    if (tabs.isLeader) return;
+    // Don't overwrite an optimistic trade that the server hasn't confirmed yet
+    if (tradePending && (slice === 'user' || slice === 'portfolio')) return;
+
+    if (view !== sharedView(slice)) {
+        // A different stocks page still carries fresh prices for any stocks in common
+        if (slice === 'stocks') applyPrices(value.items);
+        return;
+    }
+    store.set(slice, value);
+}
+
+// Dashboard cards the palette can jump to, by the English word typed
+// after "show", with the catalog key of each card's heading
+const SECTIONS = {
+    portfolio: 'portfolio.title',
+    stocks: 'stocks.title',
+    market: 'explore.title',
+    activity: 'activity.title',
+    watchlist: 'watchlist.title',
+    achievements: 'achievements.title',
+    leaderboard: 'leaderboard.title'
+};
+
+function showSection(name) {
+    const heading = document.querySelector(`#dashboardScreen h3[data-i18n="${SECTIONS[name]}"]`);
+    heading.closest('.rounded-2xl').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    heading.tabIndex = -1;
+    heading.focus({ preventScroll: true });
+}
+
+// What the palette offers for its text: trades for "buy"/"sell", cards for
+// "show", otherwise every action and stock that matches
+function paletteCommands(text) {
+    const command = parseCommand(text);
+    if (command.type === 'trade') {
+        return matchStocks(stockIndex, command.query)
+            .map(stock => tradeCommand(command.side, stock, command.quantity || 1));
+    }
+
+    const actions = paletteActions();
+    if (command.type === 'show') {
+        return rankMatches(actions.filter(action => action.section), command.query, action => action.keywords);
+    }
+    if (!command.query) return actions;
+
+    return rankMatches([...actions, ...stockIndex], command.query, item => item.keywords || [item.symbol, item.name], 8)
+        .flatMap(item => item.run ? [item] : [tradeCommand('buy', item, 1), tradeCommand('sell', item, 1)]);
+}
+
+function paletteActions() {
+    return [
+        ...Object.entries(SECTIONS).map(([name, titleKey]) => ({
+            id: `show-${name}`,
+            section: name,
+            label: t('palette.show', { section: t(titleKey) }),
+            keywords: [`show ${name}`, t(titleKey)],
+            run: () => showSection(name)
+        })),
+        {
+            id: 'shortcuts',
+            label: t('palette.shortcuts'),
+            keywords: ['shortcuts', 'keys', 'help', t('palette.shortcuts')],
+            run: () => shortcutHelp.open()
+        },
+        {
+            id: 'logout',
+            label: t('palette.logout'),
+            keywords: ['logout', 'sign out', t('palette.logout')],
+            run: logout
+        }
+    ];
+}
+
+function tradeCommand(side, stock, quantity) {
+    const label = quantity === 'all'
+        ? t(side === 'buy' ? 'palette.buyMax' : 'palette.sellAll', { symbol: stock.symbol })
+        : t(side === 'buy' ? 'palette.buy' : 'palette.sell', { count: quantity, symbol: stock.symbol });
+    return {
+        id: `${side}-${stock.symbol}`,
+        label,
+        detail: `${stock.name} · ${money(stock.current_price)}`,
+        run: () => openTradeModal(stock.symbol, side, { quantity })
+    };
+}
+
+// Ctrl/Cmd+K opens the palette; single keys work when nothing is being
+// typed and no dialog is open. ? lists them all.
+function bindShortcuts() {
+    const mac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+    document.querySelectorAll('[data-field="modifier"]').forEach(el => {
+        el.textContent = mac ? '⌘' : 'Ctrl';
+    });
+    document.getElementById('shortcutHelpClose').addEventListener('click', () => shortcutHelp.close());
+
+    document.addEventListener('keydown', event => {
+        if (event.defaultPrevented || document.getElementById('dashboardScreen').classList.contains('hidden')) return;
+
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            if (commandPalette.isOpen) {
+                commandPalette.close();
+            } else if (!dialogOpen(event.target)) {
+                commandPalette.open();
+            }
+            return;
+        }
+        if (event.ctrlKey || event.metaKey || event.altKey || dialogOpen(event.target) || isTyping(event.target)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === '/') {
+            event.preventDefault();
+            document.getElementById('stockSearch').focus();
+        } else if (key === '?') {
+            event.preventDefault();
+            shortcutHelp.open(document.getElementById('shortcutHelpClose'));
+        } else if ((key === 'b' || key === 's') && connection.online) {
+            const card = event.target instanceof Element ? event.target.closest('[data-symbol]') : null;
+            if (!card) return;
+            event.preventDefault();
+            openTradeModal(card.dataset.symbol, key === 'b' ? 'buy' : 'sell');
+        }
+    });
+}
+
+function dialogOpen(target) {
+    return tradeModal.isOpen || shortcutHelp.isOpen || commandPalette.isOpen
+        || (target instanceof Element && Boolean(target.closest('[aria-modal="true"]')));
+}
+
+function isTyping(target) {
+    return target instanceof Element && Boolean(target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+// Button text for toasts and dialogs in the current language
+function notifierLabels() {
+    return { dismiss: t('common.dismiss'), ok: t('common.ok'), confirm: t('common.confirm'), cancel: t('common.cancel') };
+}
+
+// Language and display currency
+function bindLanguage() {
+    const localeSelect = document.getElementById('localeSelect');
+    const currencySelect = document.getElementById('currencySelect');
+    localeSelect.addEventListener('change', () => I18n.setLocale(localeSelect.value));
+    localeSelect.value = I18n.locale;
+    currencySelect.value = I18n.currency;
+    currencySelect.addEventListener('change', () => I18n.setCurrency(currencySelect.value));
+
+    // Components re-render their own slices; redo everything else built
+    // from translated or formatted text
+    I18n.onChange(() => {
+        localeSelect.value = I18n.locale;
+        currencySelect.value = I18n.currency;
+        priceChart = null; // Rebuilt with the new labels next time the modal opens
+        notifier.setLabels(notifierLabels());
+        updateAlertTargetLabel();
+        if (document.getElementById('dashboardScreen').classList.contains('hidden')) return;
+
+        renderOfflineBanner();
+        renderCategoryChips();
+        renderStocksPagination(store.get('stocks').meta);
+        renderLeaderboardPagination(store.get('leaderboard').meta);
+        loadActivity();
+        if (isTradeModalOpen()) {
+            openTradeModal(currentStock.symbol, tradeType);
+        }
+    });
+}
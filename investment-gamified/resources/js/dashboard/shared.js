@@ -0,0 +1,15 @@
+/**
+ * Modules shared with senior mode (resources/js/shared)
+ */
+export {
+    Html,
+    I18n,
+    InvestmentApi,
+    ActivityJournal,
+    LiveUpdates,
+    OfflineStatus,
+    TabSync,
+    PriceChart,
+    Notifier,
+    MockBackend
+} from '../shared';
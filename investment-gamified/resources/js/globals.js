@@ -0,0 +1,5 @@
+import * as shared from './shared';
+
+// Senior mode (senior view): its classic scripts use the shared modules as
+// globals. The view loads senior.js with `defer`, so it runs after this.
+Object.assign(window, shared);
@@ -0,0 +1,275 @@
+/**
+ * Toasts and modal dialogs for both UIs
+ * Non-blocking replacements for alert() and confirm(); styles live in css/notifications.css
+ */
+
+/**
+ *   const notifier = new Notifier({ variant: 'senior', labels: { dismiss: 'Close' } });
+ *   notifier.success('Bought successfully!');
+ *   notifier.error(data.message);
+ *   await notifier.alert({ title: 'Call Support', message: '...' });
+ *   if (await notifier.confirm({ title: 'Sell all?', message: '...', tone: 'danger' })) { ... }
+ *
+ * Toasts are queued (at most `maxVisible` on screen) and announced through
+ * a live region; errors use role="alert". Each one closes itself after its
+ * duration, with the countdown paused while it's hovered or focused.
+ *
+ * Dialogs resolve their promise when closed (true for confirm, false for
+ * cancel or Escape), keep Tab inside the dialog, and give focus back to
+ * whatever had it before. Dialogs opened while one is showing wait their
+ * turn. The `senior` variant uses larger text and touch targets.
+ */
+export class Notifier {
+    constructor({ variant = 'default', maxVisible = 3, durations = {}, labels = {} } = {}) {
+        this.variant = variant;
+        this.maxVisible = maxVisible;
+        this.durations = { ...Notifier.DURATIONS, ...durations };
+        this.labels = { ...Notifier.LABELS, ...labels };
+        this.visible = [];
+        this.waiting = [];
+        this._dialogChain = Promise.resolve();
+
+        // Present from the start so screen readers pick up toasts added later
+        this.region = document.createElement('div');
+        this.region.className = this._classes('notify-toasts');
+        this.region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.region);
+    }
+
+    /**
+     * Replace button labels (e.g. after the language changes)
+     */
+    setLabels(labels) {
+        Object.assign(this.labels, labels);
+    }
+
+    success(message, options) {
+        return this.toast(message, { ...options, type: 'success' });
+    }
+
+    error(message, options) {
+        return this.toast(message, { ...options, type: 'error' });
+    }
+
+    info(message, options) {
+        return this.toast(message, { ...options, type: 'info' });
+    }
+
+    /**
+     * Queue a toast. Returns a handle whose `dismiss()` closes it early.
+     */
+    toast(message, { type = 'info', duration = this.durations[type] } = {}) {
+        const toast = { message, type, duration, el: null, timer: null, remaining: duration, startedAt: 0 };
+        const handle = { dismiss: () => this._dismiss(toast) };
+
+        if (this.visible.length < this.maxVisible) {
+            this._showToast(toast);
+        } else {
+            this.waiting.push(toast);
+        }
+        return handle;
+    }
+
+    /**
+     * Message with a single button; resolves once it's closed
+     */
+    alert({ title, message, confirmLabel = this.labels.ok }) {
+        return this.dialog({ title, message, confirmLabel, cancelLabel: null }).then(() => undefined);
+    }
+
+    /**
+     * Question with confirm/cancel buttons; resolves true if confirmed
+     */
+    confirm({ title, message, confirmLabel = this.labels.confirm, cancelLabel = this.labels.cancel, tone = 'default' }) {
+        return this.dialog({ title, message, confirmLabel, cancelLabel, tone });
+    }
+
+    /**
+     * Modal dialog. `cancelLabel: null` leaves out the cancel button;
+     * `tone: 'danger'` styles confirm as destructive and focuses cancel.
+     */
+    dialog(options) {
+        const result = this._dialogChain.then(() => this._openDialog(options));
+        this._dialogChain = result.catch(() => {});
+        return result;
+    }
+
+    _showToast(toast) {
+        const el = document.createElement('div');
+        el.className = `notify-toast notify-toast--${toast.type}`;
+        if (toast.type === 'error') el.setAttribute('role', 'alert');
+
+        const icon = document.createElement('span');
+        icon.className = 'notify-toast__icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = Notifier.ICONS[toast.type] || Notifier.ICONS.info;
+
+        const message = document.createElement('p');
+        message.className = 'notify-toast__message';
+        message.textContent = toast.message;
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'notify-toast__close';
+        close.setAttribute('aria-label', this.labels.dismiss);
+        close.textContent = '×';
+        close.addEventListener('click', () => this._dismiss(toast));
+
+        el.append(icon, message, close);
+        el.addEventListener('mouseenter', () => this._pause(toast));
+        el.addEventListener('mouseleave', () => this._resume(toast));
+        el.addEventListener('focusin', () => this._pause(toast));
+        el.addEventListener('focusout', (event) => {
+            if (!el.contains(event.relatedTarget)) this._resume(toast);
+        });
+
+        toast.el = el;
+        this.visible.push(toast);
+        this.region.appendChild(el);
+        this._resume(toast);
+    }
+
+    _pause(toast) {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+    }
+
+    _resume(toast) {
+        if (toast.timer || !toast.duration || !toast.el) return;
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this._dismiss(toast), Math.max(0, toast.remaining));
+    }
+
+    _dismiss(toast) {
+        const waitingIndex = this.waiting.indexOf(toast);
+        if (waitingIndex !== -1) {
+            this.waiting.splice(waitingIndex, 1);
+            return;
+        }
+        if (!this.visible.includes(toast)) return;
+
+        clearTimeout(toast.timer);
+        this.visible = this.visible.filter(other => other !== toast);
+
+        // Don't strand keyboard users on a removed element
+        const hadFocus = toast.el.contains(document.activeElement);
+        toast.el.remove();
+        toast.el = null;
+        if (hadFocus && this.visible.length) {
+            this.visible[this.visible.length - 1].el.querySelector('button').focus();
+        }
+
+        if (this.waiting.length) {
+            this._showToast(this.waiting.shift());
+        }
+    }
+
+    _openDialog({ title, message, confirmLabel = this.labels.ok, cancelLabel = this.labels.cancel, tone = 'default' }) {
+        return new Promise(resolve => {
+            const returnFocus = document.activeElement;
+            const id = `notify-dialog-${++Notifier._dialogCount}`;
+
+            const backdrop = document.createElement('div');
+            backdrop.className = this._classes('notify-backdrop');
+
+            const dialog = document.createElement('div');
+            dialog.className = 'notify-dialog';
+            dialog.setAttribute('role', cancelLabel === null ? 'alertdialog' : 'dialog');
+            dialog.setAttribute('aria-modal', 'true');
+            dialog.setAttribute('aria-describedby', `${id}-message`);
+
+            if (title) {
+                const heading = document.createElement('h2');
+                heading.className = 'notify-dialog__title';
+                heading.id = `${id}-title`;
+                heading.textContent = title;
+                dialog.setAttribute('aria-labelledby', heading.id);
+                dialog.appendChild(heading);
+            }
+
+            const text = document.createElement('p');
+            text.className = 'notify-dialog__message';
+            text.id = `${id}-message`;
+            text.textContent = message;
+            dialog.appendChild(text);
+
+            const actions = document.createElement('div');
+            actions.className = 'notify-dialog__actions';
+            let cancelButton = null;
+            if (cancelLabel !== null) {
+                cancelButton = this._dialogButton(cancelLabel, 'notify-button notify-button--secondary', () => close(false));
+                actions.appendChild(cancelButton);
+            }
+            const confirmButton = this._dialogButton(
+                confirmLabel,
+                `notify-button ${tone === 'danger' ? 'notify-button--danger' : 'notify-button--primary'}`,
+                () => close(true)
+            );
+            actions.appendChild(confirmButton);
+            dialog.appendChild(actions);
+
+            const onKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    event.preventDefault();
+                    close(false);
+                } else if (event.key === 'Tab') {
+                    this._trapFocus(event, dialog);
+                }
+            };
+
+            const close = (confirmed) => {
+                document.removeEventListener('keydown', onKeydown, true);
+                backdrop.remove();
+                if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+                    returnFocus.focus();
+                }
+                resolve(confirmed);
+            };
+
+            document.addEventListener('keydown', onKeydown, true);
+            backdrop.appendChild(dialog);
+            document.body.appendChild(backdrop);
+            (tone === 'danger' && cancelButton ? cancelButton : confirmButton).focus();
+        });
+    }
+
+    _dialogButton(label, className, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Wrap Tab / Shift+Tab around the dialog's focusable elements
+    _trapFocus(event, dialog) {
+        const focusable = [...dialog.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+            .filter(el => !el.disabled);
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    _classes(base) {
+        return this.variant === 'senior' ? `${base} notify--senior` : base;
+    }
+}
+
+Notifier.DURATIONS = Object.freeze({ success: 5000, info: 5000, error: 8000 });
+
+Notifier.LABELS = Object.freeze({ dismiss: 'Dismiss', ok: 'OK', confirm: 'Confirm', cancel: 'Cancel' });
+
+Notifier.ICONS = Object.freeze({ success: '✓', error: '!', info: 'i' });
+
+Notifier._dialogCount = 0;
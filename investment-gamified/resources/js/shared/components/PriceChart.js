@@ -0,0 +1,235 @@
+/**
+ * Dependency-free SVG price chart
+ * Closing-price line with a daily high/low band, range buttons,
+ * a hover crosshair and an optional reference line (e.g. average buy price)
+ *
+ * `formatPrice`, `formatDate` and `labels` let the page localise the text
+ */
+export class PriceChart {
+    constructor(container, {
+        height = 180,
+        ranges = PriceChart.RANGES,
+        defaultRange = '1M',
+        formatPrice = (price) => `$${price.toFixed(2)}`,
+        formatDate = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+        labels = {}
+    } = {}) {
+        this.container = container;
+        this.height = height;
+        this.ranges = ranges;
+        this.range = defaultRange;
+        this.formatPrice = formatPrice;
+        this._formatDate = formatDate;
+        this.labels = { ...PriceChart.LABELS, ...labels };
+        this.history = [];
+        this.points = [];
+        this.referencePrice = null;
+
+        this._build();
+    }
+
+    /**
+     * Set the full history; `rows` are StockHistory rows from /stocks/{symbol}/history
+     */
+    setHistory(rows) {
+        this.history = rows.map(row => ({
+            date: new Date(row.date),
+            close: parseFloat(row.close_price),
+            high: parseFloat(row.high_price ?? row.close_price),
+            low: parseFloat(row.low_price ?? row.close_price)
+        })).sort((a, b) => a.date - b.date);
+        this.render();
+    }
+
+    /**
+     * Draw a dashed reference line at `price`, or remove it with null
+     */
+    setReferencePrice(price, label = this.labels.reference) {
+        this.referencePrice = price;
+        this.referenceLabel = label;
+        this.render();
+    }
+
+    setRange(range) {
+        this.range = range;
+        this.rangeButtons.forEach(button => {
+            const active = button.dataset.range === range;
+            button.classList.toggle('bg-purple-600', active);
+            button.classList.toggle('text-white', active);
+            button.classList.toggle('bg-gray-100', !active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        this.render();
+    }
+
+    setLoading() {
+        this.history = [];
+        this._showMessage(this.labels.loading);
+    }
+
+    render() {
+        const days = this.ranges[this.range];
+        const since = this.history.length
+            ? this.history[this.history.length - 1].date.getTime() - days * 86400000
+            : 0;
+        this.points = this.history.filter(point => point.date.getTime() >= since);
+
+        if (this.points.length < 2) {
+            this._showMessage(this.labels.notEnough);
+            return;
+        }
+
+        this.message.classList.add('hidden');
+        this.svg.classList.remove('hidden');
+
+        const width = this.container.clientWidth || 360;
+        const height = this.height;
+        const pad = { top: 10, right: 8, bottom: 20, left: 8 };
+
+        let min = Math.min(...this.points.map(p => p.low));
+        let max = Math.max(...this.points.map(p => p.high));
+        if (this.referencePrice !== null) {
+            min = Math.min(min, this.referencePrice);
+            max = Math.max(max, this.referencePrice);
+        }
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+
+        const x = (i) => pad.left + (i / (this.points.length - 1)) * (width - pad.left - pad.right);
+        const y = (price) => pad.top + (1 - (price - min) / (max - min)) * (height - pad.top - pad.bottom);
+        this.scale = { x, y, pad, width, height };
+
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.svg.setAttribute('width', width);
+        this.svg.setAttribute('height', height);
+        this.svg.replaceChildren();
+
+        const highs = this.points.map((p, i) => `${x(i)},${y(p.high)}`);
+        const lows = this.points.map((p, i) => `${x(i)},${y(p.low)}`).reverse();
+        this._svgEl('polygon', { points: [...highs, ...lows].join(' '), fill: 'rgba(147,51,234,0.12)' });
+
+        const first = this.points[0].close;
+        const last = this.points[this.points.length - 1].close;
+        this._svgEl('polyline', {
+            points: this.points.map((p, i) => `${x(i)},${y(p.close)}`).join(' '),
+            fill: 'none',
+            stroke: last >= first ? '#16a34a' : '#dc2626',
+            'stroke-width': 2,
+            'stroke-linejoin': 'round'
+        });
+
+        if (this.referencePrice !== null) {
+            const ry = y(this.referencePrice);
+            this._svgEl('line', { x1: pad.left, x2: width - pad.right, y1: ry, y2: ry, stroke: '#7c3aed', 'stroke-dasharray': '4 3' });
+            this._svgText(`${this.referenceLabel} ${this.formatPrice(this.referencePrice)}`, pad.left + 2, ry - 4, { fill: '#7c3aed' });
+        }
+
+        const high = Math.max(...this.points.map(p => p.high));
+        const low = Math.min(...this.points.map(p => p.low));
+        this._svgText(`${this.labels.high} ${this.formatPrice(high)}`, width - pad.right, pad.top + 8, { 'text-anchor': 'end' });
+        this._svgText(`${this.labels.low} ${this.formatPrice(low)}`, width - pad.right, height - pad.bottom - 4, { 'text-anchor': 'end' });
+        this._svgText(this._formatDate(this.points[0].date), pad.left, height - 4);
+        this._svgText(this._formatDate(this.points[this.points.length - 1].date), width - pad.right, height - 4, { 'text-anchor': 'end' });
+
+        this.crosshair = this._svgEl('line', { y1: pad.top, y2: height - pad.bottom, stroke: '#9ca3af', visibility: 'hidden' });
+        this.marker = this._svgEl('circle', { r: 4, fill: '#7c3aed', visibility: 'hidden' });
+    }
+
+    _build() {
+        this.container.classList.add('relative');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'flex gap-2 mb-2';
+        this.rangeButtons = Object.keys(this.ranges).map(range => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'px-3 py-1 rounded-lg text-sm font-semibold bg-gray-100';
+            button.textContent = range;
+            button.dataset.range = range;
+            button.addEventListener('click', () => this.setRange(range));
+            buttons.appendChild(button);
+            return button;
+        });
+
+        this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.svg.setAttribute('role', 'img');
+        this.svg.setAttribute('aria-label', this.labels.chart);
+        this.svg.classList.add('block', 'w-full', 'select-none');
+        this.svg.addEventListener('pointermove', (event) => this._hover(event));
+        this.svg.addEventListener('pointerleave', () => this._hideHover());
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'absolute hidden pointer-events-none bg-gray-800 text-white text-xs rounded px-2 py-1 whitespace-nowrap';
+
+        this.message = document.createElement('p');
+        this.message.className = 'text-sm text-gray-500 py-8 text-center';
+
+        this.container.replaceChildren(buttons, this.svg, this.tooltip, this.message);
+        this.setRange(this.range);
+    }
+
+    _hover(event) {
+        if (this.points.length < 2 || !this.scale) return;
+
+        const { x, y, pad, width } = this.scale;
+        const rect = this.svg.getBoundingClientRect();
+        const offsetX = (event.clientX - rect.left) * (width / rect.width);
+        const ratio = (offsetX - pad.left) / (width - pad.left - pad.right);
+        const index = Math.max(0, Math.min(this.points.length - 1, Math.round(ratio * (this.points.length - 1))));
+        const point = this.points[index];
+
+        this.crosshair.setAttribute('x1', x(index));
+        this.crosshair.setAttribute('x2', x(index));
+        this.crosshair.setAttribute('visibility', 'visible');
+        this.marker.setAttribute('cx', x(index));
+        this.marker.setAttribute('cy', y(point.close));
+        this.marker.setAttribute('visibility', 'visible');
+
+        this.tooltip.textContent = `${this._formatDate(point.date)} · ${this.formatPrice(point.close)}`;
+        this.tooltip.classList.remove('hidden');
+        const left = this.svg.offsetLeft + x(index) * (rect.width / width);
+        this.tooltip.style.left = `${Math.min(left, this.container.clientWidth - this.tooltip.offsetWidth)}px`;
+        this.tooltip.style.top = `${this.svg.offsetTop}px`;
+    }
+
+    _hideHover() {
+        if (this.crosshair) this.crosshair.setAttribute('visibility', 'hidden');
+        if (this.marker) this.marker.setAttribute('visibility', 'hidden');
+        this.tooltip.classList.add('hidden');
+    }
+
+    _showMessage(text) {
+        this.svg.classList.add('hidden');
+        this._hideHover();
+        this.message.textContent = text;
+        this.message.classList.remove('hidden');
+    }
+
+    _svgEl(name, attributes) {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+        Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+        this.svg.appendChild(el);
+        return el;
+    }
+
+    _svgText(text, x, y, attributes = {}) {
+        const el = this._svgEl('text', { x, y, 'font-size': 10, fill: '#6b7280', ...attributes });
+        el.textContent = text;
+        return el;
+    }
+}
+
+// Range label => days of history shown
+PriceChart.RANGES = Object.freeze({ '1W': 7, '1M': 30, '3M': 90, '1Y': 365 });
+
+// Default (English) text, overridden per key by the `labels` option
+PriceChart.LABELS = Object.freeze({
+    chart: 'Price history chart',
+    loading: 'Loading price history...',
+    notEnough: 'Not enough price history yet.',
+    high: 'High',
+    low: 'Low',
+    reference: 'Your avg'
+});
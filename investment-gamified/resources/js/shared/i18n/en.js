@@ -0,0 +1,399 @@
+import { I18n } from '../utils/I18n';
+
+/**
+ * English messages (the fallback for every other catalog)
+ * Plural messages are objects keyed by Intl.PluralRules category
+ */
+I18n.addMessages('en', {
+    'app.title': '🎮 Investment Game',
+    'app.pageTitle': 'Kid Investment Game',
+
+    'common.back': 'Back',
+    'common.cancel': 'Cancel',
+    'common.confirm': 'Confirm',
+    'common.continue': 'Continue',
+    'common.done': 'Done',
+    'common.on': 'ON',
+    'common.off': 'OFF',
+    'common.ok': 'OK',
+    'common.dismiss': 'Dismiss',
+
+    'settings.language': 'Language',
+    'settings.currency': 'Currency',
+    'settings.currencyUsd': 'US dollars',
+    'settings.currencyZwg': 'ZiG',
+    'settings.currencyBoth': 'US dollars and ZiG',
+
+    'nav.home': 'Home',
+    'nav.activities': 'Activities',
+    'nav.help': 'Help',
+    'nav.logout': 'Logout',
+    'nav.primary': 'Primary',
+    'nav.seniorMode': 'Switch to Senior Mode',
+    'nav.normalMode': 'Switch to Normal View',
+
+    'auth.tagline': 'Learn to invest with fun!',
+    'auth.email': 'Email',
+    'auth.password': 'Password',
+    'auth.passwordHint': 'Password (min 8 characters)',
+    'auth.confirmPassword': 'Confirm Password',
+    'auth.fullName': 'Full Name',
+    'auth.login': 'Login',
+    'auth.createAccount': 'Create Account',
+    'auth.noAccount': 'Don\'t have an account?',
+    'auth.haveAccount': 'Already have an account?',
+    'auth.sessionExpired': 'Your session has expired. Please log in again.',
+    'auth.signedOutElsewhere': 'You logged out in another tab.',
+    'auth.loginFailed': 'Login failed',
+    'auth.fillAllFields': 'Please fill in all fields',
+    'auth.passwordTooShort': 'Password must be at least {count} characters',
+    'auth.passwordMismatch': 'Passwords do not match',
+    'auth.accountCreated': 'Account created successfully! Logging you in...',
+    'auth.registrationFailed': 'Registration failed',
+
+    'dashboard.welcome': 'Welcome, {name}!',
+    'dashboard.defaultName': 'Trader',
+    'dashboard.level': 'Level {level} Trader',
+
+    'summary.balance': 'Balance',
+    'summary.portfolioValue': 'Portfolio Value',
+    'summary.totalXp': 'Total XP',
+
+    'xp.amount': '{count} XP',
+    'xp.gain': '+{count} XP',
+    'xp.progress': '{xp} / {next} XP to level {level}',
+    'xp.progressLabel': 'Progress to level {level}',
+
+    'celebrate.levelUp': 'Level up! You\'re now level {level}.',
+    'celebrate.achievement': 'Achievement unlocked: {icon} {name} +{count} XP',
+
+    'offline.asOf': 'You\'re offline. Showing data as of {time}.',
+    'offline.noData': 'You\'re offline.',
+    'offline.tradingPaused': 'Buying and selling are paused until you\'re back online.',
+    'offline.backOnline': 'You\'re back online.',
+
+    'pagination.previous': 'Previous',
+    'pagination.next': 'Next',
+    'pagination.pageInfo': 'Page {page} of {pages}',
+
+    'stocks.title': 'Available Stocks',
+    'stocks.searchPlaceholder': 'Search by name or symbol',
+    'stocks.searchLabel': 'Search stocks',
+    'stocks.sortLabel': 'Sort stocks',
+    'stocks.sortDefault': 'Sort: Default',
+    'stocks.sortPriceAsc': 'Price: Low to High',
+    'stocks.sortPriceDesc': 'Price: High to Low',
+    'stocks.sortGainers': 'Biggest Gainers',
+    'stocks.sortLosers': 'Biggest Losers',
+    'stocks.categoryLabel': 'Filter by category',
+    'stocks.categoryAll': 'All',
+    'stocks.pageInfo': {
+        one: 'Page {page} of {pages} ({count} stock)',
+        other: 'Page {page} of {pages} ({count} stocks)'
+    },
+    'stocks.loadFailed': 'Failed to load stocks. Please refresh.',
+    'stocks.empty': 'No stocks match your filters.',
+    'stocks.buy': 'Buy',
+    'stocks.sell': 'Sell',
+
+    'portfolio.title': 'My Portfolio',
+    'portfolio.empty': 'No stocks yet. Start trading!',
+    'portfolio.caption': 'Your holdings. Choose a column heading to sort.',
+    'portfolio.column.stock': 'Stock',
+    'portfolio.column.shares': 'Shares',
+    'portfolio.column.averagePrice': 'Avg. price',
+    'portfolio.column.costBasis': 'Cost basis',
+    'portfolio.column.price': 'Price',
+    'portfolio.column.value': 'Value',
+    'portfolio.column.profit': 'P/L',
+    'portfolio.column.profitPercent': 'P/L %',
+    'portfolio.column.weight': 'Weight',
+    'portfolio.total': 'Total',
+    'portfolio.allocation': 'Allocation by category',
+    'portfolio.uncategorised': 'Other',
+
+    'performance.title': 'Value over time',
+    'performance.note': 'Worked out from the shares you hold today, so earlier trades don\'t show.',
+    'performance.range': 'Time range',
+    'performance.loading': 'Loading price history...',
+    'performance.unavailable': 'Couldn\'t load price history for your stocks. Try again later.',
+    'performance.empty': 'Buy a stock to see how your portfolio does over time.',
+    'performance.value': 'Your shares',
+    'performance.market': 'All stocks, equal weight',
+    'performance.invested': 'Amount invested (break-even line)',
+    'performance.cash': 'Cash',
+
+    'explore.title': 'Explore market',
+    'explore.sourceLabel': 'Market data from',
+    'explore.searchPlaceholder': 'Company name or symbol, e.g. Tesla',
+    'explore.searchLabel': 'Search the stock market',
+    'explore.resultsLabel': 'Matching stocks',
+    'explore.searching': 'Searching...',
+    'explore.resultCount': { one: '{count} match. Use the arrow keys to choose.', other: '{count} matches. Use the arrow keys to choose.' },
+    'explore.noMatches': 'No stocks match that search.',
+    'explore.loading': 'Looking up {symbol}...',
+    'explore.invalidSymbol': '"{symbol}" isn\'t a stock symbol. Symbols are letters like AAPL or BRK.B.',
+    'explore.invalidQuery': 'That search couldn\'t be used. Try a company name or symbol.',
+    'explore.notInGame': 'Live quotes are only shown for stocks you can trade in the game.',
+    'explore.noData': 'The data provider has nothing for this stock.',
+    'explore.unavailable': 'Market data isn\'t available right now. Try again later.',
+    'explore.offline': 'You\'re offline, so market data can\'t be loaded.',
+    'explore.throttled': 'Too many lookups for now. We\'ll try again automatically.',
+    'explore.retryIn': { one: 'Retrying in {count} second', other: 'Retrying in {count} seconds' },
+    'explore.history': 'Price history',
+    'explore.trade': 'Trade',
+    'explore.tradeLabel': 'Trade {symbol}',
+
+    'palette.label': 'Command palette',
+    'palette.placeholder': 'Try "buy AAPL 5", "sell all TSLA" or "show leaderboard"',
+    'palette.footer': '↑↓ to choose · Enter to run · Esc to close',
+    'palette.noResults': 'No matching commands.',
+    'palette.show': 'Show {section}',
+    'palette.buy': { one: 'Buy {count} {symbol} share', other: 'Buy {count} {symbol} shares' },
+    'palette.sell': { one: 'Sell {count} {symbol} share', other: 'Sell {count} {symbol} shares' },
+    'palette.buyMax': 'Buy as many {symbol} shares as you can afford',
+    'palette.sellAll': 'Sell all your {symbol} shares',
+    'palette.shortcuts': 'Show keyboard shortcuts',
+    'palette.logout': 'Log out',
+
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.palette': 'Open the command palette',
+    'shortcuts.search': 'Search the stock list',
+    'shortcuts.trade': 'Buy or sell the stock card that has focus',
+    'shortcuts.confirm': 'Confirm the trade',
+    'shortcuts.close': 'Close the trade window, palette or this list',
+    'shortcuts.help': 'Show these shortcuts',
+    'shortcuts.commands': 'In the palette, try: buy AAPL 5 · sell all TSLA · show leaderboard · logout',
+
+    'watchlist.title': 'Watchlist',
+    'watchlist.empty': 'Tap ☆ on a stock to follow it here.',
+    'watchlist.toggle': 'Watch {symbol}',
+    'watchlist.remove': 'Stop watching {symbol}',
+
+    'alerts.title': 'Price alerts',
+    'alerts.empty': 'No alerts yet.',
+    'alerts.symbolLabel': 'Stock symbol',
+    'alerts.conditionLabel': 'Alert when',
+    'alerts.above': 'Price goes above',
+    'alerts.below': 'Price goes below',
+    'alerts.move': 'Daily move of ±%',
+    'alerts.priceLabel': 'Price in US dollars',
+    'alerts.priceLabelZwg': 'Price in ZiG',
+    'alerts.percentLabel': 'Daily move in percent',
+    'alerts.add': 'Add alert',
+    'alerts.added': 'Alert set: {alert}',
+    'alerts.symbolRequired': 'Enter a stock symbol.',
+    'alerts.unknownStock': 'We couldn\'t find a stock called {symbol}.',
+    'alerts.invalidTarget': 'Enter a number greater than zero.',
+    'alerts.enableNotifications': 'Also send browser notifications',
+    'alerts.condition.above': '{symbol} above {price}',
+    'alerts.condition.below': '{symbol} below {price}',
+    'alerts.condition.move': '{symbol} moves ±{percent} in a day',
+    'alerts.armed': 'Watching',
+    'alerts.firedAt': 'Went off at {time} ({price})',
+    'alerts.rearm': 'Re-arm',
+    'alerts.rearmLabel': 'Re-arm alert: {alert}',
+    'alerts.remove': 'Delete alert: {alert}',
+    'alerts.setFor': 'Set a price alert for {symbol}',
+    'alerts.notificationTitle': 'Price alert',
+    'alerts.fired': '{alert}. Now {price} ({change} today).',
+
+    'achievements.title': 'Achievements',
+
+    'leaderboard.title': 'Leaderboard',
+    'leaderboard.loading': 'Loading rankings...',
+    'leaderboard.empty': 'No players yet.',
+    'leaderboard.you': '{name} (you)',
+    'leaderboard.levelXp': 'Level {level} · {xp} XP',
+    'leaderboard.movedUp': {
+        one: 'Up {count} place since your last visit',
+        other: 'Up {count} places since your last visit'
+    },
+    'leaderboard.movedDown': {
+        one: 'Down {count} place since your last visit',
+        other: 'Down {count} places since your last visit'
+    },
+
+    'activity.title': 'My Activity',
+    'activity.filterLabel': 'Filter activity',
+    'activity.filterAll': 'All',
+    'activity.filterBuys': 'Buys',
+    'activity.filterSells': 'Sells',
+    'activity.filterLogins': 'Logins',
+    'activity.filterAchievements': 'Achievements',
+    'activity.empty': 'No activity yet.',
+    'activity.bought': 'Bought {count} {symbol}',
+    'activity.sold': 'Sold {count} {symbol}',
+    'activity.unlocked': '{icon} Unlocked {name}',
+    'activity.registered': 'Created account',
+    'activity.loggedIn': 'Logged in',
+
+    'trade.buyTitle': 'Buy {symbol}',
+    'trade.sellTitle': 'Sell {symbol}',
+    'trade.quantity': 'Quantity',
+    'trade.totalCost': 'Total Cost',
+    'trade.youReceive': 'You Receive',
+    'trade.balanceAfter': 'Balance after trade',
+    'trade.max': 'Max ({count})',
+    'trade.sellAll': 'Sell all ({count})',
+    'trade.affordHint': { one: 'You can afford up to {count} share.', other: 'You can afford up to {count} shares.' },
+    'trade.ownHint': { one: 'You own {count} share.', other: 'You own {count} shares.' },
+    'trade.invalidQuantity': 'Enter a whole number of shares (at least 1).',
+    'trade.cannotAffordAny': 'You don\'t have enough cash for even one share.',
+    'trade.affordAtMost': { one: 'You can afford at most {count} share.', other: 'You can afford at most {count} shares.' },
+    'trade.ownNone': 'You don\'t own any {symbol} shares.',
+    'trade.ownOnly': { one: 'You only own {count} share.', other: 'You only own {count} shares.' },
+    'trade.xpLevelUp': '+{count} XP — this trade levels you up!',
+    'trade.bought': 'Bought successfully! +{count} XP',
+    'trade.sold': 'Sold successfully! +{count} XP',
+    'trade.failed': 'Trade failed',
+
+    'chart.label': 'Price history chart',
+    'chart.loading': 'Loading price history...',
+    'chart.notEnough': 'Not enough price history yet.',
+    'chart.high': 'High',
+    'chart.low': 'Low',
+    'chart.yourAverage': 'Your avg',
+
+    'senior.pageTitle': 'Senior Mode — Investment App',
+    'senior.headerLabel': 'Senior mode header',
+    'senior.heading': 'Your Money at a Glance',
+    'senior.subheading': 'Protected & Trackable — simplified for confidence',
+    'senior.largeText': 'Easy View Mode',
+    'senior.largeTextLabel': 'Large text and buttons',
+    'senior.largeTextOn': 'Large text turned on',
+    'senior.largeTextOff': 'Large text turned off',
+    'senior.highContrast': 'High Contrast',
+    'senior.highContrastLabel': 'High contrast colours',
+    'senior.highContrastOn': 'High contrast turned on',
+    'senior.highContrastOff': 'High contrast turned off',
+    'senior.readAloud': 'Read Aloud',
+    'senior.readAloudLabel': 'Read the screen aloud',
+    'senior.readAloudOn': 'Read aloud turned on',
+    'senior.readAloudOff': 'Read aloud turned off',
+    'senior.speechSettings': 'Read aloud settings',
+    'senior.speed': 'Speed',
+    'senior.speedSlow': 'Slow',
+    'senior.speedNormal': 'Normal',
+    'senior.speedFast': 'Fast',
+    'senior.voice': 'Voice',
+    'senior.defaultVoice': 'Default voice',
+    'senior.repeat': 'Repeat',
+    'senior.protected': 'Protected & Trackable',
+    'senior.accountStatus': 'Account status',
+    'senior.active': 'Active',
+    'senior.putIn': 'Put Money In',
+    'senior.putInDescription': 'Quickly add funds to an investment',
+    'senior.takeOut': 'Take Money Out',
+    'senior.takeOutDescription': 'Sell an investment and get the cash back',
+    'senior.reviewTitle': 'Step 3 — Review',
+    'senior.summary': 'Summary',
+    'senior.selected': '{name} selected',
+    'senior.tabAnnouncement': '{tab} tab',
+    'senior.latestActivity': 'Latest Activity',
+    'senior.noActivity': 'No recent activity',
+    'senior.helpIntro': 'If you need help, choose an option below.',
+    'senior.callSupport': 'Call Support',
+    'senior.chatSupport': 'Chat With Us',
+    'senior.callSupportDemo': 'Support: +1-800-INVEST\n\nThis is a demo. In production, this would initiate a phone call.',
+    'senior.chatSupportDemo': 'Opening chat support...\n\nThis is a demo. In production, this would open a live chat window.',
+    'senior.faq.investQuestion': 'How do I invest?',
+    'senior.faq.investAnswer': 'Tap "Put Money In" on the main screen, choose an amount, select a stock, and confirm.',
+    'senior.faq.withdrawQuestion': 'How do I withdraw funds?',
+    'senior.faq.withdrawAnswer': 'Tap "Take Money Out" on the main screen, pick an investment, choose how much money you want back and confirm. We sell whole shares only, so the amount may be rounded down a little — the review screen shows exactly what you will get.',
+
+    'senior.speakBalance': 'Your balance is {balance}.',
+    'senior.speakStock': '{name}, {price} per share, {movement}.',
+    'senior.speakUp': 'up {change} today',
+    'senior.speakDown': 'down {change} today',
+    'senior.speakUnchanged': 'unchanged today',
+
+    'senior.invest.amountTitle': 'Step 1 — Choose Amount',
+    'senior.invest.amountHint': 'Tap a quick amount or type your own, in US dollars.',
+    'senior.invest.amountLabel': 'Amount to invest in dollars',
+    'senior.invest.stockTitle': 'Step 2 — Choose Stock',
+    'senior.invest.stockHint': 'Pick a stock with a single tap.',
+    'senior.invest.stocksLabel': 'Stocks',
+    'senior.invest.stockRow': {
+        one: '{price} per share · {count} share for your {amount}',
+        other: '{price} per share · {count} shares for your {amount}'
+    },
+    'senior.invest.reviewNote': 'Nothing is bought until you press "Confirm Investment". You can cancel anytime.',
+    'senior.invest.confirm': 'Confirm Investment',
+    'senior.invest.successTitle': 'Success! 🎉',
+    'senior.invest.protected': 'Your investment is protected & trackable.',
+    'senior.invest.again': 'Invest Again',
+    'senior.invest.amountMissing': 'Please type how many dollars you want to invest.',
+    'senior.invest.amountTooSmall': 'Please invest at least {minimum}.',
+    'senior.invest.amountTooLarge': 'You have {balance} available. Please choose a smaller amount.',
+    'senior.invest.shareTooExpensive': 'One share of {symbol} costs {price}. Please go back and choose a larger amount or another stock.',
+    'senior.invest.notEnoughCash': {
+        one: 'You have {balance} available, which is not enough for {count} share of {symbol}.',
+        other: 'You have {balance} available, which is not enough for {count} shares of {symbol}.'
+    },
+    'senior.invest.chooseStock': 'Please choose a stock first.',
+    'senior.invest.quoteFailed': 'We could not get the latest price. Please try again.',
+    'senior.invest.stocksFailed': 'We could not load the stocks. Please try again.',
+    'senior.invest.summary': {
+        one: 'You are buying {count} share of {stock} at {price} each, for a total of {total}.',
+        other: 'You are buying {count} shares of {stock} at {price} each, for a total of {total}.'
+    },
+    'senior.invest.roundedDown': 'We only buy whole shares, so this is a little less than your {amount}.',
+    'senior.invest.cashLeft': 'You will have {balance} cash left.',
+    'senior.invest.speakConfirm': 'Press Confirm Investment to buy, or Back to change it.',
+    'senior.invest.failed': 'Investment failed. Please try again.',
+    'senior.invest.result': {
+        one: 'You invested {amount} into {symbol} ({count} share). Your cash balance is now {balance}.',
+        other: 'You invested {amount} into {symbol} ({count} shares). Your cash balance is now {balance}.'
+    },
+
+    'senior.withdraw.holdingTitle': 'Step 1 — Choose an Investment',
+    'senior.withdraw.holdingHint': 'Tap the investment you want to take money out of.',
+    'senior.withdraw.holdingsLabel': 'Your investments',
+    'senior.withdraw.holdingRow': { one: '{count} share at {price} each', other: '{count} shares at {price} each' },
+    'senior.withdraw.loading': 'Loading your investments...',
+    'senior.withdraw.loadFailed': 'We couldn\'t load your investments. Please try again.',
+    'senior.withdraw.empty': 'You don\'t have any investments to take money out of yet.',
+    'senior.withdraw.chooseHolding': 'Please choose an investment first.',
+    'senior.withdraw.amountTitle': 'Step 2 — Choose Amount',
+    'senior.withdraw.amountLabel': 'Amount to take out in dollars',
+    'senior.withdraw.holdingSummary': 'Your {stock} shares are worth {value} right now. How much money do you want back (in US dollars)?',
+    'senior.withdraw.all': 'All of it',
+    'senior.withdraw.amountMissing': 'Please type how many dollars you want to take out.',
+    'senior.withdraw.amountTooSmall': 'One share of {symbol} is worth {price}. Please enter at least that much.',
+    'senior.withdraw.sellingAll': { one: 'You are selling your {count} share.', other: 'You are selling all {count} shares.' },
+    'senior.withdraw.onlyHave': {
+        one: 'You only have {count} share, worth {value}, so we will sell it.',
+        other: 'You only have {count} shares, worth {value}, so we will sell all of them.'
+    },
+    'senior.withdraw.exact': { one: '{amount} is exactly {count} share.', other: '{amount} is exactly {count} shares.' },
+    'senior.withdraw.rounded': {
+        one: '{amount} is about {exact} shares. We can only sell whole shares, so we will sell {count} share for {proceeds}.',
+        other: '{amount} is about {exact} shares. We can only sell whole shares, so we will sell {count} shares for {proceeds}.'
+    },
+    'senior.withdraw.reviewNote': 'Nothing is sold until you press "Take Money Out". You can cancel anytime.',
+    'senior.withdraw.summary': {
+        one: 'You are taking out {amount} by selling {count} share of {stock} at {price} each.',
+        other: 'You are taking out {amount} by selling {count} shares of {stock} at {price} each.'
+    },
+    'senior.withdraw.balanceChange': 'Your cash balance will go from {from} to {to}.',
+    'senior.withdraw.priceMayMove': 'The final amount can change slightly if the price moves before the sale.',
+    'senior.withdraw.speakConfirm': 'Press Take Money Out to sell, or Back to change it.',
+    'senior.withdraw.failed': 'We could not complete the sale. Please try again.',
+    'senior.withdraw.doneTitle': 'Done! 🎉',
+    'senior.withdraw.result': {
+        one: 'You sold {count} share of {symbol}. Your cash balance is now {balance}.',
+        other: 'You sold {count} shares of {symbol}. Your cash balance is now {balance}.'
+    },
+
+    'senior.activity.putIn': 'You put {amount} into {symbol} {when}.',
+    'senior.activity.tookOut': 'You took {amount} out of {symbol} {when}.',
+    'senior.activity.bought': { one: 'You bought {count} share of {symbol} {when}.', other: 'You bought {count} shares of {symbol} {when}.' },
+    'senior.activity.sold': { one: 'You sold {count} share of {symbol} {when}.', other: 'You sold {count} shares of {symbol} {when}.' },
+    'senior.activity.badge': 'You earned the "{name}" badge {when}. {icon}',
+    'senior.activity.registered': 'You opened your account {when}.',
+    'senior.activity.signedIn': 'You signed in {when}.',
+    'senior.when.today': 'today at {time}',
+    'senior.when.yesterday': 'yesterday',
+    'senior.when.on': 'on {date}'
+});
@@ -0,0 +1,365 @@
+import { I18n } from '../utils/I18n';
+
+/**
+ * isiNdebele messages
+ * Keys missing here fall back to English (i18n/en.js). Corrections from
+ * native speakers are welcome.
+ */
+I18n.addMessages('nd', {
+    'app.title': '🎮 Umdlalo Wokutshala Imali',
+    'app.pageTitle': 'Umdlalo Wokutshala Imali Wabantwana',
+
+    'common.back': 'Buyela',
+    'common.cancel': 'Khansela',
+    'common.confirm': 'Qinisekisa',
+    'common.continue': 'Qhubeka',
+    'common.done': 'Kuphelile',
+    'common.on': 'KUVULIWE',
+    'common.off': 'KUVALIWE',
+    'common.ok': 'Kulungile',
+    'common.dismiss': 'Vala',
+
+    'settings.language': 'Ulimi',
+    'settings.currency': 'Imali',
+    'settings.currencyUsd': 'Amadola eMelika',
+    'settings.currencyZwg': 'ZiG',
+    'settings.currencyBoth': 'Amadola leZiG',
+
+    'nav.home': 'Ekhaya',
+    'nav.activities': 'Okwenziweyo',
+    'nav.help': 'Uncedo',
+    'nav.logout': 'Phuma',
+    'nav.primary': 'Indlela enkulu',
+    'nav.seniorMode': 'Guqukela Kwesabadala',
+    'nav.normalMode': 'Guqukela Kwejwayelekileyo',
+
+    'auth.tagline': 'Funda ukutshala imali ujabule!',
+    'auth.email': 'I-email',
+    'auth.password': 'Iphasiwedi',
+    'auth.passwordHint': 'Iphasiwedi (okungenani izinhlamvu ezi-8)',
+    'auth.confirmPassword': 'Qinisekisa Iphasiwedi',
+    'auth.fullName': 'Ibizo Eligcweleyo',
+    'auth.login': 'Ngena',
+    'auth.createAccount': 'Vula I-akhawunti',
+    'auth.noAccount': 'Awulayo i-akhawunti?',
+    'auth.haveAccount': 'Usulayo i-akhawunti?',
+    'auth.sessionExpired': 'Isikhathi sakho siphelile. Ake ungene futhi.',
+    'auth.signedOutElsewhere': 'Uphume kwenye ithebhu.',
+    'auth.loginFailed': 'Ukungena kwehlulekile',
+    'auth.fillAllFields': 'Ake ugcwalise konke',
+    'auth.passwordTooShort': 'Iphasiwedi kumele ibe lezinhlamvu ezingaba ngu-{count}',
+    'auth.passwordMismatch': 'Amaphasiwedi kawafanani',
+    'auth.accountCreated': 'I-akhawunti ivuliwe! Siyakungenisa...',
+    'auth.registrationFailed': 'Ukubhalisa kwehlulekile',
+
+    'dashboard.welcome': 'Siyakwamukela, {name}!',
+    'dashboard.defaultName': 'Umthengisi',
+    'dashboard.level': 'Umthengisi Wezinga {level}',
+
+    'summary.balance': 'Imali Ekhona',
+    'summary.portfolioValue': 'Ukubaluleka Kwezitshalo',
+    'summary.totalXp': 'I-XP Yonke',
+
+    'offline.asOf': 'Awuxhumananga le-inthanethi. Sitshengisa okwakukhona ngo-{time}.',
+    'offline.noData': 'Awuxhumananga le-inthanethi.',
+    'offline.tradingPaused': 'Ukuthenga lokuthengisa kumisiwe uze ubuyele ku-inthanethi.',
+    'offline.backOnline': 'Usubuyele ku-inthanethi.',
+
+    'xp.progress': '{xp} / {next} XP ukuya ezingeni {level}',
+    'xp.progressLabel': 'Inqubekela phambili ukuya ezingeni {level}',
+
+    'celebrate.levelUp': 'Ukhuphukile! Usezingeni {level}.',
+    'celebrate.achievement': 'Uzuze umklomelo: {icon} {name} +{count} XP',
+
+    'pagination.previous': 'Okwangaphambili',
+    'pagination.next': 'Okulandelayo',
+    'pagination.pageInfo': 'Ikhasi {page} kwangu-{pages}',
+
+    'stocks.title': 'Izabelo Ezikhona',
+    'stocks.searchPlaceholder': 'Dinga ngebizo kumbe uphawu',
+    'stocks.searchLabel': 'Dinga izabelo',
+    'stocks.sortLabel': 'Hlela izabelo',
+    'stocks.sortDefault': 'Hlela: Okujwayelekileyo',
+    'stocks.sortPriceAsc': 'Intengo: Ephansi kuya Ephezulu',
+    'stocks.sortPriceDesc': 'Intengo: Ephezulu kuya Ephansi',
+    'stocks.sortGainers': 'Ezikhuphuke Kakhulu',
+    'stocks.sortLosers': 'Ezehle Kakhulu',
+    'stocks.categoryLabel': 'Hlunga ngohlobo',
+    'stocks.categoryAll': 'Konke',
+    'stocks.pageInfo': 'Ikhasi {page} kwangu-{pages} (izabelo ezingu-{count})',
+    'stocks.loadFailed': 'Izabelo kazilayishwanga. Ake uvuselele ikhasi.',
+    'stocks.empty': 'Azikho izabelo ezihambelana lokukhethileyo.',
+    'stocks.buy': 'Thenga',
+    'stocks.sell': 'Thengisa',
+
+    'portfolio.title': 'Izitshalo Zami',
+    'portfolio.empty': 'Azikho izabelo okwamanje. Qala ukuthengiselana!',
+    'portfolio.caption': 'Izitshalo zakho. Khetha isihloko sekholamu ukuze uhlele.',
+    'portfolio.column.stock': 'Inkampani',
+    'portfolio.column.shares': 'Izabelo',
+    'portfolio.column.averagePrice': 'Intengo ephakathi',
+    'portfolio.column.costBasis': 'Imali efakiweyo',
+    'portfolio.column.price': 'Intengo',
+    'portfolio.column.value': 'Inani',
+    'portfolio.column.profit': 'Inzuzo',
+    'portfolio.column.profitPercent': 'Inzuzo %',
+    'portfolio.column.weight': 'Ingxenye',
+    'portfolio.total': 'Isamba',
+    'portfolio.allocation': 'Ukwabiwa ngohlobo',
+    'portfolio.uncategorised': 'Okunye',
+
+    'performance.title': 'Inani ngokuhamba kwesikhathi',
+    'performance.note': 'Kubalwe ngamasheya olawo lamuhla, ngakho ukuthenga kumbe ukuthengisa kwakuqala akutshengiswa.',
+    'performance.range': 'Isikhathi',
+    'performance.loading': 'Kulayishwa umlando wentengo...',
+    'performance.unavailable': 'Asikwazanga ukulayisha umlando wentengo wamasheya akho. Zama futhi emva kwesikhatshana.',
+    'performance.empty': 'Thenga isheya ukuze ubone ukuthi okufakileyo kuhamba njani ngokwesikhathi.',
+    'performance.value': 'Amasheya akho',
+    'performance.market': 'Zonke izinkampani, zilingana',
+    'performance.invested': 'Imali ofakileyo (umugqa wokulingana)',
+    'performance.cash': 'Imali',
+
+    'explore.title': 'Hlola imakethe',
+    'explore.sourceLabel': 'Ulwazi lwemakethe oluvela ku',
+    'explore.searchPlaceholder': 'Ibizo lenkampani loba uphawu, isibonelo Tesla',
+    'explore.searchLabel': 'Dinga emakethe yamasheya',
+    'explore.resultsLabel': 'Izinkampani ezifanayo',
+    'explore.searching': 'Siyadinga...',
+    'explore.resultCount': { one: 'Kutholakale {count}. Sebenzisa imitshoko ukukhetha.', other: 'Kutholakale {count}. Sebenzisa imitshoko ukukhetha.' },
+    'explore.noMatches': 'Akula nkampani efanayo lalokho okudingayo.',
+    'explore.loading': 'Siyadinga u {symbol}...',
+    'explore.invalidSymbol': '"{symbol}" akusilo uphawu lwenkampani. Izimpawu zingamabala anjenge AAPL loba BRK.B.',
+    'explore.invalidQuery': 'Asikwazanga ukusebenzisa lokho okudingayo. Zama ibizo lenkampani loba uphawu.',
+    'explore.notInGame': 'Amanani akhona khathesi akhonjiswa kuphela kwizinkampani ongazithenga emdlalweni.',
+    'explore.noData': 'Abasinika ulwazi kabalalutho ngale nkampani.',
+    'explore.unavailable': 'Ulwazi lwemakethe kalutholakali khathesi. Zama futhi ngemva kwesikhathi.',
+    'explore.offline': 'Kawukho ku-inthanethi, ngakho ulwazi lwemakethe alulethwe.',
+    'explore.throttled': 'Udinge kanengi kakhulu. Sizazama futhi ngokwethu.',
+    'explore.retryIn': { one: 'Sizazama futhi ngemva kwesekhondi elilodwa', other: 'Sizazama futhi ngemva kwamasekhondi angu {count}' },
+    'explore.history': 'Umlando wentengo',
+    'explore.trade': 'Thenga',
+    'explore.tradeLabel': 'Thenga u {symbol}',
+
+    'palette.label': 'Indawo yemiyalo',
+    'palette.placeholder': 'Zama "buy AAPL 5", "sell all TSLA" loba "show leaderboard"',
+    'palette.footer': '↑↓ ukukhetha · Enter ukwenza · Esc ukuvala',
+    'palette.noResults': 'Akula mulayo ofanayo.',
+    'palette.show': 'Tshengisa {section}',
+    'palette.buy': { one: 'Thenga isheya elingu {count} le {symbol}', other: 'Thenga amasheya angu {count} e {symbol}' },
+    'palette.sell': { one: 'Thengisa isheya elingu {count} le {symbol}', other: 'Thengisa amasheya angu {count} e {symbol}' },
+    'palette.buyMax': 'Thenga amasheya e {symbol} amanengi ongawathenga',
+    'palette.sellAll': 'Thengisa wonke amasheya akho e {symbol}',
+    'palette.shortcuts': 'Tshengisa izinqamuleli zekhibhodi',
+    'palette.logout': 'Phuma',
+
+    'shortcuts.title': 'Izinqamuleli zekhibhodi',
+    'shortcuts.palette': 'Vula indawo yemiyalo',
+    'shortcuts.search': 'Dinga ohlwini lwezinkampani',
+    'shortcuts.trade': 'Thenga loba thengisa inkampani ekhethiweyo',
+    'shortcuts.confirm': 'Qinisekisa ukuthenga loba ukuthengisa',
+    'shortcuts.close': 'Vala iwindi lokuthenga, indawo yemiyalo loba uhlu lolu',
+    'shortcuts.help': 'Tshengisa izinqamuleli lezi',
+    'shortcuts.commands': 'Endaweni yemiyalo, zama: buy AAPL 5 · sell all TSLA · show leaderboard · logout',
+
+    'watchlist.title': 'Engikukhangelayo',
+    'watchlist.empty': 'Thinta ☆ enkampanini ukuze uyikhangele lapha.',
+    'watchlist.toggle': 'Khangela {symbol}',
+    'watchlist.remove': 'Yekela ukukhangela {symbol}',
+
+    'alerts.title': 'Izexwayiso zentengo',
+    'alerts.empty': 'Akukho zexwayiso okwamanje.',
+    'alerts.symbolLabel': 'Uphawu lwenkampani',
+    'alerts.conditionLabel': 'Xwayisa nxa',
+    'alerts.above': 'Intengo yeqa',
+    'alerts.below': 'Intengo yehla ngaphansi kuka',
+    'alerts.move': 'Ukuguquka kwelanga ±%',
+    'alerts.priceLabel': 'Intengo ngamadola e-US',
+    'alerts.priceLabelZwg': 'Intengo ngeZiG',
+    'alerts.percentLabel': 'Ukuguquka kwelanga ngamaphesenti',
+    'alerts.add': 'Engeza isexwayiso',
+    'alerts.added': 'Isexwayiso sifakiwe: {alert}',
+    'alerts.symbolRequired': 'Faka uphawu lwenkampani.',
+    'alerts.unknownStock': 'Asiyitholanga inkampani ethiwa {symbol}.',
+    'alerts.invalidTarget': 'Faka inombolo engaphezu kuka-zero.',
+    'alerts.enableNotifications': 'Thumela lezaziso ku-browser',
+    'alerts.condition.above': '{symbol} ngaphezu kuka {price}',
+    'alerts.condition.below': '{symbol} ngaphansi kuka {price}',
+    'alerts.condition.move': '{symbol} iguquka ±{percent} ngelanga',
+    'alerts.armed': 'Ngiyakhangela',
+    'alerts.firedAt': 'Sikhale ngo {time} ({price})',
+    'alerts.rearm': 'Lungisa futhi',
+    'alerts.rearmLabel': 'Lungisa isexwayiso futhi: {alert}',
+    'alerts.remove': 'Susa isexwayiso: {alert}',
+    'alerts.setFor': 'Faka isexwayiso sentengo ye {symbol}',
+    'alerts.notificationTitle': 'Isexwayiso sentengo',
+    'alerts.fired': '{alert}. Khathesi {price} ({change} lamuhla).',
+
+    'achievements.title': 'Okuzuziweyo',
+
+    'leaderboard.title': 'Abaphambili',
+    'leaderboard.loading': 'Silayisha izikhundla...',
+    'leaderboard.empty': 'Abakho abadlali okwamanje.',
+    'leaderboard.you': '{name} (wena)',
+    'leaderboard.levelXp': 'Izinga {level} · {xp} XP',
+    'leaderboard.movedUp': 'Ukhuphuke ngezindawo ezingu-{count} kusukela wacina ukuvakatsha',
+    'leaderboard.movedDown': 'Wehle ngezindawo ezingu-{count} kusukela wacina ukuvakatsha',
+
+    'activity.title': 'Engikwenzileyo',
+    'activity.filterLabel': 'Hlunga okwenziweyo',
+    'activity.filterAll': 'Konke',
+    'activity.filterBuys': 'Okuthengiweyo',
+    'activity.filterSells': 'Okuthengisiweyo',
+    'activity.filterLogins': 'Ukungena',
+    'activity.filterAchievements': 'Okuzuziweyo',
+    'activity.empty': 'Akukho okwenziweyo okwamanje.',
+    'activity.bought': 'Uthenge {count} {symbol}',
+    'activity.sold': 'Uthengise {count} {symbol}',
+    'activity.unlocked': '{icon} Uzuze {name}',
+    'activity.registered': 'Uvule i-akhawunti',
+    'activity.loggedIn': 'Ungenile',
+
+    'trade.buyTitle': 'Thenga {symbol}',
+    'trade.sellTitle': 'Thengisa {symbol}',
+    'trade.quantity': 'Inani',
+    'trade.totalCost': 'Intengo Yonke',
+    'trade.youReceive': 'Uthola',
+    'trade.balanceAfter': 'Imali esalayo',
+    'trade.max': 'Okunengi ({count})',
+    'trade.sellAll': 'Thengisa konke ({count})',
+    'trade.affordHint': 'Ungathenga izabelo ezifika ku-{count}.',
+    'trade.ownHint': 'Ulezabelo ezingu-{count}.',
+    'trade.invalidQuantity': 'Faka inombolo epheleleyo yezabelo (okungenani 1).',
+    'trade.cannotAffordAny': 'Awulayo imali eyaneleyo ngitsho isabelo esisodwa.',
+    'trade.affordAtMost': 'Ungathenga izabelo ezingu-{count} kuphela.',
+    'trade.ownNone': 'Awulazo izabelo ze-{symbol}.',
+    'trade.ownOnly': 'Ulezabelo ezingu-{count} kuphela.',
+    'trade.xpLevelUp': '+{count} XP — ukuthengiselana lokhu kukukhuphula izinga!',
+    'trade.bought': 'Uthenge kuhle! +{count} XP',
+    'trade.sold': 'Uthengise kuhle! +{count} XP',
+    'trade.failed': 'Ukuthengiselana kwehlulekile',
+
+    'chart.label': 'Igrafu yentengo yakudala',
+    'chart.loading': 'Silayisha intengo yakudala...',
+    'chart.notEnough': 'Akukabi lentengo yakudala eyaneleyo.',
+    'chart.high': 'Ephezulu',
+    'chart.low': 'Ephansi',
+    'chart.yourAverage': 'I-avareji yakho',
+
+    'senior.pageTitle': 'Isimo Sabadala — Ukutshala Imali',
+    'senior.headerLabel': 'Inhloko yesimo sabadala',
+    'senior.heading': 'Imali Yakho Ngokukhangela Kanye',
+    'senior.subheading': 'Ivikelekile futhi Iyalandeleka — yenziwe lula ukuze uzethembe',
+    'senior.largeText': 'Ukubona Okulula',
+    'senior.largeTextLabel': 'Izinhlamvu lezinkinobho ezinkulu',
+    'senior.largeTextOn': 'Izinhlamvu ezinkulu zivuliwe',
+    'senior.largeTextOff': 'Izinhlamvu ezinkulu zivaliwe',
+    'senior.highContrast': 'Imibala Ecacileyo',
+    'senior.highContrastLabel': 'Imibala ecacile kakhulu',
+    'senior.highContrastOn': 'Imibala ecacileyo ivuliwe',
+    'senior.highContrastOff': 'Imibala ecacileyo ivaliwe',
+    'senior.readAloud': 'Bala Kuzwakale',
+    'senior.readAloudLabel': 'Bala isikrini kuzwakale',
+    'senior.readAloudOn': 'Ukubala kuvuliwe',
+    'senior.readAloudOff': 'Ukubala kuvaliwe',
+    'senior.speechSettings': 'Izilungiselelo zokubala',
+    'senior.speed': 'Ijubane',
+    'senior.speedSlow': 'Kancane',
+    'senior.speedNormal': 'Okujwayelekileyo',
+    'senior.speedFast': 'Ngokuphangisa',
+    'senior.voice': 'Ilizwi',
+    'senior.defaultVoice': 'Ilizwi elijwayelekileyo',
+    'senior.repeat': 'Phinda',
+    'senior.protected': 'Ivikelekile futhi Iyalandeleka',
+    'senior.accountStatus': 'Isimo se-akhawunti',
+    'senior.active': 'Iyasebenza',
+    'senior.putIn': 'Faka Imali',
+    'senior.putInDescription': 'Faka imali esitshalweni ngokuphangisa',
+    'senior.takeOut': 'Khupha Imali',
+    'senior.takeOutDescription': 'Thengisa isitshalo uthole imali yakho',
+    'senior.reviewTitle': 'Isinyathelo 3 — Hlola',
+    'senior.summary': 'Isifinyezo',
+    'senior.selected': '{name} ikhethiwe',
+    'senior.tabAnnouncement': 'Ithebhu ye-{tab}',
+    'senior.latestActivity': 'Okwenziwe Muva',
+    'senior.noActivity': 'Akukho okwenziwe muva',
+    'senior.helpIntro': 'Nxa udinga uncedo, khetha ngezansi.',
+    'senior.callSupport': 'Fonela Uncedo',
+    'senior.chatSupport': 'Xoxa Lathi',
+    'senior.callSupportDemo': 'Uncedo: +1-800-INVEST\n\nLokhu kuyisibonelo. Ohlelweni lwangempela, lokhu bekuzafonela.',
+    'senior.chatSupportDemo': 'Sivula ingxoxo...\n\nLokhu kuyisibonelo. Ohlelweni lwangempela, lokhu bekuzavula ingxoxo.',
+    'senior.faq.investQuestion': 'Ngitshala njani imali?',
+    'senior.faq.investAnswer': 'Thinta "Faka Imali" esikrinini esikhulu, khetha imali, khetha isabelo, ubusuqinisekisa.',
+    'senior.faq.withdrawQuestion': 'Ngikhupha njani imali?',
+    'senior.faq.withdrawAnswer': 'Thinta "Khupha Imali" esikrinini esikhulu, khetha isitshalo, khetha imali ofuna ukuyibuyiselwa ubusuqinisekisa. Sithengisa izabelo eziphelele kuphela, ngakho imali ingehliswa kancane — ikhasi lokuhlola likutshengisa okuzakuthola.',
+
+    'senior.speakBalance': 'Imali yakho ekhona ngu-{balance}.',
+    'senior.speakStock': '{name}, {price} ngesabelo, {movement}.',
+    'senior.speakUp': 'ikhuphuke ngo-{change} lamuhla',
+    'senior.speakDown': 'yehle ngo-{change} lamuhla',
+    'senior.speakUnchanged': 'kayiguqukanga lamuhla',
+
+    'senior.invest.amountTitle': 'Isinyathelo 1 — Khetha Imali',
+    'senior.invest.amountHint': 'Thinta imali esheshayo kumbe ubhale eyakho, ngamadola eMelika.',
+    'senior.invest.amountLabel': 'Imali yokutshala ngamadola',
+    'senior.invest.stockTitle': 'Isinyathelo 2 — Khetha Isabelo',
+    'senior.invest.stockHint': 'Khetha isabelo ngokuthinta kanye.',
+    'senior.invest.stocksLabel': 'Izabelo',
+    'senior.invest.stockRow': '{price} ngesabelo · izabelo ezingu-{count} nge-{amount} yakho',
+    'senior.invest.reviewNote': 'Akukho okuthengwayo uze uthinte "Qinisekisa Ukutshala". Ungakhansela loba nini.',
+    'senior.invest.confirm': 'Qinisekisa Ukutshala',
+    'senior.invest.successTitle': 'Kuphumelele! 🎉',
+    'senior.invest.protected': 'Imali oyitshaleyo ivikelekile futhi iyalandeleka.',
+    'senior.invest.again': 'Tshala Futhi',
+    'senior.invest.amountMissing': 'Ake ubhale amadola ofuna ukuwatshala.',
+    'senior.invest.amountTooSmall': 'Ake utshale okungenani {minimum}.',
+    'senior.invest.amountTooLarge': 'Ulo-{balance} ekhona. Ake ukhethe imali encane.',
+    'senior.invest.shareTooExpensive': 'Isabelo esisodwa se-{symbol} sibiza {price}. Ake ubuyele ukhethe imali enengi kumbe esinye isabelo.',
+    'senior.invest.notEnoughCash': 'Ulo-{balance} ekhona, engeneli izabelo ezingu-{count} ze-{symbol}.',
+    'senior.invest.chooseStock': 'Ake ukhethe isabelo kuqala.',
+    'senior.invest.quoteFailed': 'Asikwazanga ukuthola intengo yamanje. Ake uzame futhi.',
+    'senior.invest.stocksFailed': 'Asikwazanga ukulayisha izabelo. Ake uzame futhi.',
+    'senior.invest.summary': 'Uthenga izabelo ezingu-{count} ze-{stock} ngo-{price} ngasinye, konke kuyi-{total}.',
+    'senior.invest.roundedDown': 'Sithenga izabelo eziphelele kuphela, ngakho lokhu kuncane kancane kune-{amount} yakho.',
+    'senior.invest.cashLeft': 'Uzasala lo-{balance}.',
+    'senior.invest.speakConfirm': 'Thinta Qinisekisa Ukutshala ukuze uthenge, kumbe Buyela ukuze uguqule.',
+    'senior.invest.failed': 'Ukutshala kwehlulekile. Ake uzame futhi.',
+    'senior.invest.result': 'Utshale {amount} ku-{symbol} (izabelo ezingu-{count}). Imali yakho ekhona manje ngu-{balance}.',
+
+    'senior.withdraw.holdingTitle': 'Isinyathelo 1 — Khetha Isitshalo',
+    'senior.withdraw.holdingHint': 'Thinta isitshalo ofuna ukukhupha kuso imali.',
+    'senior.withdraw.holdingsLabel': 'Izitshalo zakho',
+    'senior.withdraw.holdingRow': 'Izabelo ezingu-{count} ngo-{price} ngasinye',
+    'senior.withdraw.loading': 'Silayisha izitshalo zakho...',
+    'senior.withdraw.loadFailed': 'Asikwazanga ukulayisha izitshalo zakho. Ake uzame futhi.',
+    'senior.withdraw.empty': 'Awukabi lezitshalo ongakhupha kuzo imali.',
+    'senior.withdraw.chooseHolding': 'Ake ukhethe isitshalo kuqala.',
+    'senior.withdraw.amountTitle': 'Isinyathelo 2 — Khetha Imali',
+    'senior.withdraw.amountLabel': 'Imali yokukhupha ngamadola',
+    'senior.withdraw.holdingSummary': 'Izabelo zakho ze-{stock} zibalulekile ngo-{value} khathesi. Ufuna ukubuyiselwa imali engakanani (ngamadola eMelika)?',
+    'senior.withdraw.all': 'Yonke',
+    'senior.withdraw.amountMissing': 'Ake ubhale amadola ofuna ukuwakhupha.',
+    'senior.withdraw.amountTooSmall': 'Isabelo esisodwa se-{symbol} sibalulekile ngo-{price}. Ake ufake okungenani lokho.',
+    'senior.withdraw.sellingAll': 'Uthengisa izabelo zakho zonke ezingu-{count}.',
+    'senior.withdraw.onlyHave': 'Ulezabelo ezingu-{count} kuphela, ezibalulekile ngo-{value}, ngakho sizazithengisa zonke.',
+    'senior.withdraw.exact': '{amount} yizabelo ezingu-{count} ncwi.',
+    'senior.withdraw.rounded': '{amount} yizabelo ezingaba ngu-{exact}. Sithengisa izabelo eziphelele kuphela, ngakho sizathengisa ezingu-{count} ngo-{proceeds}.',
+    'senior.withdraw.reviewNote': 'Akukho okuthengiswayo uze uthinte "Khupha Imali". Ungakhansela loba nini.',
+    'senior.withdraw.summary': 'Ukhupha {amount} ngokuthengisa izabelo ezingu-{count} ze-{stock} ngo-{price} ngasinye.',
+    'senior.withdraw.balanceChange': 'Imali yakho ekhona izasuka ku-{from} iye ku-{to}.',
+    'senior.withdraw.priceMayMove': 'Imali yokucina ingaguquka kancane nxa intengo iguquka kungakathengiswa.',
+    'senior.withdraw.speakConfirm': 'Thinta Khupha Imali ukuze uthengise, kumbe Buyela ukuze uguqule.',
+    'senior.withdraw.failed': 'Asikwazanga ukuqeda ukuthengisa. Ake uzame futhi.',
+    'senior.withdraw.doneTitle': 'Kuphelile! 🎉',
+    'senior.withdraw.result': 'Uthengise izabelo ezingu-{count} ze-{symbol}. Imali yakho ekhona manje ngu-{balance}.',
+
+    'senior.activity.putIn': 'Ufake {amount} ku-{symbol} {when}.',
+    'senior.activity.tookOut': 'Ukhuphe {amount} ku-{symbol} {when}.',
+    'senior.activity.bought': 'Uthenge izabelo ezingu-{count} ze-{symbol} {when}.',
+    'senior.activity.sold': 'Uthengise izabelo ezingu-{count} ze-{symbol} {when}.',
+    'senior.activity.badge': 'Uzuze ibheji elithi "{name}" {when}. {icon}',
+    'senior.activity.registered': 'Uvule i-akhawunti yakho {when}.',
+    'senior.activity.signedIn': 'Ungene {when}.',
+    'senior.when.today': 'lamuhla ngo-{time}',
+    'senior.when.yesterday': 'izolo',
+    'senior.when.on': 'mhla ka-{date}'
+});
@@ -0,0 +1,365 @@
+import { I18n } from '../utils/I18n';
+
+/**
+ * chiShona messages
+ * Keys missing here fall back to English (i18n/en.js). Corrections from
+ * native speakers are welcome.
+ */
+I18n.addMessages('sn', {
+    'app.title': '🎮 Mutambo weKuisa Mari',
+    'app.pageTitle': 'Mutambo weKuisa Mari weVana',
+
+    'common.back': 'Dzokera',
+    'common.cancel': 'Kanzura',
+    'common.confirm': 'Simbisa',
+    'common.continue': 'Enderera',
+    'common.done': 'Zvapera',
+    'common.on': 'ZVAKABATIDZWA',
+    'common.off': 'ZVAKADZIMWA',
+    'common.ok': 'Zvakanaka',
+    'common.dismiss': 'Vhara',
+
+    'settings.language': 'Mutauro',
+    'settings.currency': 'Mari',
+    'settings.currencyUsd': 'Madhora eAmerica',
+    'settings.currencyZwg': 'ZiG',
+    'settings.currencyBoth': 'Madhora neZiG',
+
+    'nav.home': 'Kumba',
+    'nav.activities': 'Zvaitwa',
+    'nav.help': 'Rubatsiro',
+    'nav.logout': 'Buda',
+    'nav.primary': 'Nzira huru',
+    'nav.seniorMode': 'Chinjira kuMhando yeVakuru',
+    'nav.normalMode': 'Chinjira kuMhando Yakajairika',
+
+    'auth.tagline': 'Dzidza kuisa mari uchifara!',
+    'auth.email': 'Email',
+    'auth.password': 'Pasiwedhi',
+    'auth.passwordHint': 'Pasiwedhi (mavara masere zvishoma)',
+    'auth.confirmPassword': 'Simbisa Pasiwedhi',
+    'auth.fullName': 'Zita Rizere',
+    'auth.login': 'Pinda',
+    'auth.createAccount': 'Vhura Akaundi',
+    'auth.noAccount': 'Hauna akaundi here?',
+    'auth.haveAccount': 'Une akaundi here?',
+    'auth.sessionExpired': 'Nguva yako yapera. Ndapota pinda zvakare.',
+    'auth.signedOutElsewhere': 'Wabuda pane imwe tab.',
+    'auth.loginFailed': 'Kupinda hakuna kubudirira',
+    'auth.fillAllFields': 'Ndapota zadza zvese',
+    'auth.passwordTooShort': 'Pasiwedhi inofanira kuva nemavara {count} zvishoma',
+    'auth.passwordMismatch': 'Mapasiwedhi haaenderane',
+    'auth.accountCreated': 'Akaundi yavhurwa! Tiri kukupinza...',
+    'auth.registrationFailed': 'Kunyoresa hakuna kubudirira',
+
+    'dashboard.welcome': 'Mauya, {name}!',
+    'dashboard.defaultName': 'Mutengesi',
+    'dashboard.level': 'Mutengesi weDanho {level}',
+
+    'summary.balance': 'Mari Iripo',
+    'summary.portfolioValue': 'Kukosha kweZvawakaisa',
+    'summary.totalXp': 'XP Yese',
+
+    'offline.asOf': 'Hauna kubatana neinternet. Tiri kuratidza zvaivepo na{time}.',
+    'offline.noData': 'Hauna kubatana neinternet.',
+    'offline.tradingPaused': 'Kutenga nekutengesa zvamiswa kusvika wadzoka painternet.',
+    'offline.backOnline': 'Wadzoka painternet.',
+
+    'xp.progress': '{xp} / {next} XP kusvika padanho {level}',
+    'xp.progressLabel': 'Kufambira mberi kusvika padanho {level}',
+
+    'celebrate.levelUp': 'Wakwira danho! Wave padanho {level}.',
+    'celebrate.achievement': 'Wawana mubairo: {icon} {name} +{count} XP',
+
+    'pagination.previous': 'Zvakapfuura',
+    'pagination.next': 'Zvinotevera',
+    'pagination.pageInfo': 'Peji {page} pa{pages}',
+
+    'stocks.title': 'Zvikamu Zviripo',
+    'stocks.searchPlaceholder': 'Tsvaga nezita kana chiratidzo',
+    'stocks.searchLabel': 'Tsvaga zvikamu',
+    'stocks.sortLabel': 'Ronga zvikamu',
+    'stocks.sortDefault': 'Ronga: Zvakajairika',
+    'stocks.sortPriceAsc': 'Mutengo: Wakaderera kusvika Wakakwira',
+    'stocks.sortPriceDesc': 'Mutengo: Wakakwira kusvika Wakaderera',
+    'stocks.sortGainers': 'Zvakakwira Zvikuru',
+    'stocks.sortLosers': 'Zvakadzika Zvikuru',
+    'stocks.categoryLabel': 'Sefa nerudzi',
+    'stocks.categoryAll': 'Zvese',
+    'stocks.pageInfo': 'Peji {page} pa{pages} (zvikamu {count})',
+    'stocks.loadFailed': 'Zvikamu hazvina kuuya. Ndapota vandudza peji.',
+    'stocks.empty': 'Hapana zvikamu zvinoenderana nezvawasarudza.',
+    'stocks.buy': 'Tenga',
+    'stocks.sell': 'Tengesa',
+
+    'portfolio.title': 'Zvandakaisa',
+    'portfolio.empty': 'Hapana zvikamu parizvino. Tanga kutengeserana!',
+    'portfolio.caption': 'Zvawakaisa. Sarudza musoro wekoramu kuti urongedze.',
+    'portfolio.column.stock': 'Kambani',
+    'portfolio.column.shares': 'Zvikamu',
+    'portfolio.column.averagePrice': 'Mutengo wepakati',
+    'portfolio.column.costBasis': 'Mari yakaiswa',
+    'portfolio.column.price': 'Mutengo',
+    'portfolio.column.value': 'Kukosha',
+    'portfolio.column.profit': 'Purofiti',
+    'portfolio.column.profitPercent': 'Purofiti %',
+    'portfolio.column.weight': 'Chikamu',
+    'portfolio.total': 'Pamwe chete',
+    'portfolio.allocation': 'Kupatsanurwa nemhando',
+    'portfolio.uncategorised': 'Zvimwe',
+
+    'performance.title': 'Kukosha nekufamba kwenguva',
+    'performance.note': 'Zvakaverengerwa kubva pamasheya auinawo nhasi, saka zvawakatenga kana kutengesa kare hazviratidzwi.',
+    'performance.range': 'Nguva',
+    'performance.loading': 'Kurodha nhoroondo yemitengo...',
+    'performance.unavailable': 'Hatina kukwanisa kurodha nhoroondo yemitengo yemasheya ako. Edza zvakare gare gare.',
+    'performance.empty': 'Tenga sheya kuti uone kufamba kwezvawakaisa nekufamba kwenguva.',
+    'performance.value': 'Masheya ako',
+    'performance.market': 'Makambani ese, akaenzana',
+    'performance.invested': 'Mari yawakaisa (mutsetse wekuenzana)',
+    'performance.cash': 'Mari',
+
+    'explore.title': 'Ongorora musika',
+    'explore.sourceLabel': 'Ruzivo rwemusika kubva ku',
+    'explore.searchPlaceholder': 'Zita rekambani kana chiratidzo, semuenzaniso Tesla',
+    'explore.searchLabel': 'Tsvaga mumusika wemasheya',
+    'explore.resultsLabel': 'Makambani anowirirana',
+    'explore.searching': 'Tiri kutsvaga...',
+    'explore.resultCount': { one: 'Pawanikwa {count}. Shandisa miseve kusarudza.', other: 'Pawanikwa {count}. Shandisa miseve kusarudza.' },
+    'explore.noMatches': 'Hapana kambani inowirirana nezvawatsvaga.',
+    'explore.loading': 'Tiri kutsvaga {symbol}...',
+    'explore.invalidSymbol': '"{symbol}" hachisi chiratidzo chekambani. Zviratidzo mavara akaita seAAPL kana BRK.B.',
+    'explore.invalidQuery': 'Hatina kukwanisa kushandisa zvawatsvaga. Edza zita rekambani kana chiratidzo.',
+    'explore.notInGame': 'Mitengo yazvino inoratidzwa chete pamakambani aunogona kutenga mumutambo.',
+    'explore.noData': 'Vanotipa ruzivo havana chinhu pakambani iyi.',
+    'explore.unavailable': 'Ruzivo rwemusika haruwanikwe parizvino. Edza zvakare gare gare.',
+    'explore.offline': 'Hauna internet, saka ruzivo rwemusika harugone kuunzwa.',
+    'explore.throttled': 'Watsvaga kakawandisa. Tichaedza zvakare toga.',
+    'explore.retryIn': { one: 'Tichaedza zvakare mumasekondi {count}', other: 'Tichaedza zvakare mumasekondi {count}' },
+    'explore.history': 'Nhoroondo yemutengo',
+    'explore.trade': 'Tenga',
+    'explore.tradeLabel': 'Tenga {symbol}',
+
+    'palette.label': 'Pekutumira mirairo',
+    'palette.placeholder': 'Edza "buy AAPL 5", "sell all TSLA" kana "show leaderboard"',
+    'palette.footer': '↑↓ kusarudza · Enter kuita · Esc kuvhara',
+    'palette.noResults': 'Hapana murairo unowirirana.',
+    'palette.show': 'Ratidza {section}',
+    'palette.buy': { one: 'Tenga sheya {count} ye {symbol}', other: 'Tenga masheya {count} e {symbol}' },
+    'palette.sell': { one: 'Tengesa sheya {count} ye {symbol}', other: 'Tengesa masheya {count} e {symbol}' },
+    'palette.buyMax': 'Tenga masheya e {symbol} akawanda sezvaunokwanisa',
+    'palette.sellAll': 'Tengesa masheya ako ese e {symbol}',
+    'palette.shortcuts': 'Ratidza makiyi ekukurumidza',
+    'palette.logout': 'Buda',
+
+    'shortcuts.title': 'Makiyi ekukurumidza',
+    'shortcuts.palette': 'Vhura pekutumira mirairo',
+    'shortcuts.search': 'Tsvaga mumakambani',
+    'shortcuts.trade': 'Tenga kana kutengesa kambani yakasarudzwa',
+    'shortcuts.confirm': 'Simbisa kutenga kana kutengesa',
+    'shortcuts.close': 'Vhara hwindo rekutenga, pekutumira mirairo kana runyorwa urwu',
+    'shortcuts.help': 'Ratidza makiyi aya',
+    'shortcuts.commands': 'Pekutumira mirairo, edza: buy AAPL 5 · sell all TSLA · show leaderboard · logout',
+
+    'watchlist.title': 'Zvandiri Kutarisa',
+    'watchlist.empty': 'Dzvanya ☆ pane kambani kuti uitarise pano.',
+    'watchlist.toggle': 'Tarisa {symbol}',
+    'watchlist.remove': 'Rega kutarisa {symbol}',
+
+    'alerts.title': 'Yambiro dzemitengo',
+    'alerts.empty': 'Hapana yambiro parizvino.',
+    'alerts.symbolLabel': 'Chiratidzo chekambani',
+    'alerts.conditionLabel': 'Yambira kana',
+    'alerts.above': 'Mutengo wakwira pamusoro pa',
+    'alerts.below': 'Mutengo wadzika pasi pa',
+    'alerts.move': 'Shanduko yezuva ±%',
+    'alerts.priceLabel': 'Mutengo mumadhora eUS',
+    'alerts.priceLabelZwg': 'Mutengo muZiG',
+    'alerts.percentLabel': 'Shanduko yezuva muzvikamu kubva muzana',
+    'alerts.add': 'Wedzera yambiro',
+    'alerts.added': 'Yambiro yaiswa: {alert}',
+    'alerts.symbolRequired': 'Nyora chiratidzo chekambani.',
+    'alerts.unknownStock': 'Hatina kuwana kambani inonzi {symbol}.',
+    'alerts.invalidTarget': 'Nyora nhamba inopfuura zero.',
+    'alerts.enableNotifications': 'Tumirawo yambiro kubrowser',
+    'alerts.condition.above': '{symbol} pamusoro pa {price}',
+    'alerts.condition.below': '{symbol} pasi pa {price}',
+    'alerts.condition.move': '{symbol} yachinja ±{percent} muzuva',
+    'alerts.armed': 'Ndiri kutarisa',
+    'alerts.firedAt': 'Yarira na {time} ({price})',
+    'alerts.rearm': 'Gadzirira zvakare',
+    'alerts.rearmLabel': 'Gadzirira yambiro zvakare: {alert}',
+    'alerts.remove': 'Bvisa yambiro: {alert}',
+    'alerts.setFor': 'Isa yambiro yemutengo we {symbol}',
+    'alerts.notificationTitle': 'Yambiro yemutengo',
+    'alerts.fired': '{alert}. Iye zvino {price} ({change} nhasi).',
+
+    'achievements.title': 'Zvawakawana',
+
+    'leaderboard.title': 'Vari Kumberi',
+    'leaderboard.loading': 'Tiri kuunza nzvimbo...',
+    'leaderboard.empty': 'Hapana vatambi parizvino.',
+    'leaderboard.you': '{name} (iwe)',
+    'leaderboard.levelXp': 'Danho {level} · {xp} XP',
+    'leaderboard.movedUp': 'Wakwira nenzvimbo {count} kubva pawakapedzisira kuuya',
+    'leaderboard.movedDown': 'Wadzika nenzvimbo {count} kubva pawakapedzisira kuuya',
+
+    'activity.title': 'Zvandakaita',
+    'activity.filterLabel': 'Sefa zvaitwa',
+    'activity.filterAll': 'Zvese',
+    'activity.filterBuys': 'Zvakatengwa',
+    'activity.filterSells': 'Zvakatengeswa',
+    'activity.filterLogins': 'Kupinda',
+    'activity.filterAchievements': 'Zvawakawana',
+    'activity.empty': 'Hapana chaitwa parizvino.',
+    'activity.bought': 'Watenga {count} {symbol}',
+    'activity.sold': 'Watengesa {count} {symbol}',
+    'activity.unlocked': '{icon} Wawana {name}',
+    'activity.registered': 'Wavhura akaundi',
+    'activity.loggedIn': 'Wapinda',
+
+    'trade.buyTitle': 'Tenga {symbol}',
+    'trade.sellTitle': 'Tengesa {symbol}',
+    'trade.quantity': 'Huwandu',
+    'trade.totalCost': 'Mutengo Wese',
+    'trade.youReceive': 'Unowana',
+    'trade.balanceAfter': 'Mari inosara',
+    'trade.max': 'Zvakawanda ({count})',
+    'trade.sellAll': 'Tengesa zvese ({count})',
+    'trade.affordHint': 'Unokwanisa kutenga zvikamu zvinosvika {count}.',
+    'trade.ownHint': 'Une zvikamu {count}.',
+    'trade.invalidQuantity': 'Nyora nhamba yakazara yezvikamu (kanenge 1).',
+    'trade.cannotAffordAny': 'Hauna mari inokwana kunyange chikamu chimwe.',
+    'trade.affordAtMost': 'Unokwanisa kutenga zvikamu {count} chete.',
+    'trade.ownNone': 'Hauna zvikamu zve{symbol}.',
+    'trade.ownOnly': 'Une zvikamu {count} chete.',
+    'trade.xpLevelUp': '+{count} XP — kutengeserana uku kunokukwidza danho!',
+    'trade.bought': 'Watenga zvakanaka! +{count} XP',
+    'trade.sold': 'Watengesa zvakanaka! +{count} XP',
+    'trade.failed': 'Kutengeserana hakuna kubudirira',
+
+    'chart.label': 'Girafu yemitengo yakapfuura',
+    'chart.loading': 'Tiri kuunza mitengo yakapfuura...',
+    'chart.notEnough': 'Hapasati pava nemitengo yakakwana.',
+    'chart.high': 'Wakakwira',
+    'chart.low': 'Wakaderera',
+    'chart.yourAverage': 'Avhareji yako',
+
+    'senior.pageTitle': 'Mhando yeVakuru — Kuisa Mari',
+    'senior.headerLabel': 'Musoro weMhando yeVakuru',
+    'senior.heading': 'Mari Yako Pakuona Kamwe',
+    'senior.subheading': 'Yakachengetedzwa uye Inoteverwa — yakareruka kuti uve nechivimbo',
+    'senior.largeText': 'Kuona Kuri Nyore',
+    'senior.largeTextLabel': 'Mavara nemabhatani makuru',
+    'senior.largeTextOn': 'Mavara makuru abatidzwa',
+    'senior.largeTextOff': 'Mavara makuru adzimwa',
+    'senior.highContrast': 'Mavara Anojeka',
+    'senior.highContrastLabel': 'Mavara anojeka zvikuru',
+    'senior.highContrastOn': 'Mavara anojeka abatidzwa',
+    'senior.highContrastOff': 'Mavara anojeka adzimwa',
+    'senior.readAloud': 'Verenga Zvinonzwika',
+    'senior.readAloudLabel': 'Verenga skrini zvinonzwika',
+    'senior.readAloudOn': 'Kuverenga kwabatidzwa',
+    'senior.readAloudOff': 'Kuverenga kwadzimwa',
+    'senior.speechSettings': 'Marongerwo ekuverenga',
+    'senior.speed': 'Kumhanya',
+    'senior.speedSlow': 'Zvishoma nezvishoma',
+    'senior.speedNormal': 'Zvakajairika',
+    'senior.speedFast': 'Nekukurumidza',
+    'senior.voice': 'Izwi',
+    'senior.defaultVoice': 'Izwi rakajairika',
+    'senior.repeat': 'Dzokorora',
+    'senior.protected': 'Yakachengetedzwa uye Inoteverwa',
+    'senior.accountStatus': 'Mamiriro eakaundi',
+    'senior.active': 'Iri Kushanda',
+    'senior.putIn': 'Isa Mari',
+    'senior.putInDescription': 'Isa mari mukuisa nekukurumidza',
+    'senior.takeOut': 'Bvisa Mari',
+    'senior.takeOutDescription': 'Tengesa zvawakaisa uwane mari yako',
+    'senior.reviewTitle': 'Danho 3 — Ongorora',
+    'senior.summary': 'Pfupiso',
+    'senior.selected': '{name} yasarudzwa',
+    'senior.tabAnnouncement': 'Peji re{tab}',
+    'senior.latestActivity': 'Zvaitwa Munguva Pfupi',
+    'senior.noActivity': 'Hapana chaitwa munguva pfupi',
+    'senior.helpIntro': 'Kana uchida rubatsiro, sarudza pazasi.',
+    'senior.callSupport': 'Fonera Rubatsiro',
+    'senior.chatSupport': 'Taura Nesu',
+    'senior.callSupportDemo': 'Rubatsiro: +1-800-INVEST\n\nUku kuedza chete. Muchirongwa chaicho, izvi zvaizofonera.',
+    'senior.chatSupportDemo': 'Tiri kuvhura hurukuro...\n\nUku kuedza chete. Muchirongwa chaicho, izvi zvaizovhura hurukuro.',
+    'senior.faq.investQuestion': 'Ndinoisa mari sei?',
+    'senior.faq.investAnswer': 'Baya "Isa Mari" pachiratidziro chikuru, sarudza mari, sarudza chikamu, wobva wasimbisa.',
+    'senior.faq.withdrawQuestion': 'Ndinobvisa mari sei?',
+    'senior.faq.withdrawAnswer': 'Baya "Bvisa Mari" pachiratidziro chikuru, sarudza zvawakaisa, sarudza mari yaunoda kudzoserwa wobva wasimbisa. Tinotengesa zvikamu zvakazara chete, saka mari inogona kudzikiswa zvishoma — peji rekuongorora rinoratidza zvauchawana chaizvo.',
+
+    'senior.speakBalance': 'Mari yako iripo i{balance}.',
+    'senior.speakStock': '{name}, {price} pachikamu, {movement}.',
+    'senior.speakUp': 'yakwira ne{change} nhasi',
+    'senior.speakDown': 'yadzika ne{change} nhasi',
+    'senior.speakUnchanged': 'haina kuchinja nhasi',
+
+    'senior.invest.amountTitle': 'Danho 1 — Sarudza Mari',
+    'senior.invest.amountHint': 'Baya mari iri nyore kana unyore yako, mumadhora eAmerica.',
+    'senior.invest.amountLabel': 'Mari yekuisa mumadhora',
+    'senior.invest.stockTitle': 'Danho 2 — Sarudza Chikamu',
+    'senior.invest.stockHint': 'Sarudza chikamu nekubaya kamwe.',
+    'senior.invest.stocksLabel': 'Zvikamu',
+    'senior.invest.stockRow': '{price} pachikamu · zvikamu {count} ne{amount} yako',
+    'senior.invest.reviewNote': 'Hapana chinotengwa kusvika wabaya "Simbisa Kuisa". Unogona kukanzura chero nguva.',
+    'senior.invest.confirm': 'Simbisa Kuisa',
+    'senior.invest.successTitle': 'Zvabudirira! 🎉',
+    'senior.invest.protected': 'Mari yawakaisa yakachengetedzwa uye inoteverwa.',
+    'senior.invest.again': 'Isa Zvakare',
+    'senior.invest.amountMissing': 'Ndapota nyora madhora aunoda kuisa.',
+    'senior.invest.amountTooSmall': 'Ndapota isa kanenge {minimum}.',
+    'senior.invest.amountTooLarge': 'Une {balance} iripo. Ndapota sarudza mari shoma.',
+    'senior.invest.shareTooExpensive': 'Chikamu chimwe che{symbol} chinodhura {price}. Ndapota dzokera usarudze mari yakawanda kana chimwe chikamu.',
+    'senior.invest.notEnoughCash': 'Une {balance} iripo, isingakwani zvikamu {count} zve{symbol}.',
+    'senior.invest.chooseStock': 'Ndapota tanga wasarudza chikamu.',
+    'senior.invest.quoteFailed': 'Hatina kukwanisa kuwana mutengo wazvino. Ndapota edza zvakare.',
+    'senior.invest.stocksFailed': 'Hatina kukwanisa kuunza zvikamu. Ndapota edza zvakare.',
+    'senior.invest.summary': 'Uri kutenga zvikamu {count} zve{stock} pa{price} chimwe nechimwe, zvese pamwe chete {total}.',
+    'senior.invest.roundedDown': 'Tinotenga zvikamu zvakazara chete, saka izvi zviri pasi zvishoma pe{amount} yako.',
+    'senior.invest.cashLeft': 'Uchasara ne{balance}.',
+    'senior.invest.speakConfirm': 'Baya Simbisa Kuisa kuti utenge, kana Dzokera kuti uchinje.',
+    'senior.invest.failed': 'Kuisa hakuna kubudirira. Ndapota edza zvakare.',
+    'senior.invest.result': 'Waisa {amount} mu{symbol} (zvikamu {count}). Mari yako iripo yava {balance}.',
+
+    'senior.withdraw.holdingTitle': 'Danho 1 — Sarudza Zvawakaisa',
+    'senior.withdraw.holdingHint': 'Baya zvawakaisa zvaunoda kubvisa mari.',
+    'senior.withdraw.holdingsLabel': 'Zvawakaisa',
+    'senior.withdraw.holdingRow': 'Zvikamu {count} pa{price} chimwe nechimwe',
+    'senior.withdraw.loading': 'Tiri kuunza zvawakaisa...',
+    'senior.withdraw.loadFailed': 'Hatina kukwanisa kuunza zvawakaisa. Ndapota edza zvakare.',
+    'senior.withdraw.empty': 'Hausati uine zvawakaisa zvekubvisa mari.',
+    'senior.withdraw.chooseHolding': 'Ndapota tanga wasarudza zvawakaisa.',
+    'senior.withdraw.amountTitle': 'Danho 2 — Sarudza Mari',
+    'senior.withdraw.amountLabel': 'Mari yekubvisa mumadhora',
+    'senior.withdraw.holdingSummary': 'Zvikamu zvako zve{stock} zvakakosha {value} parizvino. Unoda kudzoserwa mari yakadii (mumadhora eAmerica)?',
+    'senior.withdraw.all': 'Yese',
+    'senior.withdraw.amountMissing': 'Ndapota nyora madhora aunoda kubvisa.',
+    'senior.withdraw.amountTooSmall': 'Chikamu chimwe che{symbol} chakakosha {price}. Ndapota nyora kanenge izvozvo.',
+    'senior.withdraw.sellingAll': 'Uri kutengesa zvikamu zvako zvese {count}.',
+    'senior.withdraw.onlyHave': 'Une zvikamu {count} chete, zvakakosha {value}, saka tichazvitengesa zvese.',
+    'senior.withdraw.exact': '{amount} izvikamu {count} chaizvo.',
+    'senior.withdraw.rounded': '{amount} inenge zvikamu {exact}. Tinotengesa zvikamu zvakazara chete, saka tichatengesa zvikamu {count} ne{proceeds}.',
+    'senior.withdraw.reviewNote': 'Hapana chinotengeswa kusvika wabaya "Bvisa Mari". Unogona kukanzura chero nguva.',
+    'senior.withdraw.summary': 'Uri kubvisa {amount} nekutengesa zvikamu {count} zve{stock} pa{price} chimwe nechimwe.',
+    'senior.withdraw.balanceChange': 'Mari yako iripo ichabva pa{from} ichienda ku{to}.',
+    'senior.withdraw.priceMayMove': 'Mari yekupedzisira inogona kuchinja zvishoma kana mutengo ukachinja musati matengesa.',
+    'senior.withdraw.speakConfirm': 'Baya Bvisa Mari kuti utengese, kana Dzokera kuti uchinje.',
+    'senior.withdraw.failed': 'Hatina kukwanisa kupedza kutengesa. Ndapota edza zvakare.',
+    'senior.withdraw.doneTitle': 'Zvapera! 🎉',
+    'senior.withdraw.result': 'Watengesa zvikamu {count} zve{symbol}. Mari yako iripo yava {balance}.',
+
+    'senior.activity.putIn': 'Wakaisa {amount} mu{symbol} {when}.',
+    'senior.activity.tookOut': 'Wakabvisa {amount} mu{symbol} {when}.',
+    'senior.activity.bought': 'Wakatenga zvikamu {count} zve{symbol} {when}.',
+    'senior.activity.sold': 'Wakatengesa zvikamu {count} zve{symbol} {when}.',
+    'senior.activity.badge': 'Wakawana beji re"{name}" {when}. {icon}',
+    'senior.activity.registered': 'Wakavhura akaundi yako {when}.',
+    'senior.activity.signedIn': 'Wakapinda {when}.',
+    'senior.when.today': 'nhasi na{time}',
+    'senior.when.yesterday': 'nezuro',
+    'senior.when.on': 'musi we{date}'
+});
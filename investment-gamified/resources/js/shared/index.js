@@ -0,0 +1,21 @@
+/**
+ * Modules used by both UIs
+ *
+ * The normal dashboard imports them (through dashboard/shared.js); senior
+ * mode is classic scripts, so globals.js puts them on `window` for it.
+ * Importing this registers the message catalogs.
+ */
+import './i18n/en';
+import './i18n/sn';
+import './i18n/nd';
+
+export { Html } from './utils/Html';
+export { I18n } from './utils/I18n';
+export { ApiError, InvestmentApi } from './services/InvestmentApi';
+export { MockBackend } from './services/MockBackend';
+export { ActivityJournal } from './services/ActivityJournal';
+export { RefreshScheduler, SseTransport, LiveUpdates } from './services/LiveUpdates';
+export { OfflineStatus } from './services/OfflineStatus';
+export { TabSync } from './services/TabSync';
+export { PriceChart } from './components/PriceChart';
+export { Notifier } from './components/Notifier';
@@ -0,0 +1,207 @@
+/**
+ * Local activity journal
+ * Records trades, logins and unlocked achievements per user in IndexedDB
+ */
+
+const JOURNAL_DB_NAME = 'investment-activity';
+const JOURNAL_DB_VERSION = 1;
+
+/**
+ * Entry shapes (all carry `userId`, `type` and `timestamp`):
+ *   trade:       { side, symbol, quantity, price, xp_earned, new_balance }
+ *   login:       { registered }
+ *   achievement: { achievementId, name, icon, xp_reward }
+ *
+ * Listens to InvestmentApi events, so trades made anywhere through the
+ * API are journaled. Dispatches `change` after each new entry.
+ */
+export class ActivityJournal extends EventTarget {
+    constructor(api) {
+        super();
+        this.api = api;
+        this.userId = null;
+        this._userPromise = null;
+        this._dbPromise = null;
+        this._achievementSync = Promise.resolve([]);
+        // Fallback store when IndexedDB is unavailable (e.g. some private modes)
+        this._memory = { entries: [], meta: new Map() };
+
+        // Journaling is best-effort: a failed write mustn't break the trade or login
+        const logFailure = (error) => console.error('Activity journal write failed:', error);
+        api.addEventListener('trade', (event) => this.record('trade', event.detail).catch(logFailure));
+        api.addEventListener('login', (event) => {
+            this.setUser(event.detail.user ? event.detail.user.id : null);
+            this.record('login', { registered: Boolean(event.detail.registered) }).catch(logFailure);
+        });
+        api.addEventListener('achievements', (event) => this.syncAchievements(event.detail.achievements).catch(logFailure));
+        api.addEventListener('logout', () => this.setUser(null));
+        api.addEventListener('auth-expired', () => this.setUser(null));
+    }
+
+    setUser(userId) {
+        this.userId = userId;
+        this._userPromise = userId === null ? null : Promise.resolve(userId);
+    }
+
+    /**
+     * Add an entry for the current user
+     */
+    async record(type, detail = {}) {
+        const userId = await this._currentUser();
+        if (userId === null) return null;
+
+        const entry = { ...detail, userId, type, timestamp: Date.now() };
+        await this._write('entries', entry);
+        this.dispatchEvent(new CustomEvent('change', { detail: { entry } }));
+        return entry;
+    }
+
+    /**
+     * Newest-first entries for the current user
+     * Options: types (array of entry types), limit
+     */
+    async list({ types = null, limit = 50 } = {}) {
+        const userId = await this._currentUser();
+        if (userId === null) return [];
+
+        const matches = (entry) => !types || types.includes(entry.type);
+        const db = await this._db();
+
+        if (!db) {
+            return this._memory.entries
+                .filter(entry => entry.userId === userId && matches(entry))
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, limit);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const range = IDBKeyRange.bound([userId, 0], [userId, Infinity]);
+            const request = db.transaction('entries').objectStore('entries')
+                .index('user_time').openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || entries.length >= limit) {
+                    resolve(entries);
+                    return;
+                }
+                if (matches(cursor.value)) {
+                    entries.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Record achievements that became unlocked since the last sync. The
+     * first sync for a user only stores a baseline, so achievements earned
+     * before the journal existed aren't reported as new.
+     */
+    syncAchievements(achievements) {
+        // Serialised so overlapping syncs can't report the same unlock twice
+        this._achievementSync = this._achievementSync
+            .catch(() => [])
+            .then(() => this._syncAchievements(achievements));
+        return this._achievementSync;
+    }
+
+    async _syncAchievements(achievements) {
+        const userId = await this._currentUser();
+        if (userId === null) return [];
+
+        const key = `achievements:${userId}`;
+        const known = await this._read('meta', key);
+        const unlocked = achievements.filter(achievement => achievement.unlocked);
+        const fresh = known ? unlocked.filter(achievement => !known.ids.includes(achievement.id)) : [];
+
+        await this._write('meta', { key, ids: unlocked.map(achievement => achievement.id) });
+
+        for (const achievement of fresh) {
+            await this.record('achievement', {
+                achievementId: achievement.id,
+                name: achievement.name,
+                icon: achievement.icon,
+                xp_reward: achievement.xp_reward
+            });
+        }
+        return fresh;
+    }
+
+    /**
+     * Resolve the user id, asking the API once if no login was seen
+     */
+    _currentUser() {
+        if (!this._userPromise) {
+            if (!this.api.token) return Promise.resolve(null);
+
+            this._userPromise = this.api.getCurrentUser().then(data => {
+                this.userId = data.success ? data.user.id : null;
+                if (this.userId === null) this._userPromise = null;
+                return this.userId;
+            });
+        }
+        return this._userPromise;
+    }
+
+    _db() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve) => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(JOURNAL_DB_NAME, JOURNAL_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                    entries.createIndex('user_time', ['userId', 'timestamp']);
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Activity journal unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this._dbPromise;
+    }
+
+    async _write(storeName, value) {
+        const db = await this._db();
+        if (!db) {
+            if (storeName === 'meta') {
+                this._memory.meta.set(value.key, value);
+            } else {
+                this._memory.entries.push(value);
+            }
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            tx.objectStore(storeName).put(value);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            // A quota failure aborts the transaction without firing onerror
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    }
+
+    async _read(storeName, key) {
+        const db = await this._db();
+        if (!db) {
+            return this._memory.meta.get(key);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName).objectStore(storeName).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,497 @@
+/**
+ * Shared API Service for Investment App
+ * Handles all backend communication
+ */
+
+/**
+ * Error raised by the request pipeline.
+ *
+ * `type` is one of ApiError.TYPES so the UIs can react to the kind of
+ * failure (e.g. re-login on `auth`, show field errors on `validation`)
+ * without inspecting status codes themselves.
+ */
+export class ApiError extends Error {
+    constructor(type, message, { status = 0, errors = null, retryAfter = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.errors = errors;
+        this.retryAfter = retryAfter;
+        this.data = data;
+    }
+
+    /**
+     * Build an ApiError from a non-2xx response and its parsed body
+     */
+    static fromResponse(response, data) {
+        const status = response.status;
+        const message = (data && data.message) || response.statusText || `Request failed with status ${status}`;
+        const options = { status, data, errors: (data && data.errors) || null };
+
+        if (status === 401) {
+            return new ApiError(ApiError.TYPES.AUTH, message, options);
+        }
+        if (status === 422) {
+            return new ApiError(ApiError.TYPES.VALIDATION, message, options);
+        }
+        if (status === 429) {
+            options.retryAfter = ApiError.parseRetryAfter(response.headers.get('Retry-After'));
+            return new ApiError(ApiError.TYPES.RATE_LIMIT, message, options);
+        }
+        if (status >= 500) {
+            return new ApiError(ApiError.TYPES.SERVER, message, options);
+        }
+        return new ApiError(ApiError.TYPES.CLIENT, message, options);
+    }
+
+    /**
+     * Convert a Retry-After header (seconds or HTTP date) to seconds
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    /**
+     * Whether an idempotent request failing with this error is worth retrying
+     */
+    get retryable() {
+        return this.type === ApiError.TYPES.NETWORK
+            || this.type === ApiError.TYPES.SERVER
+            || this.type === ApiError.TYPES.RATE_LIMIT;
+    }
+}
+
+ApiError.TYPES = Object.freeze({
+    NETWORK: 'network',
+    AUTH: 'auth',
+    VALIDATION: 'validation',
+    RATE_LIMIT: 'rate-limit',
+    SERVER: 'server',
+    CLIENT: 'client'
+});
+
+/**
+ * Paginated endpoints that can be walked with InvestmentApi#pages
+ */
+const PAGINATED_RESOURCES = Object.freeze({
+    stocks: { path: '/stocks', auth: false },
+    portfolio: { path: '/portfolio', auth: true },
+    leaderboard: { path: '/leaderboard', auth: true }
+});
+
+/**
+ * Client for the Laravel API.
+ *
+ * `transport` (same signature as `fetch`) replaces the network, e.g. with
+ * MockBackend for demo mode; `tokenKey` is the local storage key that
+ * holds the auth token.
+ *
+ * Dispatches `auth-expired`, `login`, `logout`, `trade`, `achievements`
+ * and `connectivity` events (details on `event.detail`) so other modules
+ * can react without wrapping every call.
+ */
+export class InvestmentApi extends EventTarget {
+    constructor(baseUrl, options = {}) {
+        super();
+        this.baseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+        this.transport = options.transport ?? null;
+        this.tokenKey = options.tokenKey ?? 'authToken';
+        this.token = localStorage.getItem(this.tokenKey);
+        this.timeout = options.timeout ?? 10000;
+        this.retries = options.retries ?? 2;
+        this.retryDelay = options.retryDelay ?? 500;
+        this.maxRetryDelay = options.maxRetryDelay ?? 10000;
+    }
+
+    /**
+     * Update the auth token
+     */
+    setToken(token) {
+        this.token = token;
+        localStorage.setItem(this.tokenKey, token);
+    }
+
+    /**
+     * Clear the auth token
+     */
+    clearToken() {
+        this.token = null;
+        localStorage.removeItem(this.tokenKey);
+    }
+
+    /**
+     * Get headers for requests
+     */
+    getHeaders(authenticated = true, token = this.token) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+
+        if (authenticated && token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Send a request and return the parsed JSON body.
+     *
+     * Throws an ApiError for network failures, timeouts and non-2xx
+     * responses. GET requests are retried with exponential backoff on
+     * network, server and rate-limit errors; a 401 on an authenticated
+     * request clears the token and dispatches `auth-expired`.
+     */
+    async request(method, path, { body, auth = true, timeout = this.timeout, retries } = {}) {
+        const maxRetries = retries ?? (method === 'GET' ? this.retries : 0);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._send(method, path, { body, auth, timeout });
+            } catch (error) {
+                if (error.type === ApiError.TYPES.AUTH && auth && this.token) {
+                    this.clearToken();
+                    this._emit('auth-expired', { error });
+                }
+
+                const delay = this._backoff(attempt, error);
+                if (attempt >= maxRetries || !error.retryable || delay > this.maxRetryDelay) {
+                    throw error;
+                }
+
+                await this._sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Perform a single fetch with a timeout
+     */
+    async _send(method, path, { body, auth, timeout, token = this.token }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let response;
+        try {
+            response = await (this.transport || fetch)(`${this.baseUrl}${path}`, {
+                method,
+                headers: this.getHeaders(auth, token),
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const message = error.name === 'AbortError'
+                ? `Request timed out after ${timeout}ms`
+                : error.message;
+            this._emit('connectivity', { path, online: false, cachedAt: null });
+            throw new ApiError(ApiError.TYPES.NETWORK, message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // Set by the service worker (public/sw.js) when it answers from its cache
+        const cachedAt = response.headers.get('X-Cached-At');
+        this._emit('connectivity', { path, online: !cachedAt, cachedAt: cachedAt ? Number(cachedAt) : null });
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Empty or non-JSON body (e.g. an HTML error page)
+        }
+
+        if (!response.ok) {
+            throw ApiError.fromResponse(response, data);
+        }
+
+        if (data === null) {
+            throw new ApiError(ApiError.TYPES.SERVER, 'Invalid response from server', { status: response.status });
+        }
+
+        return data;
+    }
+
+    /**
+     * Delay before the next retry: honours Retry-After, otherwise
+     * exponential backoff with jitter
+     */
+    _backoff(attempt, error) {
+        if (error.retryAfter !== null) {
+            return error.retryAfter * 1000;
+        }
+        const base = this.retryDelay * 2 ** attempt;
+        return base + Math.random() * base * 0.25;
+    }
+
+    _sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Run a request and fold errors into the `{ success: false }` shape
+     * the UIs consume. The typed ApiError is kept on `error`.
+     */
+    async _call(method, path, options) {
+        try {
+            return await this.request(method, path, options);
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            console.error(`${method} ${path} failed:`, error);
+            return { success: false, message: error.message, errors: error.errors, error };
+        }
+    }
+
+    /**
+     * Login user
+     */
+    async login(email, password) {
+        const data = await this._call('POST', '/auth/login', {
+            auth: false,
+            body: { email, password }
+        });
+        if (data.success) {
+            this.setToken(data.token);
+            this._emit('login', { user: data.user });
+        }
+        return data;
+    }
+
+    /**
+     * Register new user
+     */
+    async register(name, email, password, passwordConfirmation) {
+        const data = await this._call('POST', '/auth/register', {
+            auth: false,
+            body: {
+                name,
+                email,
+                password,
+                password_confirmation: passwordConfirmation
+            }
+        });
+        if (data.success) {
+            this.setToken(data.token);
+            this._emit('login', { user: data.user, registered: true });
+        }
+        return data;
+    }
+
+    /**
+     * Revoke the current token server-side, then forget it locally
+     */
+    async logout() {
+        const token = this.token;
+        this.clearToken();
+        this._emit('logout');
+
+        if (token) {
+            try {
+                await this._send('POST', '/auth/logout', { auth: true, token, timeout: this.timeout });
+            } catch (error) {
+                // Token may already be expired or revoked; clearing locally is enough
+            }
+        }
+        return { success: true };
+    }
+
+    /**
+     * Get the authenticated user
+     */
+    async getCurrentUser() {
+        return this._call('GET', '/auth/user');
+    }
+
+    /**
+     * Get user portfolio summary
+     */
+    async getSummary() {
+        return this._call('GET', '/portfolio/summary');
+    }
+
+    /**
+     * Get available stocks
+     * Options: page, per_page, category, search, sort ('price' | '-price' | 'change' | '-change')
+     */
+    async getStocks(options = {}) {
+        return this._call('GET', '/stocks' + this._query(options), { auth: false });
+    }
+
+    /**
+     * Get single stock details
+     */
+    async getStock(symbol) {
+        return this._call('GET', `/stocks/${encodeURIComponent(symbol)}`, { auth: false });
+    }
+
+    /**
+     * Get daily closing prices for a stock
+     * Options: days (default 30 on the server)
+     */
+    async getStockHistory(symbol, options = {}) {
+        return this._call('GET', `/stocks/${encodeURIComponent(symbol)}/history` + this._query(options), { auth: false });
+    }
+
+    /**
+     * Get user portfolio
+     * Options: page, per_page
+     */
+    async getPortfolio(options = {}) {
+        return this._call('GET', '/portfolio' + this._query(options));
+    }
+
+    /**
+     * Get achievements
+     */
+    async getAchievements() {
+        const data = await this._call('GET', '/achievements');
+        if (data.success) {
+            this._emit('achievements', { achievements: data.data });
+        }
+        return data;
+    }
+
+    /**
+     * Get the leaderboard
+     * Options: page, per_page
+     */
+    async getLeaderboard(options = {}) {
+        return this._call('GET', '/leaderboard' + this._query(options));
+    }
+
+    // The /external routes are throttled and each call spends provider
+    // quota, so they aren't retried: a 429 or 502 goes straight back to
+    // the caller
+
+    /**
+     * Get a live quote from an external provider
+     * Options: source ('alphavantage' | 'fmp')
+     */
+    async getExternalQuote(symbol, options = {}) {
+        return this._call('GET', `/external/stocks/quote/${encodeURIComponent(symbol)}` + this._query(options), { retries: 0 });
+    }
+
+    /**
+     * Get price history from an external provider
+     * Options: source ('alphavantage' | 'fmp'), days
+     */
+    async getExternalHistory(symbol, options = {}) {
+        return this._call('GET', `/external/stocks/history/${encodeURIComponent(symbol)}` + this._query(options), { retries: 0 });
+    }
+
+    /**
+     * Search symbols on an external provider
+     * Options: source ('alphavantage' | 'fmp')
+     */
+    async searchExternalStocks(query, options = {}) {
+        return this._call('GET', '/external/stocks/search' + this._query({ ...options, q: query }), { retries: 0 });
+    }
+
+    /**
+     * Get a company profile (FMP only)
+     */
+    async getExternalProfile(symbol) {
+        return this._call('GET', `/external/stocks/profile/${encodeURIComponent(symbol)}`, { retries: 0 });
+    }
+
+    /**
+     * Walk every page of a paginated resource ('stocks', 'portfolio' or
+     * 'leaderboard'), yielding each `{ data, meta }` response in turn.
+     * Throws an ApiError if a page fails to load.
+     *
+     *   for await (const page of api.pages('stocks', { category: 'tech' })) { ... }
+     */
+    async *pages(resource, options = {}) {
+        const endpoint = PAGINATED_RESOURCES[resource];
+        if (!endpoint) {
+            throw new Error(`Unknown paginated resource: ${resource}`);
+        }
+
+        let page = options.page || 1;
+        while (true) {
+            const response = await this.request('GET', endpoint.path + this._query({ ...options, page }), { auth: endpoint.auth });
+            yield response;
+
+            if (!response.meta || page >= response.meta.last_page) {
+                return;
+            }
+            page++;
+        }
+    }
+
+    /**
+     * Collect the items of every page of a paginated resource
+     */
+    async fetchAll(resource, options = {}) {
+        const items = [];
+        for await (const page of this.pages(resource, options)) {
+            items.push(...page.data);
+        }
+        return items;
+    }
+
+    /**
+     * Build a query string, skipping empty values
+     */
+    _query(params) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+        const string = query.toString();
+        return string ? `?${string}` : '';
+    }
+
+    /**
+     * Buy stock
+     */
+    async buyStock(symbol, quantity) {
+        return this._trade('buy', symbol, quantity);
+    }
+
+    /**
+     * Sell stock
+     */
+    async sellStock(symbol, quantity) {
+        return this._trade('sell', symbol, quantity);
+    }
+
+    /**
+     * Internal trade method
+     */
+    async _trade(type, symbol, quantity) {
+        const data = await this._call('POST', `/portfolio/${type}`, {
+            body: {
+                stock_symbol: symbol,
+                quantity: parseInt(quantity)
+            }
+        });
+        if (data.success) {
+            this._emit('trade', {
+                side: type,
+                symbol,
+                quantity: parseInt(quantity),
+                price: data.data.price ?? null,
+                xp_earned: data.data.xp_earned,
+                new_balance: data.data.new_balance
+            });
+        }
+        return data;
+    }
+
+    /**
+     * Notify listeners (e.g. the activity journal) of a completed action
+     */
+    _emit(name, detail = {}) {
+        this.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+}
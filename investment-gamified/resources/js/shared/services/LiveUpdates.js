@@ -0,0 +1,314 @@
+/**
+ * Live-update engine for the dashboards
+ * Schedules resource refreshes and pulls prices over SSE when available
+ */
+
+/**
+ * Runs named refresh jobs on their own timers.
+ *
+ * Each job is re-armed only after its previous run settles, so a slow
+ * response never overlaps the next one. A job that throws (or resolves
+ * to `false`) backs off exponentially until it succeeds again.
+ */
+export class RefreshScheduler {
+    constructor({ maxBackoff = 60000 } = {}) {
+        this.jobs = new Map();
+        this.maxBackoff = maxBackoff;
+        this.running = false;
+        this.paused = false;
+        // Bumped on stop() so runs started before it never re-arm their timer
+        this.generation = 0;
+    }
+
+    /**
+     * Register a job. `task` is an async function returning false on failure.
+     */
+    add(name, task, { interval = 3000, enabled = true } = {}) {
+        this.remove(name);
+        const job = { name, task, interval, enabled, timer: null, inFlight: null, failures: 0 };
+        this.jobs.set(name, job);
+        this._schedule(job);
+        return this;
+    }
+
+    remove(name) {
+        const job = this.jobs.get(name);
+        if (job) {
+            clearTimeout(job.timer);
+            this.jobs.delete(name);
+        }
+    }
+
+    /**
+     * Stop or restart polling a single job (e.g. while a push transport covers it)
+     */
+    setEnabled(name, enabled) {
+        const job = this.jobs.get(name);
+        if (!job || job.enabled === enabled) return;
+
+        job.enabled = enabled;
+        if (enabled) {
+            this.refresh(name);
+        } else {
+            clearTimeout(job.timer);
+        }
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.paused = false;
+        this.jobs.forEach(job => this._schedule(job));
+    }
+
+    stop() {
+        this.running = false;
+        this.generation++;
+        this.jobs.forEach(job => {
+            clearTimeout(job.timer);
+            job.timer = null;
+            job.inFlight = null;
+        });
+    }
+
+    pause() {
+        this.paused = true;
+        this.jobs.forEach(job => clearTimeout(job.timer));
+    }
+
+    /**
+     * Resume after a pause, refreshing everything straight away
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.refreshAll();
+    }
+
+    /**
+     * Run a job now. Returns the in-flight run if one is already going.
+     */
+    refresh(name) {
+        const job = this.jobs.get(name);
+        if (!job) return Promise.resolve();
+        if (job.inFlight) return job.inFlight;
+
+        clearTimeout(job.timer);
+        return this._run(job);
+    }
+
+    refreshAll() {
+        return Promise.all([...this.jobs.keys()].map(name => this.refresh(name)));
+    }
+
+    _active(job) {
+        return this.running && !this.paused && job.enabled && this.jobs.get(job.name) === job;
+    }
+
+    _run(job) {
+        const generation = this.generation;
+
+        job.inFlight = (async () => {
+            try {
+                const result = await job.task();
+                job.failures = result === false ? job.failures + 1 : 0;
+            } catch (error) {
+                job.failures++;
+                console.error(`Refresh "${job.name}" failed:`, error);
+            }
+
+            if (generation !== this.generation) return;
+            job.inFlight = null;
+            this._schedule(job);
+        })();
+
+        return job.inFlight;
+    }
+
+    _schedule(job) {
+        clearTimeout(job.timer);
+        if (!this._active(job)) return;
+
+        const delay = job.failures > 0
+            ? Math.min(job.interval * 2 ** job.failures, this.maxBackoff)
+            : job.interval;
+        job.timer = setTimeout(() => this._run(job), delay);
+    }
+}
+
+/**
+ * Server-Sent Events transport for price updates.
+ *
+ * Calls `onFallback` if the stream can't be opened or the browser has
+ * no EventSource, so the caller can go back to polling.
+ */
+export class SseTransport {
+    constructor(url) {
+        this.url = url;
+        this.source = null;
+    }
+
+    static isSupported() {
+        return typeof window.EventSource === 'function';
+    }
+
+    connect({ onPrices, onOpen, onFallback }) {
+        if (!SseTransport.isSupported()) {
+            onFallback();
+            return;
+        }
+
+        this.close();
+        const source = new EventSource(this.url);
+        let opened = false;
+
+        source.addEventListener('open', () => {
+            opened = true;
+            onOpen();
+        });
+        source.addEventListener('prices', (event) => {
+            try {
+                onPrices(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Invalid price event:', error);
+            }
+        });
+        source.addEventListener('error', () => {
+            // Never connected, or the browser gave up reconnecting
+            if (!opened || source.readyState === EventSource.CLOSED) {
+                this.close();
+                onFallback();
+            }
+        });
+
+        this.source = source;
+    }
+
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+/**
+ * Ties the scheduler and the price transport to page visibility.
+ *
+ *   const live = new LiveUpdates({
+ *       resources: { stocks: { load: loadStocks, interval: 3000 }, ... },
+ *       streamUrl: '/api/stocks/stream',   // optional
+ *       onPrices: applyPrices
+ *   });
+ *   live.start();
+ *   live.stop();
+ *
+ * While the stream is connected the `stocks` job stops polling and
+ * prices arrive through `onPrices` instead. If the stream drops, `stocks`
+ * polls again while the stream is retried after `reconnectDelay`, doubling
+ * up to `maxBackoff`, and straight away when the page is shown again.
+ */
+export class LiveUpdates {
+    constructor({ resources, streamUrl = null, onPrices = null, maxBackoff = 60000, reconnectDelay = 5000 } = {}) {
+        this.scheduler = new RefreshScheduler({ maxBackoff });
+        this.transport = streamUrl && onPrices && SseTransport.isSupported() ? new SseTransport(streamUrl) : null;
+        this.onPrices = onPrices;
+        this.maxBackoff = maxBackoff;
+        this.reconnectDelay = reconnectDelay;
+        this.reconnectTimer = null;
+        this.streamFailures = 0;
+        this.started = false;
+
+        Object.entries(resources).forEach(([name, { load, interval }]) => {
+            this.scheduler.add(name, load, { interval });
+        });
+
+        this._onVisibilityChange = () => {
+            if (document.hidden) {
+                this._pause();
+            } else {
+                this._resume();
+            }
+        };
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        this.scheduler.start();
+        if (document.hidden) {
+            this._pause();
+        } else {
+            this._connect();
+        }
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this.scheduler.stop();
+        this._disconnect();
+    }
+
+    /**
+     * Refresh one resource now (e.g. after a trade)
+     */
+    refresh(name) {
+        return this.scheduler.refresh(name);
+    }
+
+    /**
+     * Refresh every resource now (e.g. when the connection comes back)
+     */
+    refreshAll() {
+        return this.scheduler.refreshAll();
+    }
+
+    _pause() {
+        this.scheduler.pause();
+        this._disconnect();
+    }
+
+    _resume() {
+        this.scheduler.resume();
+        this.streamFailures = 0;
+        this._connect();
+    }
+
+    _connect() {
+        if (!this.transport) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        this.transport.connect({
+            onOpen: () => {
+                this.streamFailures = 0;
+                this.scheduler.setEnabled('stocks', false);
+            },
+            onPrices: (prices) => this.onPrices(prices),
+            onFallback: () => {
+                // Poll until the stream is back
+                this.scheduler.setEnabled('stocks', true);
+                this._scheduleReconnect();
+            }
+        });
+    }
+
+    _scheduleReconnect() {
+        if (!this.started || document.hidden) return;
+
+        const delay = Math.min(this.reconnectDelay * 2 ** this.streamFailures, this.maxBackoff);
+        this.streamFailures++;
+        this.reconnectTimer = setTimeout(() => this._connect(), delay);
+    }
+
+    _disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.transport) this.transport.close();
+    }
+}
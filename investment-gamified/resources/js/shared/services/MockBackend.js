@@ -0,0 +1,654 @@
+/**
+ * In-browser mock of the Laravel API for demos, onboarding and frontend work
+ * Serves the same JSON contracts as routes/api.php from state kept in local storage
+ */
+
+// Same defaults as config/game.php
+const DEMO_GAME = Object.freeze({
+    startingBalance: 10000,
+    buyReward: 10,
+    sellReward: 15,
+    levelUpBase: 1000
+});
+
+// A few of the stocks from SimpleStockSeeder
+const DEMO_STOCKS = [
+    ['AAPL', 'Apple Inc.', 'Tech', 189.95, 1.25, 'Apple makes iPhones, iPads, and Mac computers that people use every day!', 'The first iPhone was released in 2007 and changed how we use phones!'],
+    ['MSFT', 'Microsoft Corporation', 'Tech', 378.50, 0.85, 'Microsoft makes Xbox gaming consoles and Windows for computers!', 'Microsoft was founded by Bill Gates and Paul Allen in 1975!'],
+    ['GOOGL', 'Alphabet Inc.', 'Tech', 141.80, 2.10, 'Google helps you search for anything on the internet!', 'Google processes over 8.5 billion searches per day!'],
+    ['TSLA', 'Tesla Inc.', 'Tech', 242.80, 3.25, 'Tesla makes cool electric cars that don\'t need gas!', 'Tesla cars can drive themselves with Autopilot technology!'],
+    ['DIS', 'The Walt Disney Company', 'Entertainment', 93.25, -0.45, 'Disney owns Mickey Mouse, Marvel superheroes, and Star Wars!', 'Mickey Mouse was created in 1928 and is one of the most famous characters ever!'],
+    ['NFLX', 'Netflix Inc.', 'Entertainment', 685.30, 2.45, 'Netflix streams movies and TV shows you can watch anytime!', 'Netflix started by mailing DVDs to people\'s homes!'],
+    ['AMZN', 'Amazon.com Inc.', 'Retail', 178.25, 1.55, 'Amazon delivers packages to your door and streams movies!', 'Amazon started as an online bookstore in 1994!'],
+    ['NKE', 'Nike Inc.', 'Retail', 75.40, -0.30, 'Nike makes awesome sneakers and sports clothes!', 'The Nike "Swoosh" logo was designed for only $35!'],
+    ['MCD', 'McDonald\'s Corporation', 'Food', 295.60, 0.65, 'McDonald\'s serves burgers, fries, and Happy Meals!', 'McDonald\'s serves 69 million customers every day!'],
+    ['KO', 'The Coca-Cola Company', 'Food', 63.20, 0.45, 'Coca-Cola makes the famous Coke soda and many other drinks!', 'Coca-Cola was invented in 1886 by a pharmacist!']
+].map(([symbol, name, category, price, change, kidFriendly, funFact]) => ({
+    symbol,
+    name,
+    category,
+    current_price: price,
+    change_percentage: change,
+    description: `${name} (demo data)`,
+    kid_friendly_description: kidFriendly,
+    fun_fact: funFact
+}));
+
+// Unlocked by MockBackend#_checkAchievements
+const DEMO_ACHIEVEMENTS = [
+    { id: 1, name: 'First Investment', description: 'Buy your first stock', icon: '🌱', xp_reward: 50 },
+    { id: 2, name: 'First Sale', description: 'Sell a stock for the first time', icon: '💰', xp_reward: 50 },
+    { id: 3, name: 'Diversifier', description: 'Own three different stocks at once', icon: '🧺', xp_reward: 100 },
+    { id: 4, name: 'Busy Trader', description: 'Make ten trades', icon: '🔟', xp_reward: 100 },
+    { id: 5, name: 'Level Up', description: 'Reach level 2', icon: '⭐', xp_reward: 150 }
+];
+
+// Other players so the leaderboard isn't empty
+const DEMO_PLAYERS = [
+    ['Tariro', 3, 820], ['Sipho', 3, 410], ['Rudo', 2, 1650], ['Nomsa', 2, 900],
+    ['Tinashe', 2, 120], ['Thandeka', 1, 640], ['Farai', 1, 300]
+];
+
+// Also the account DatabaseSeeder creates
+const DEMO_ACCOUNT = { name: 'Test User', email: 'test@example.com', password: 'password' };
+
+/**
+ * Drop-in `fetch` replacement for InvestmentApi:
+ *
+ *   const demo = new MockBackend();
+ *   const api = new InvestmentApi('/api', { transport: demo.transport });
+ *
+ * Prices take a small random step every `tickInterval` ms (applied when
+ * they're next read), trades check balance and holdings and award XP with
+ * the server's level rollover, and achievements unlock as the user trades.
+ * Everything, including demo passwords, lives in plain local storage;
+ * `reset()` starts over. Tests can pass their own `storage`, `random` and
+ * `now`, and `latency: 0`.
+ */
+export class MockBackend {
+    constructor({
+        storage = localStorage,
+        storageKey = 'demoBackend',
+        random = Math.random,
+        now = Date.now,
+        latency = 150,
+        tickInterval = 3000
+    } = {}) {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.random = random;
+        this.now = now;
+        this.latency = latency;
+        this.tickInterval = tickInterval;
+        this.transport = (url, init) => this.fetch(url, init);
+
+        this.routes = [
+            ['GET', /^\/stocks$/, this._stocks],
+            ['GET', /^\/stocks\/stream$/, () => this._error(404, 'Not Found')],
+            ['GET', /^\/stocks\/([^/]+)$/, this._stock],
+            ['GET', /^\/stocks\/([^/]+)\/history$/, this._history],
+            ['POST', /^\/auth\/register$/, this._register],
+            ['POST', /^\/auth\/login$/, this._login],
+            ['POST', /^\/auth\/logout$/, this._logout, { auth: true }],
+            ['GET', /^\/auth\/user$/, this._user, { auth: true }],
+            ['GET', /^\/portfolio$/, this._portfolio, { auth: true }],
+            ['GET', /^\/portfolio\/summary$/, this._summary, { auth: true }],
+            ['POST', /^\/portfolio\/(buy|sell)$/, this._trade, { auth: true }],
+            ['GET', /^\/achievements$/, this._achievements, { auth: true }],
+            ['GET', /^\/leaderboard$/, this._leaderboard, { auth: true }],
+            ['GET', /^\/external\//, this._external, { auth: true }]
+        ];
+    }
+
+    /**
+     * Whether this tab is in demo mode. `?demo=1` turns it on and `?demo=0`
+     * off; the choice is remembered for the tab so links between the
+     * normal and senior views keep it.
+     */
+    static enabled() {
+        const flag = new URLSearchParams(window.location.search).get('demo');
+        if (flag !== null) {
+            if (flag === '0') {
+                sessionStorage.removeItem('demoMode');
+            } else {
+                sessionStorage.setItem('demoMode', '1');
+            }
+        }
+        return sessionStorage.getItem('demoMode') === '1';
+    }
+
+    /**
+     * InvestmentApi options for this tab: the mock transport (with its own
+     * token, so a real session isn't overwritten) in demo mode, else none
+     */
+    static apiOptions() {
+        return MockBackend.enabled()
+            ? { transport: new MockBackend().transport, tokenKey: 'demoAuthToken' }
+            : {};
+    }
+
+    /**
+     * Answer a request the way the Laravel API would
+     */
+    async fetch(url, { method = 'GET', headers = {}, body } = {}) {
+        if (this.latency) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        const parsed = new URL(url, window.location.href);
+        const path = parsed.pathname.replace(/^.*?\/api(?=\/)/, '');
+        const route = this.routes.find(([verb, pattern]) => verb === method && pattern.test(path));
+        if (!route) {
+            return this._error(404, 'Not Found');
+        }
+
+        const [, pattern, handler, { auth = false } = {}] = route;
+        const state = this._load();
+        this._tick(state);
+
+        const request = {
+            params: path.match(pattern).slice(1).map(decodeURIComponent),
+            query: parsed.searchParams,
+            body: body ? JSON.parse(body) : {},
+            user: this._authenticate(state, headers.Authorization),
+            token: (headers.Authorization || '').replace(/^Bearer /, '')
+        };
+        if (auth && !request.user) {
+            return this._error(401, 'Unauthenticated.');
+        }
+
+        const response = handler.call(this, state, request);
+        this._save(state);
+        return response;
+    }
+
+    /**
+     * Forget all demo users, trades and prices
+     */
+    reset() {
+        this.storage.removeItem(this.storageKey);
+    }
+
+    // --- Stocks ---
+
+    _stocks(state, { query }) {
+        const errors = {};
+        const search = query.get('search') || '';
+        const sort = query.get('sort') || '';
+        if (search && (search.length < 2 || search.length > 50)) {
+            errors.search = ['The search field must be between 2 and 50 characters.'];
+        }
+        if (sort && !['price', '-price', 'change', '-change'].includes(sort)) {
+            errors.sort = ['The selected sort is invalid.'];
+        }
+        if (Object.keys(errors).length) {
+            return this._validation(errors);
+        }
+
+        let stocks = state.stocks;
+        if (query.get('category')) {
+            stocks = stocks.filter(stock => stock.category === query.get('category'));
+        }
+        if (search) {
+            const needle = search.toLowerCase();
+            stocks = stocks.filter(stock => stock.name.toLowerCase().includes(needle) || stock.symbol.toLowerCase().includes(needle));
+        }
+        if (sort) {
+            const field = sort.replace('-', '') === 'price' ? 'current_price' : 'change_percentage';
+            const direction = sort.startsWith('-') ? -1 : 1;
+            stocks = [...stocks].sort((a, b) => (a[field] - b[field]) * direction);
+        }
+
+        const { items, meta } = this._paginate(stocks, query, 20, 50);
+        return this._json({ success: true, data: items.map(stock => this._stockJson(stock)), meta });
+    }
+
+    _stock(state, { params: [symbol] }) {
+        const stock = this._findStock(state, symbol);
+        if (!stock) {
+            return this._error(404, 'No query results for model [App\\Models\\Stock].');
+        }
+        return this._json({ success: true, data: { ...this._stockJson(stock), fun_fact: stock.fun_fact } });
+    }
+
+    // Daily closes for the last `days` days, a random walk (the same one for
+    // each stock every time) that ends at the current price
+    _history(state, { params: [symbol], query }) {
+        const stock = this._findStock(state, symbol);
+        if (!stock) {
+            return this._error(404, 'No query results for model [App\\Models\\Stock].');
+        }
+
+        const days = parseInt(query.get('days')) || 30;
+        const random = demoRandom(symbol);
+        const today = new Date(this.now());
+        today.setUTCHours(0, 0, 0, 0);
+
+        const history = [];
+        let close = stock.current_price;
+        for (let daysAgo = 0; daysAgo <= days; daysAgo++) {
+            const date = new Date(today.getTime() - daysAgo * 86400000);
+            const spread = close * 0.01 * random();
+            history.unshift({
+                date: date.toISOString().replace('.000Z', '.000000Z'),
+                high_price: demoMoney(close + spread),
+                low_price: demoMoney(close - spread),
+                close_price: demoMoney(close)
+            });
+            close = Math.max(1, close * (1 + (random() - 0.5) * 0.04));
+        }
+        return this._json({ success: true, data: history });
+    }
+
+    // --- Auth ---
+
+    _register(state, { body }) {
+        const errors = {};
+        if (!body.name) errors.name = ['The name field is required.'];
+        if (!body.email) {
+            errors.email = ['The email field is required.'];
+        } else if (!/^\S+@\S+\.\S+$/.test(body.email)) {
+            errors.email = ['The email field must be a valid email address.'];
+        } else if (state.users.some(user => user.email === body.email)) {
+            errors.email = ['The email has already been taken.'];
+        }
+        if (!body.password) {
+            errors.password = ['The password field is required.'];
+        } else if (body.password.length < 8) {
+            errors.password = ['The password field must be at least 8 characters.'];
+        } else if (body.password !== body.password_confirmation) {
+            errors.password = ['The password field confirmation does not match.'];
+        }
+        if (Object.keys(errors).length) {
+            return this._validation(errors);
+        }
+
+        const user = this._createUser(state, body);
+        return this._json({ success: true, user: this._userJson(user), token: this._issueToken(state, user) }, 201);
+    }
+
+    _login(state, { body }) {
+        const errors = {};
+        if (!body.email) errors.email = ['The email field is required.'];
+        if (!body.password) errors.password = ['The password field is required.'];
+        if (Object.keys(errors).length) {
+            return this._validation(errors);
+        }
+
+        const user = state.users.find(candidate => candidate.email === body.email);
+        if (!user || user.password !== body.password) {
+            return this._validation({ email: ['The provided credentials are incorrect.'] });
+        }
+        return this._json({ success: true, user: this._userJson(user), token: this._issueToken(state, user) });
+    }
+
+    _logout(state, { token }) {
+        delete state.tokens[token];
+        return this._json({ success: true, message: 'Logged out successfully' });
+    }
+
+    _user(state, { user }) {
+        return this._json({ success: true, user: this._userJson(user) });
+    }
+
+    // --- Portfolio ---
+
+    _portfolio(state, { user, query }) {
+        const rows = this._holdings(state, user).map(holding => {
+            const stock = this._findStock(state, holding.symbol);
+            return {
+                portfolio_id: holding.id,
+                stock_id: stock.id,
+                stock_symbol: stock.symbol,
+                stock_name: stock.name,
+                stock_category: stock.category,
+                quantity: holding.quantity,
+                average_price: demoMoney(holding.average_price),
+                current_price: demoMoney(stock.current_price),
+                total_value: demoRound(holding.quantity * stock.current_price),
+                profit_loss: demoRound((stock.current_price - holding.average_price) * holding.quantity),
+                profit_loss_percentage: holding.average_price
+                    ? ((stock.current_price - holding.average_price) / holding.average_price) * 100
+                    : 0
+            };
+        });
+
+        const { items, meta } = this._paginate(rows, query, 50, 100);
+        return this._json({ success: true, data: items, meta });
+    }
+
+    _summary(state, { user }) {
+        const holdings = this._holdings(state, user);
+        const totalValue = demoRound(holdings.reduce((sum, holding) => sum + holding.quantity * this._findStock(state, holding.symbol).current_price, 0));
+        const totalInvested = demoRound(holdings.reduce((sum, holding) => sum + holding.quantity * holding.average_price, 0));
+
+        return this._json({
+            success: true,
+            data: {
+                name: user.name,
+                balance: demoMoney(user.balance),
+                total_invested: totalInvested,
+                total_value: totalValue,
+                profit_loss: demoRound(totalValue - totalInvested),
+                profit_loss_percentage: totalInvested > 0 ? ((totalValue - totalInvested) / totalInvested) * 100 : 0,
+                level: user.level,
+                experience_points: user.experience_points,
+                next_level_xp: user.level * DEMO_GAME.levelUpBase
+            }
+        });
+    }
+
+    // Same checks, messages and XP rules as PortfolioService
+    _trade(state, { params: [side], body, user }) {
+        const errors = {};
+        const stock = body.stock_symbol ? this._findStock(state, body.stock_symbol) : null;
+        if (!body.stock_symbol) {
+            errors.stock_symbol = ['The stock symbol field is required.'];
+        } else if (!stock) {
+            errors.stock_symbol = ['The selected stock symbol is invalid.'];
+        }
+        if (!Number.isInteger(body.quantity) || body.quantity < 1) {
+            errors.quantity = ['The quantity field must be at least 1.'];
+        }
+        if (Object.keys(errors).length) {
+            return this._validation(errors);
+        }
+
+        const quantity = body.quantity;
+        const total = demoRound(stock.current_price * quantity);
+        let holding = state.holdings.find(candidate => candidate.user_id === user.id && candidate.symbol === stock.symbol);
+
+        if (side === 'buy') {
+            if (user.balance < total) {
+                return this._json({ success: false, message: 'Insufficient balance' }, 400);
+            }
+            if (!holding) {
+                holding = { id: state.nextId++, user_id: user.id, symbol: stock.symbol, quantity: 0, average_price: 0 };
+                state.holdings.push(holding);
+            }
+            holding.average_price = (holding.average_price * holding.quantity + total) / (holding.quantity + quantity);
+            holding.quantity += quantity;
+            user.balance = demoRound(user.balance - total);
+        } else {
+            if (!holding || holding.quantity < quantity) {
+                return this._json({ success: false, message: 'Insufficient stock quantity' }, 400);
+            }
+            holding.quantity -= quantity;
+            user.balance = demoRound(user.balance + total);
+        }
+
+        const xp = side === 'buy' ? DEMO_GAME.buyReward : DEMO_GAME.sellReward;
+        this._awardXp(user, xp);
+        user.trades = (user.trades || 0) + 1;
+        user.sold = user.sold || side === 'sell';
+        user.updated_at = this._timestamp();
+        this._checkAchievements(state, user);
+
+        return this._json({
+            success: true,
+            message: side === 'buy' ? 'Stock purchased successfully' : 'Stock sold successfully',
+            data: {
+                new_balance: demoMoney(user.balance),
+                price: stock.current_price,
+                xp_earned: xp
+            }
+        });
+    }
+
+    // --- Gamification ---
+
+    _achievements(state, { user }) {
+        return this._json({
+            success: true,
+            data: DEMO_ACHIEVEMENTS.map(achievement => ({
+                ...achievement,
+                unlocked: user.achievements.includes(achievement.id)
+            }))
+        });
+    }
+
+    _leaderboard(state, { query }) {
+        const ranked = [...state.users].sort((a, b) =>
+            b.level - a.level || b.experience_points - a.experience_points || a.id - b.id);
+        const { items, meta } = this._paginate(ranked, query, 10, 100);
+
+        return this._json({
+            success: true,
+            data: items.map((user, index) => ({
+                rank: (meta.current_page - 1) * meta.per_page + index + 1,
+                id: user.id,
+                name: user.name,
+                level: user.level,
+                experience_points: user.experience_points
+            })),
+            meta
+        });
+    }
+
+    _external() {
+        return this._json({ success: false, message: 'External market data is not available in demo mode' }, 503);
+    }
+
+    // --- State ---
+
+    _load() {
+        const saved = this.storage.getItem(this.storageKey);
+        if (saved) {
+            try {
+                return JSON.parse(saved);
+            } catch (error) {
+                // Corrupt demo state; start over
+            }
+        }
+        return this._seed();
+    }
+
+    _save(state) {
+        this.storage.setItem(this.storageKey, JSON.stringify(state));
+    }
+
+    _seed() {
+        const now = this.now();
+        const state = {
+            nextId: 1,
+            users: [],
+            tokens: {},
+            holdings: [],
+            stocks: [],
+            tickedAt: now,
+            day: demoDay(now)
+        };
+
+        state.stocks = DEMO_STOCKS.map(stock => ({
+            ...stock,
+            id: state.nextId++,
+            // Yesterday's close, so the seeded daily change holds until the first tick
+            open_price: stock.current_price / (1 + stock.change_percentage / 100)
+        }));
+        DEMO_PLAYERS.forEach(([name, level, xp]) => {
+            const user = this._createUser(state, { name, email: `${name.toLowerCase()}@demo.test`, password: '' });
+            Object.assign(user, { level, experience_points: xp });
+        });
+        this._createUser(state, DEMO_ACCOUNT);
+        return state;
+    }
+
+    // Move every price one small random step per elapsed tick (at most a
+    // day's worth of steps, so a long-closed tab doesn't stall on return)
+    _tick(state) {
+        const now = this.now();
+        if (demoDay(now) !== state.day) {
+            state.day = demoDay(now);
+            state.stocks.forEach(stock => { stock.open_price = stock.current_price; });
+        }
+
+        const elapsed = Math.floor((now - state.tickedAt) / this.tickInterval);
+        if (elapsed <= 0) return;
+
+        state.tickedAt += elapsed * this.tickInterval;
+        const steps = Math.min(elapsed, 86400000 / this.tickInterval);
+        state.stocks.forEach(stock => {
+            let price = stock.current_price;
+            for (let i = 0; i < steps; i++) {
+                price = Math.max(1, price * (1 + (this.random() - 0.5) * 0.01));
+            }
+            stock.current_price = demoRound(price);
+            stock.change_percentage = demoRound(((stock.current_price - stock.open_price) / stock.open_price) * 100);
+        });
+    }
+
+    _createUser(state, { name, email, password }) {
+        const timestamp = this._timestamp();
+        const user = {
+            id: state.nextId++,
+            name,
+            email,
+            password,
+            balance: DEMO_GAME.startingBalance,
+            level: 1,
+            experience_points: 0,
+            achievements: [],
+            created_at: timestamp,
+            updated_at: timestamp
+        };
+        state.users.push(user);
+        return user;
+    }
+
+    _issueToken(state, user) {
+        const token = `${user.id}|demo${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+        state.tokens[token] = user.id;
+        return token;
+    }
+
+    _authenticate(state, header) {
+        const token = (header || '').replace(/^Bearer /, '');
+        const id = state.tokens[token];
+        return id === undefined ? null : state.users.find(user => user.id === id) || null;
+    }
+
+    _holdings(state, user) {
+        return state.holdings.filter(holding => holding.user_id === user.id && holding.quantity > 0);
+    }
+
+    _findStock(state, symbol) {
+        return state.stocks.find(stock => stock.symbol === symbol) || null;
+    }
+
+    // XP rolls over into the next level at level * base XP
+    _awardXp(user, xp) {
+        const threshold = user.level * DEMO_GAME.levelUpBase;
+        if (user.experience_points + xp >= threshold) {
+            user.experience_points = user.experience_points + xp - threshold;
+            user.level++;
+        } else {
+            user.experience_points += xp;
+        }
+    }
+
+    _checkAchievements(state, user) {
+        const earned = {
+            1: this._holdings(state, user).length > 0 || user.sold,
+            2: user.sold,
+            3: this._holdings(state, user).length >= 3,
+            4: user.trades >= 10,
+            5: user.level >= 2
+        };
+        Object.entries(earned).forEach(([id, done]) => {
+            if (done && !user.achievements.includes(Number(id))) {
+                user.achievements.push(Number(id));
+            }
+        });
+    }
+
+    // --- Responses ---
+
+    _paginate(items, query, defaultPerPage, maxPerPage) {
+        const perPage = Math.min(maxPerPage, Math.max(1, parseInt(query.get('per_page')) || defaultPerPage));
+        const page = Math.max(1, parseInt(query.get('page')) || 1);
+        return {
+            items: items.slice((page - 1) * perPage, page * perPage),
+            meta: {
+                current_page: page,
+                per_page: perPage,
+                last_page: Math.max(1, Math.ceil(items.length / perPage)),
+                total: items.length
+            }
+        };
+    }
+
+    _stockJson(stock) {
+        return {
+            symbol: stock.symbol,
+            name: stock.name,
+            current_price: demoMoney(stock.current_price),
+            change_percentage: demoMoney(stock.change_percentage),
+            category: stock.category,
+            description: stock.description,
+            kid_friendly_description: stock.kid_friendly_description
+        };
+    }
+
+    // The User model's JSON (password hidden, balance as decimal:2)
+    _userJson({ id, name, email, balance, level, experience_points, created_at, updated_at }) {
+        return {
+            id,
+            name,
+            email,
+            email_verified_at: null,
+            balance: demoMoney(balance),
+            level,
+            experience_points,
+            created_at,
+            updated_at
+        };
+    }
+
+    _timestamp() {
+        return new Date(this.now()).toISOString().replace(/\.\d{3}Z$/, '.000000Z');
+    }
+
+    _validation(errors) {
+        const [first] = Object.values(errors);
+        const others = Object.values(errors).flat().length - 1;
+        const message = others > 0
+            ? `${first[0]} (and ${others} more error${others > 1 ? 's' : ''})`
+            : first[0];
+        return this._json({ message, errors }, 422);
+    }
+
+    _error(status, message) {
+        return this._json({ message }, status);
+    }
+
+    _json(body, status = 200) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Decimal columns come back from Laravel as strings with two places
+function demoMoney(value) {
+    return demoRound(value).toFixed(2);
+}
+
+function demoRound(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function demoDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Small deterministic PRNG (mulberry32) seeded from a string
+function demoRandom(seed) {
+    let state = [...seed].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Connection status for the dashboards
+ * Registers the service worker and tracks whether data is live or cached
+ */
+
+// Must match DATA_CACHE in public/sw.js
+const OFFLINE_DATA_CACHE = 'investment-data-v1';
+
+/**
+ *   const connection = new OfflineStatus(api, { probe: loadUserData });
+ *   connection.addEventListener('change', renderBanner);
+ *   connection.addEventListener('reconnect', reloadEverything);
+ *
+ * Dispatches `change` whenever the status or the cached data on screen
+ * changes, plus `disconnect` and `reconnect` when the status flips.
+ * `online` turns false when a request fails to reach the server or the
+ * service worker answers from its cache, and true again on the next live
+ * response. `asOf` is the timestamp of the oldest cached response still on
+ * screen. While offline `probe` (if given) is called every `probeInterval`
+ * ms so the page notices when the connection comes back. The cached data
+ * is wiped on logout and when the session expires.
+ */
+export class OfflineStatus extends EventTarget {
+    constructor(api, { serviceWorkerUrl = null, probe = null, probeInterval = 15000 } = {}) {
+        super();
+        this.api = api;
+        this.online = navigator.onLine !== false;
+        this.probe = probe;
+        this.probeInterval = probeInterval;
+        this._probeTimer = null;
+        // API path (without query) => time its cached response was stored
+        this._cached = new Map();
+
+        api.addEventListener('connectivity', (event) => this._update(event.detail));
+        api.addEventListener('logout', () => this.clear());
+        api.addEventListener('auth-expired', () => this.clear());
+        window.addEventListener('offline', () => this._setOnline(false));
+        window.addEventListener('online', () => this._probe());
+
+        if (serviceWorkerUrl) this._register(serviceWorkerUrl);
+    }
+
+    /**
+     * When the oldest cached data on screen was fetched, or null
+     */
+    get asOf() {
+        return this._cached.size ? Math.min(...this._cached.values()) : null;
+    }
+
+    /**
+     * Forget the cached API data (the app shell stays cached)
+     */
+    async clear() {
+        this._cached.clear();
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-data' });
+        }
+        if (window.caches) {
+            await caches.delete(OFFLINE_DATA_CACHE);
+        }
+    }
+
+    _update({ path, online, cachedAt }) {
+        const key = path.split('?')[0];
+        const hadCache = this._cached.has(key);
+
+        if (cachedAt) {
+            this._cached.set(key, cachedAt);
+        } else if (online) {
+            this._cached.delete(key);
+        }
+
+        if (!this._setOnline(online) && !online && hadCache !== this._cached.has(key)) {
+            this.dispatchEvent(new CustomEvent('change', { detail: { online } }));
+        }
+    }
+
+    /**
+     * Returns true if the status changed
+     */
+    _setOnline(online) {
+        if (online === this.online) return false;
+
+        this.online = online;
+        clearInterval(this._probeTimer);
+        this._probeTimer = null;
+        if (!online && this.probe) {
+            this._probeTimer = setInterval(() => this._probe(), this.probeInterval);
+        }
+
+        if (online) {
+            this._cached.clear();
+        }
+        this.dispatchEvent(new CustomEvent('change', { detail: { online } }));
+        this.dispatchEvent(new CustomEvent(online ? 'reconnect' : 'disconnect'));
+        return true;
+    }
+
+    _probe() {
+        if (this.probe) {
+            this.probe();
+        } else if (navigator.onLine !== false) {
+            // No probe: take the browser's word for it
+            this._setOnline(true);
+        }
+    }
+
+    _register(url) {
+        if (!navigator.serviceWorker) return;
+
+        navigator.serviceWorker.register(url).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * Keeps the app's open tabs in step
+ * Shares sign-in state, elects one tab to poll, and relays messages
+ */
+
+/**
+ *   const tabs = new TabSync(api);
+ *   tabs.addEventListener('login', ...);    // another tab signed in
+ *   tabs.addEventListener('logout', ...);   // another tab signed out, or its token expired
+ *   tabs.addEventListener('token', ...);    // another tab swapped the token (e.g. a different user)
+ *   tabs.addEventListener('leader', ({ detail: { leader } }) => ...);
+ *   tabs.addEventListener('message', ({ detail: { type, data } }) => ...);
+ *   tabs.start();
+ *   tabs.post('trade', entry);
+ *
+ * Sign-in state follows the shared auth token through `storage` events,
+ * which every other tab gets when one writes it. `api.token` is brought
+ * up to date before the event is dispatched.
+ *
+ * After start(), one visible tab holds a Web Lock and is the leader: it
+ * alone polls the API and posts what it loads to the others over a
+ * BroadcastChannel. A tab lets go of the lock when hidden or closed, and
+ * the next visible tab waiting for it takes over. Without Web Locks or
+ * BroadcastChannel every tab leads itself, as if it were the only one.
+ *
+ * `lead: false` joins in without ever leading (senior mode doesn't poll).
+ */
+export class TabSync extends EventTarget {
+    constructor(api, { channelName = 'investment-tabs', lockName = 'investment-tabs-leader', lead = true } = {}) {
+        super();
+        this.api = api;
+        this.channelName = channelName;
+        this.lockName = lockName;
+        this.lead = lead;
+        this.channel = null;
+        this.leader = false;
+        this.started = false;
+        this._abort = null;
+        this._release = null;
+
+        this._onMessage = (event) => this._emit('message', event.data);
+        this._onVisibilityChange = () => {
+            if (document.hidden) {
+                this._resign();
+            } else {
+                this._elect();
+            }
+        };
+
+        // Sign-in changes are followed from construction, e.g. on the login screen
+        window.addEventListener('storage', (event) => this._storageChanged(event));
+    }
+
+    static isSupported() {
+        return typeof window.BroadcastChannel === 'function'
+            && Boolean(navigator.locks && navigator.locks.request);
+    }
+
+    get isLeader() {
+        return this.leader;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        if (typeof window.BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.addEventListener('message', this._onMessage);
+        }
+        if (!this.lead) return;
+
+        if (TabSync.isSupported()) {
+            document.addEventListener('visibilitychange', this._onVisibilityChange);
+            this._elect();
+        } else {
+            this._setLeader(true);
+        }
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        this._resign();
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    /**
+     * Send a message to every other started tab
+     */
+    post(type, data = null) {
+        if (this.channel) {
+            this.channel.postMessage({ type, data });
+        }
+    }
+
+    // Queue for the lock; it's held until _resign() or the tab closes
+    _elect() {
+        if (!this.started || this._abort || document.hidden) return;
+
+        const abort = new AbortController();
+        this._abort = abort;
+        navigator.locks.request(this.lockName, { signal: abort.signal }, () => new Promise((resolve) => {
+            this._release = resolve;
+            this._setLeader(true);
+        })).catch(() => {
+            // Aborted while still waiting for the lock
+        });
+    }
+
+    _resign() {
+        if (this._abort) {
+            this._abort.abort();
+            this._abort = null;
+        }
+        if (this._release) {
+            this._release();
+            this._release = null;
+        }
+        this._setLeader(false);
+    }
+
+    _setLeader(leader) {
+        if (this.leader === leader) return;
+        this.leader = leader;
+        this._emit('leader', { leader });
+    }
+
+    _storageChanged(event) {
+        // A null key means another tab cleared the whole storage area
+        if (event.storageArea !== localStorage || (event.key !== null && event.key !== this.api.tokenKey)) return;
+
+        const token = localStorage.getItem(this.api.tokenKey);
+        const previous = this.api.token;
+        if (token === previous) return;
+
+        this.api.token = token;
+        this._emit(token === null ? 'logout' : previous === null ? 'login' : 'token');
+    }
+
+    _emit(name, detail = {}) {
+        this.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Safe HTML templating shared by both UIs
+ *
+ *   const { html, on, render } = Html;
+ *   render(list, html`
+ *       ${stocks.map(stock => html`
+ *           <button ${on('click', () => openTradeModal(stock.symbol, 'buy'))}>
+ *               Buy ${stock.name}
+ *           </button>
+ *       `)}
+ *   `);
+ *
+ * Every interpolated value is escaped unless it is itself an `html`
+ * template (or an array of them), so API text such as stock names or
+ * descriptions can never inject markup. Event handlers are attached with
+ * `on()` after rendering instead of inline `onclick` strings.
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup produced by the `html` tag, with the handlers bound inside it
+ */
+class SafeHtml {
+    constructor(markup, bindings) {
+        this.markup = markup;
+        this.bindings = bindings;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Event handlers for one element, created by `on()`
+ */
+class EventBinding {
+    constructor(handlers) {
+        this.handlers = handlers;
+    }
+}
+
+let nextBindingId = 0;
+
+export const Html = {
+    /**
+     * Escape a value for use in text or a quoted attribute
+     */
+    escape(value) {
+        return String(value).replace(/[&<>"'`]/g, ch => HTML_ESCAPES[ch]);
+    },
+
+    /**
+     * Tagged template that escapes every interpolated value
+     */
+    html(strings, ...values) {
+        const bindings = new Map();
+        let markup = strings[0];
+
+        values.forEach((value, i) => {
+            markup += Html._interpolate(value, bindings) + strings[i + 1];
+        });
+
+        return new SafeHtml(markup, bindings);
+    },
+
+    /**
+     * Bind event handlers to the element this is placed in (attribute
+     * position), e.g. `<button ${on('click', fn)}>` or
+     * `<div ${on({ click: fn, keydown: fn2 })}>`. Use once per element.
+     */
+    on(event, handler) {
+        return new EventBinding(typeof event === 'string' ? { [event]: handler } : event);
+    },
+
+    /**
+     * Replace the contents of `target` with a template and attach its handlers
+     */
+    render(target, template) {
+        const content = template instanceof SafeHtml ? template : Html.html`${template}`;
+        target.innerHTML = content.markup;
+
+        target.querySelectorAll('[data-bind]').forEach(el => {
+            const binding = content.bindings.get(el.dataset.bind);
+            el.removeAttribute('data-bind');
+            if (!binding) return;
+
+            Object.entries(binding.handlers).forEach(([event, handler]) => {
+                el.addEventListener(event, handler);
+            });
+        });
+    },
+
+    _interpolate(value, bindings) {
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Html._interpolate(item, bindings)).join('');
+        }
+        if (value instanceof SafeHtml) {
+            value.bindings.forEach((binding, id) => bindings.set(id, binding));
+            return value.markup;
+        }
+        if (value instanceof EventBinding) {
+            const id = `b${++nextBindingId}`;
+            bindings.set(id, value);
+            return `data-bind="${id}"`;
+        }
+        return Html.escape(value);
+    }
+};
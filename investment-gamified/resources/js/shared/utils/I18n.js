@@ -0,0 +1,241 @@
+/**
+ * Translations and locale-aware formatting shared by both UIs
+ *
+ *   const { t, money, percent } = I18n;
+ *   t('trade.shares', { count: 3 })   // "3 shares", using the locale's plural rules
+ *   money(12.5)                       // "$12.50", "ZiG 335.00" or both, per the currency setting
+ *   percent(-1.25)                    // "-1.25%"
+ *
+ * Message catalogs live in shared/i18n/<locale>.js and register with
+ * `I18n.addMessages()`. A key missing from the active catalog falls back
+ * to English. Static markup opts in with data attributes:
+ *
+ *   <h3 data-i18n="portfolio.title">My Portfolio</h3>
+ *   <input data-i18n-attr="placeholder:auth.email">
+ *
+ * API amounts are always US dollars; `money()` converts them for display
+ * using the rates from the `currency-config` meta tag (config/game.php).
+ */
+
+const I18N_STORAGE_KEYS = { locale: 'locale', currency: 'displayCurrency' };
+
+export const I18n = {
+    // Catalog code => Intl locale tag and the language's own name
+    LOCALES: {
+        en: { tag: 'en', name: 'English' },
+        sn: { tag: 'sn-ZW', name: 'chiShona' },
+        nd: { tag: 'nd-ZW', name: 'isiNdebele' }
+    },
+
+    // Display currency => ISO code and the label shown in place of the code
+    CURRENCIES: {
+        USD: { code: 'USD', label: null },
+        ZWG: { code: 'ZWG', label: 'ZiG' }
+    },
+
+    catalogs: {},
+    locale: 'en',
+    // 'USD', 'ZWG' or 'both'
+    currency: 'USD',
+    // Units of each currency per US dollar
+    rates: { USD: 1 },
+    _events: new EventTarget(),
+
+    /**
+     * Pick up the saved (or browser) language and currency, read the
+     * exchange rates and translate the page's static text
+     */
+    init() {
+        const config = document.querySelector('meta[name="currency-config"]');
+        if (config && config.content) {
+            try {
+                const { rates = {}, default: fallback } = JSON.parse(config.content);
+                I18n.rates = { ...I18n.rates, ...rates };
+                I18n.currency = I18n._validCurrency(fallback) || I18n.currency;
+            } catch (error) {
+                console.error('Invalid currency config:', error);
+            }
+        }
+
+        const browser = (navigator.language || 'en').split('-')[0];
+        I18n.locale = I18n._validLocale(localStorage.getItem(I18N_STORAGE_KEYS.locale))
+            || I18n._validLocale(browser)
+            || 'en';
+        I18n.currency = I18n._validCurrency(localStorage.getItem(I18N_STORAGE_KEYS.currency)) || I18n.currency;
+
+        document.documentElement.lang = I18n.locale;
+        I18n.translatePage();
+    },
+
+    addMessages(locale, messages) {
+        I18n.catalogs[locale] = { ...(I18n.catalogs[locale] || {}), ...messages };
+    },
+
+    setLocale(locale) {
+        if (!I18n._validLocale(locale) || locale === I18n.locale) return;
+
+        I18n.locale = locale;
+        localStorage.setItem(I18N_STORAGE_KEYS.locale, locale);
+        document.documentElement.lang = locale;
+        I18n.translatePage();
+        I18n._events.dispatchEvent(new CustomEvent('change', { detail: { locale } }));
+    },
+
+    setCurrency(currency) {
+        if (!I18n._validCurrency(currency) || currency === I18n.currency) return;
+
+        I18n.currency = currency;
+        localStorage.setItem(I18N_STORAGE_KEYS.currency, currency);
+        I18n.translatePage();
+        I18n._events.dispatchEvent(new CustomEvent('change', { detail: { currency } }));
+    },
+
+    /**
+     * Call `listener` after the language or display currency changes
+     */
+    onChange(listener) {
+        I18n._events.addEventListener('change', listener);
+    },
+
+    /**
+     * Look up a message and fill in `{name}` placeholders. Messages given as
+     * `{ one, other, ... }` are chosen by the locale's plural rule for
+     * `params.count`. Numeric params are formatted for the locale.
+     */
+    t(key, params = {}) {
+        return I18n.tParts(key, params).join('');
+    },
+
+    /**
+     * Like t(), but returns the message as an array of text pieces and
+     * `wrap(value)` results, e.g. to put the filled-in values in <strong>
+     * with the Html helper without translating around the markup
+     */
+    tParts(key, params = {}, wrap = (value) => value) {
+        let message = I18n._lookup(I18n.locale, key) ?? I18n._lookup('en', key) ?? key;
+
+        if (typeof message === 'object') {
+            const category = I18n._pluralRules().select(Number(params.count) || 0);
+            message = message[category] ?? message.other;
+        }
+
+        return message.split(/(\{\w+\})/).filter(Boolean).map(piece => {
+            const name = piece.slice(1, -1);
+            if (!/^\{\w+\}$/.test(piece) || !(name in params)) return piece;
+
+            const value = params[name];
+            return wrap(typeof value === 'number' ? I18n.number(value) : String(value));
+        });
+    },
+
+    number(value, options = {}) {
+        return I18n._format(Number(value), options);
+    },
+
+    /**
+     * Format a US dollar amount in the display currency (or both)
+     */
+    money(usd, { currency = I18n.currency, signed = false } = {}) {
+        const amount = Number(usd) || 0;
+        if (currency === 'both') {
+            return `${I18n.money(amount, { currency: 'USD', signed })} (${I18n.money(amount, { currency: 'ZWG', signed })})`;
+        }
+
+        const { code, label } = I18n.CURRENCIES[currency];
+        const converted = amount * (I18n.rates[code] ?? 1);
+        const parts = I18n._formatParts(converted, {
+            style: 'currency',
+            currency: code,
+            signDisplay: signed ? 'exceptZero' : 'auto'
+        });
+        return parts.map(part => (part.type === 'currency' && label ? label : part.value)).join('');
+    },
+
+    /**
+     * The US dollar value of an amount typed in the display currency (in
+     * US dollars when both are shown)
+     */
+    toUsd(amount, { currency = I18n.currency } = {}) {
+        if (currency === 'both') return Number(amount);
+        return Number(amount) / (I18n.rates[I18n.CURRENCIES[currency].code] ?? 1);
+    },
+
+    /**
+     * Format a percentage given in percent (1.5 => "+1.5%")
+     */
+    percent(value, { signed = true } = {}) {
+        return I18n._format(Number(value) / 100, {
+            style: 'percent',
+            maximumFractionDigits: 2,
+            signDisplay: signed ? 'exceptZero' : 'auto'
+        });
+    },
+
+    date(value, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(I18n._tags(), options).format(new Date(value));
+    },
+
+    dateTime(value) {
+        return I18n.date(value, { dateStyle: 'medium', timeStyle: 'short' });
+    },
+
+    time(value) {
+        return I18n.date(value, { hour: 'numeric', minute: '2-digit' });
+    },
+
+    /**
+     * Translate elements marked with data-i18n / data-i18n-attr under `root`
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = I18n.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                el.setAttribute(attribute, I18n.t(key));
+            });
+        });
+    },
+
+    _lookup(locale, key) {
+        const catalog = I18n.catalogs[locale];
+        return catalog ? catalog[key] : undefined;
+    },
+
+    // Preferred Intl tags, so formatting falls back to English if the
+    // browser has no data for Shona or Ndebele
+    _tags() {
+        return [I18n.LOCALES[I18n.locale].tag, 'en'];
+    },
+
+    _pluralRules() {
+        return new Intl.PluralRules(I18n._tags());
+    },
+
+    _format(value, options) {
+        return new Intl.NumberFormat(I18n._tags(), options).format(value);
+    },
+
+    _formatParts(value, options) {
+        try {
+            return new Intl.NumberFormat(I18n._tags(), options).formatToParts(value);
+        } catch (error) {
+            // Older engines reject currency codes they don't know (e.g. ZWG)
+            const { currency, ...rest } = options;
+            return [
+                { type: 'currency', value: currency },
+                { type: 'literal', value: ' ' },
+                ...new Intl.NumberFormat(I18n._tags(), { ...rest, style: 'decimal', minimumFractionDigits: 2, maximumFractionDigits: 2 }).formatToParts(value)
+            ];
+        }
+    },
+
+    _validLocale(locale) {
+        return locale && I18n.LOCALES[locale] ? locale : null;
+    },
+
+    _validCurrency(currency) {
+        return currency && (currency === 'both' || I18n.CURRENCIES[currency]) ? currency : null;
+    }
+};
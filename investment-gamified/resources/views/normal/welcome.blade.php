@@ -3,33 +3,56 @@
 <head>
 	<meta charset="UTF-8">
 	<meta name="viewport" content="width=device-width, initial-scale=1.0">
-	<title>Kid Investment Game</title>
+	<title data-i18n="app.pageTitle">Kid Investment Game</title>
 	{{-- Tailwind CSS CDN - loaded synchronously to ensure styles apply immediately --}}
 	<script src="https://cdn.tailwindcss.com"></script>
+	<link rel="stylesheet" href="{{ asset('css/notifications.css') }}">
 	{{-- Allow JS to read the app URL for API calls --}}
 	<meta name="app-url" content="{{ url('/') }}">
+	{{-- SSE price feed; empty when the server has it disabled so the client polls instead --}}
+	<meta name="price-stream-url" content="{{ config('game.price_stream.enabled') ? url('/api/stocks/stream') : '' }}">
+	{{-- XP rewards mirrored from config/game.php for the trade preview --}}
+	{{-- Display currency and ZiG exchange rate from config/game.php --}}
+	<meta name="currency-config" content="{{ json_encode(config('game.currency')) }}">
+	<meta name="game-xp" content="{{ json_encode(['buy' => (int) config('game.xp.buy_reward', 10), 'sell' => (int) config('game.xp.sell_reward', 15), 'level_up_base' => (int) config('game.xp.level_up_base', 1000)]) }}">
 </head>
 <body class="bg-gradient-to-br from-blue-50 to-purple-50 min-h-screen">
 	<div id="app">
+		<!-- Language and currency -->
+		<div class="max-w-6xl mx-auto flex justify-end gap-2 px-4 pt-4">
+			<select id="localeSelect" data-i18n-attr="aria-label:settings.language"
+					class="p-2 border rounded-lg bg-white text-sm focus:ring-2 focus:ring-purple-500 focus:outline-none">
+				<option value="en">English</option>
+				<option value="sn">chiShona</option>
+				<option value="nd">isiNdebele</option>
+			</select>
+			<select id="currencySelect" data-i18n-attr="aria-label:settings.currency"
+					class="p-2 border rounded-lg bg-white text-sm focus:ring-2 focus:ring-purple-500 focus:outline-none">
+				<option value="USD" data-i18n="settings.currencyUsd">US dollars</option>
+				<option value="ZWG" data-i18n="settings.currencyZwg">ZiG</option>
+				<option value="both" data-i18n="settings.currencyBoth">US dollars and ZiG</option>
+			</select>
+		</div>
+
 		<!-- Login Screen -->
 		<div id="loginScreen" class="min-h-screen flex items-center justify-center p-4">
 			<div class="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md">
-				<h1 class="text-3xl font-bold text-center mb-2 text-purple-600">🎮 Investment Game</h1>
-				<p class="text-gray-600 text-center mb-6">Learn to invest with fun!</p>
+				<h1 class="text-3xl font-bold text-center mb-2 text-purple-600" data-i18n="app.title">🎮 Investment Game</h1>
+				<p class="text-gray-600 text-center mb-6" data-i18n="auth.tagline">Learn to invest with fun!</p>
                 
 				<!-- Login Form -->
 				<div id="loginForm">
-					<input type="email" id="loginEmail" placeholder="Email" 
+					<input type="email" id="loginEmail" placeholder="Email" data-i18n-attr="placeholder:auth.email"
 						   class="w-full p-3 border rounded-lg mb-3 focus:ring-2 focus:ring-purple-500 focus:outline-none">
-					<input type="password" id="loginPassword" placeholder="Password" 
+					<input type="password" id="loginPassword" placeholder="Password" data-i18n-attr="placeholder:auth.password"
 						   class="w-full p-3 border rounded-lg mb-4 focus:ring-2 focus:ring-purple-500 focus:outline-none">
-					<button onclick="login()" 
+					<button id="loginBtn" data-i18n="auth.login" 
 							class="w-full bg-purple-600 text-white py-3 rounded-lg font-semibold hover:bg-purple-700 transition">
 						Login
 					</button>
 					<p class="text-center mt-4 text-sm text-gray-600">
-						Don't have an account? 
-						<button onclick="toggleAuthMode()" class="text-purple-600 font-semibold hover:underline">
+						<span data-i18n="auth.noAccount">Don't have an account?</span>
+						<button data-action="toggle-auth" data-i18n="auth.createAccount" class="text-purple-600 font-semibold hover:underline">
 							Create Account
 						</button>
 					</p>
@@ -37,21 +60,21 @@ class="w-full bg-purple-600 text-white py-3 rounded-lg font-semibold hover:bg-pu
 
 				<!-- Registration Form -->
 				<div id="registerForm" class="hidden">
-					<input type="text" id="registerName" placeholder="Full Name" 
+					<input type="text" id="registerName" placeholder="Full Name" data-i18n-attr="placeholder:auth.fullName"
 						   class="w-full p-3 border rounded-lg mb-3 focus:ring-2 focus:ring-purple-500 focus:outline-none">
-					<input type="email" id="registerEmail" placeholder="Email" 
+					<input type="email" id="registerEmail" placeholder="Email" data-i18n-attr="placeholder:auth.email"
 						   class="w-full p-3 border rounded-lg mb-3 focus:ring-2 focus:ring-purple-500 focus:outline-none">
-					<input type="password" id="registerPassword" placeholder="Password (min 8 characters)" 
+					<input type="password" id="registerPassword" placeholder="Password (min 8 characters)" data-i18n-attr="placeholder:auth.passwordHint"
 						   class="w-full p-3 border rounded-lg mb-3 focus:ring-2 focus:ring-purple-500 focus:outline-none">
-					<input type="password" id="registerPasswordConfirm" placeholder="Confirm Password" 
+					<input type="password" id="registerPasswordConfirm" placeholder="Confirm Password" data-i18n-attr="placeholder:auth.confirmPassword"
 						   class="w-full p-3 border rounded-lg mb-4 focus:ring-2 focus:ring-purple-500 focus:outline-none">
-					<button onclick="register()" 
+					<button id="registerBtn" data-i18n="auth.createAccount" 
 							class="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-green-700 transition">
 						Create Account
 					</button>
 					<p class="text-center mt-4 text-sm text-gray-600">
-						Already have an account? 
-						<button onclick="toggleAuthMode()" class="text-purple-600 font-semibold hover:underline">
+						<span data-i18n="auth.haveAccount">Already have an account?</span>
+						<button data-action="toggle-auth" data-i18n="auth.login" class="text-purple-600 font-semibold hover:underline">
 							Login
 						</button>
 					</p>
@@ -64,19 +87,22 @@ class="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-gre
 
 		<!-- Dashboard Screen -->
 		<div id="dashboardScreen" class="hidden min-h-screen p-4">
+			<!-- Shown while the data on screen comes from the offline cache -->
+			<div id="offlineBanner" role="status" class="hidden max-w-6xl mx-auto mb-4 bg-amber-100 border border-amber-300 text-amber-900 rounded-xl px-4 py-3 text-sm font-semibold"></div>
+
 			<!-- Header -->
 			<div class="max-w-6xl mx-auto mb-6">
 				<div class="bg-white rounded-2xl shadow-lg p-6">
 					<div class="flex justify-between items-center">
 						<div>
-							<h2 class="text-2xl font-bold text-gray-800">Welcome, <span id="userName"></span>!</h2>
-							<p class="text-gray-600">Level <span id="userLevel"></span> Trader</p>
+							<h2 class="text-2xl font-bold text-gray-800" id="welcomeHeading"></h2>
+							<p class="text-gray-600" id="levelLabel"></p>
 						</div>
 						<div class="flex gap-3 items-center">
-							<a href="{{ url('/toggle-ui') }}" class="text-sm text-purple-600 hover:text-purple-700 underline">
+							<a href="{{ url('/toggle-ui') }}" data-i18n="nav.seniorMode" class="text-sm text-purple-600 hover:text-purple-700 underline">
 								Switch to Senior Mode
 							</a>
-							<button onclick="logout()" class="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600">
+							<button id="logoutBtn" data-i18n="nav.logout" class="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600">
 								Logout
 							</button>
 						</div>
@@ -84,17 +110,50 @@ class="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-gre
                     
 					<div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
 						<div class="bg-gradient-to-br from-green-400 to-green-600 rounded-xl p-4 text-white">
-							<p class="text-sm opacity-90">Balance</p>
-							<p class="text-3xl font-bold">$<span id="userBalance">0</span></p>
+							<p class="text-sm opacity-90" data-i18n="summary.balance">Balance</p>
+							<p class="text-3xl font-bold" id="userBalance">$0.00</p>
 						</div>
 						<div class="bg-gradient-to-br from-blue-400 to-blue-600 rounded-xl p-4 text-white">
-							<p class="text-sm opacity-90">Portfolio Value</p>
-							<p class="text-3xl font-bold">$<span id="portfolioValue">0</span></p>
+							<p class="text-sm opacity-90" data-i18n="summary.portfolioValue">Portfolio Value</p>
+							<p class="text-3xl font-bold" id="portfolioValue">$0.00</p>
 						</div>
 						<div class="bg-gradient-to-br from-purple-400 to-purple-600 rounded-xl p-4 text-white">
-							<p class="text-sm opacity-90">Total XP</p>
-							<p class="text-3xl font-bold"><span id="userXP">0</span> XP</p>
+							<p class="text-sm opacity-90" data-i18n="summary.totalXp">Total XP</p>
+							<p class="text-3xl font-bold" id="userXP">0 XP</p>
+							<div id="xpProgress" role="progressbar" aria-valuemin="0" aria-valuemax="0" aria-valuenow="0"
+								 class="mt-2 h-2 rounded-full bg-white/30 overflow-hidden">
+								<div id="xpProgressFill" class="h-full w-0 rounded-full bg-white motion-safe:transition-all motion-safe:duration-700"></div>
+							</div>
+							<p class="text-xs opacity-90 mt-1" id="xpProgressLabel"></p>
+						</div>
+					</div>
+				</div>
+			</div>
+
+			<!-- Portfolio -->
+			<div class="max-w-6xl mx-auto mb-6">
+				<div class="bg-white rounded-2xl shadow-lg p-6">
+					<h3 class="text-xl font-bold mb-4" data-i18n="portfolio.title">My Portfolio</h3>
+					<div class="grid grid-cols-1 lg:grid-cols-4 gap-6">
+						<div class="lg:col-span-3 overflow-x-auto">
+							<table id="portfolioTable" class="w-full text-sm">
+								<caption class="sr-only" data-i18n="portfolio.caption">Your holdings. Choose a column heading to sort.</caption>
+								<thead></thead>
+								<tbody id="portfolioList">
+									<tr><td colspan="9" class="py-2 text-gray-500" data-i18n="portfolio.empty">No stocks yet. Start trading!</td></tr>
+								</tbody>
+								<tfoot></tfoot>
+							</table>
 						</div>
+						<div>
+							<h4 class="font-bold text-gray-700 mb-3" data-i18n="portfolio.allocation">Allocation by category</h4>
+							<div id="allocationChart"></div>
+						</div>
+					</div>
+					<div class="mt-6">
+						<h4 class="font-bold text-gray-700 mb-1" data-i18n="performance.title">Value over time</h4>
+						<p class="text-xs text-gray-500 mb-3" data-i18n="performance.note">Worked out from the shares you hold today, so earlier trades don't show.</p>
+						<div id="performanceChart"></div>
 					</div>
 				</div>
 			</div>
@@ -104,57 +163,164 @@ class="w-full bg-green-600 text-white py-3 rounded-lg font-semibold hover:bg-gre
 				<!-- Stocks List -->
 				<div class="lg:col-span-2">
 					<div class="bg-white rounded-2xl shadow-lg p-6">
-						<h3 class="text-xl font-bold mb-4">Available Stocks</h3>
+						<h3 class="text-xl font-bold mb-4" data-i18n="stocks.title">Available Stocks</h3>
+						<div class="flex flex-col md:flex-row gap-3 mb-3">
+							<input type="search" id="stockSearch" placeholder="Search by name or symbol" aria-label="Search stocks" data-i18n-attr="placeholder:stocks.searchPlaceholder;aria-label:stocks.searchLabel"
+								   class="flex-1 p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+							<select id="stockSort" aria-label="Sort stocks" data-i18n-attr="aria-label:stocks.sortLabel"
+									class="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+								<option value="" data-i18n="stocks.sortDefault">Sort: Default</option>
+								<option value="price" data-i18n="stocks.sortPriceAsc">Price: Low to High</option>
+								<option value="-price" data-i18n="stocks.sortPriceDesc">Price: High to Low</option>
+								<option value="-change" data-i18n="stocks.sortGainers">Biggest Gainers</option>
+								<option value="change" data-i18n="stocks.sortLosers">Biggest Losers</option>
+							</select>
+						</div>
+						<div id="categoryChips" class="flex flex-wrap gap-2 mb-4" role="group" aria-label="Filter by category" data-i18n-attr="aria-label:stocks.categoryLabel"></div>
 						<div id="stocksList" class="space-y-3">
 							<!-- Stocks will be loaded here -->
 						</div>
+						<div id="stocksPagination" class="hidden flex justify-between items-center mt-4">
+							<button id="stocksPrev" data-i18n="pagination.previous" class="px-4 py-2 rounded-lg bg-gray-100 font-semibold hover:bg-gray-200 disabled:opacity-50">Previous</button>
+							<span id="stocksPageInfo" class="text-sm text-gray-600"></span>
+							<button id="stocksNext" data-i18n="pagination.next" class="px-4 py-2 rounded-lg bg-gray-100 font-semibold hover:bg-gray-200 disabled:opacity-50">Next</button>
+						</div>
+					</div>
+
+					<!-- Explore market: search and look up stocks beyond the game's list -->
+					<div class="bg-white rounded-2xl shadow-lg p-6 mt-6">
+						<div class="flex justify-between items-center gap-3 mb-4">
+							<h3 class="text-xl font-bold" data-i18n="explore.title">Explore market</h3>
+							<select id="exploreSource" aria-label="Market data from" data-i18n-attr="aria-label:explore.sourceLabel"
+									class="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+								<option value="alphavantage">Alpha Vantage</option>
+								<option value="fmp">Financial Modeling Prep</option>
+							</select>
+						</div>
+						<div class="relative">
+							<input type="text" id="exploreSearch" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="exploreResults" autocomplete="off"
+								   placeholder="Company name or symbol, e.g. Tesla" aria-label="Search the stock market" data-i18n-attr="placeholder:explore.searchPlaceholder;aria-label:explore.searchLabel"
+								   class="w-full p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+							<ul id="exploreResults" role="listbox" aria-label="Matching stocks" data-i18n-attr="aria-label:explore.resultsLabel"
+								class="hidden absolute z-10 left-0 right-0 mt-1 max-h-72 overflow-y-auto bg-white border rounded-lg shadow-lg"></ul>
+						</div>
+						<p id="exploreStatus" role="status" class="text-sm text-gray-600 mt-2"></p>
+						<div id="exploreDetail"></div>
+					</div>
+
+					<!-- Activity History -->
+					<div class="bg-white rounded-2xl shadow-lg p-6 mt-6">
+						<div class="flex justify-between items-center mb-4">
+							<h3 class="text-xl font-bold" data-i18n="activity.title">My Activity</h3>
+							<select id="activityFilter" aria-label="Filter activity" data-i18n-attr="aria-label:activity.filterLabel"
+									class="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+								<option value="" data-i18n="activity.filterAll">All</option>
+								<option value="buy" data-i18n="activity.filterBuys">Buys</option>
+								<option value="sell" data-i18n="activity.filterSells">Sells</option>
+								<option value="login" data-i18n="activity.filterLogins">Logins</option>
+								<option value="achievement" data-i18n="activity.filterAchievements">Achievements</option>
+							</select>
+						</div>
+						<div id="activityList" class="space-y-2">
+							<p class="text-gray-500 text-sm" data-i18n="activity.empty">No activity yet.</p>
+						</div>
 					</div>
 				</div>
 
 				<!-- Sidebar -->
 				<div class="space-y-6">
-					<!-- Portfolio -->
+					<!-- Watchlist and price alerts -->
 					<div class="bg-white rounded-2xl shadow-lg p-6">
-						<h3 class="text-xl font-bold mb-4">My Portfolio</h3>
-						<div id="portfolioList" class="space-y-2">
-							<p class="text-gray-500 text-sm">No stocks yet. Start trading!</p>
+						<h3 class="text-xl font-bold mb-4" data-i18n="watchlist.title">Watchlist</h3>
+						<div id="watchlistList" class="space-y-2">
+							<p class="text-gray-500 text-sm" data-i18n="watchlist.empty">Tap ☆ on a stock to follow it here.</p>
+						</div>
+
+						<h4 class="font-bold text-gray-700 mt-6 mb-2" data-i18n="alerts.title">Price alerts</h4>
+						<form id="alertForm" class="space-y-2" novalidate>
+							<div class="grid grid-cols-3 gap-2">
+								<input id="alertSymbol" list="alertSymbols" autocomplete="off" placeholder="AAPL" aria-label="Stock symbol" data-i18n-attr="aria-label:alerts.symbolLabel"
+									   class="min-w-0 p-2 border rounded-lg uppercase focus:ring-2 focus:ring-purple-500 focus:outline-none">
+								<select id="alertCondition" aria-label="Alert when" data-i18n-attr="aria-label:alerts.conditionLabel"
+										class="min-w-0 p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+									<option value="above" data-i18n="alerts.above">Price goes above</option>
+									<option value="below" data-i18n="alerts.below">Price goes below</option>
+									<option value="move" data-i18n="alerts.move">Daily move of ±%</option>
+								</select>
+								<input id="alertTarget" type="number" min="0" step="0.01" inputmode="decimal" aria-label="Price in US dollars"
+									   class="min-w-0 p-2 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+							</div>
+							<datalist id="alertSymbols"></datalist>
+							<p id="alertError" role="alert" class="hidden text-sm text-red-600"></p>
+							<button type="submit" data-i18n="alerts.add" class="w-full bg-purple-600 text-white py-2 rounded-lg font-semibold hover:bg-purple-700">Add alert</button>
+						</form>
+						<button id="alertPermissionBtn" type="button" data-i18n="alerts.enableNotifications" class="hidden mt-2 text-sm text-purple-600 hover:text-purple-700 underline">
+							Also send browser notifications
+						</button>
+						<div id="alertsList" class="space-y-2 mt-4">
+							<p class="text-gray-500 text-sm" data-i18n="alerts.empty">No alerts yet.</p>
 						</div>
 					</div>
 
 					<!-- Achievements -->
 					<div class="bg-white rounded-2xl shadow-lg p-6">
-						<h3 class="text-xl font-bold mb-4">Achievements</h3>
+						<h3 class="text-xl font-bold mb-4" data-i18n="achievements.title">Achievements</h3>
 						<div id="achievementsList" class="space-y-2">
 							<!-- Achievements will be loaded here -->
 						</div>
 					</div>
+
+					<!-- Leaderboard -->
+					<div class="bg-white rounded-2xl shadow-lg p-6">
+						<h3 class="text-xl font-bold mb-4" data-i18n="leaderboard.title">Leaderboard</h3>
+						<div id="leaderboardList" class="space-y-2">
+							<p class="text-gray-500 text-sm" data-i18n="leaderboard.loading">Loading rankings...</p>
+						</div>
+						<div id="leaderboardPagination" class="hidden flex justify-between items-center mt-4">
+							<button id="leaderboardPrev" data-i18n="pagination.previous" class="px-3 py-1 rounded-lg bg-gray-100 text-sm font-semibold hover:bg-gray-200 disabled:opacity-50">Previous</button>
+							<span id="leaderboardPageInfo" class="text-xs text-gray-600"></span>
+							<button id="leaderboardNext" data-i18n="pagination.next" class="px-3 py-1 rounded-lg bg-gray-100 text-sm font-semibold hover:bg-gray-200 disabled:opacity-50">Next</button>
+						</div>
+					</div>
 				</div>
 			</div>
 		</div>
 	</div>
 
+	<!-- Level-up and achievement-unlock moments -->
+	<div id="celebration" role="status" aria-live="polite" class="fixed inset-x-0 top-6 z-[60] flex justify-center px-4 pointer-events-none"></div>
+
 	<!-- Trading Modal -->
 	<div id="tradeModal" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-		<div class="bg-white rounded-2xl p-6 max-w-md w-full">
+		<div role="dialog" aria-modal="true" aria-labelledby="modalTitle" aria-describedby="modalDescription" class="bg-white rounded-2xl p-6 max-w-md w-full">
 			<h3 class="text-2xl font-bold mb-4" id="modalTitle"></h3>
 			<p class="text-gray-600 mb-4" id="modalDescription"></p>
+
+			<div id="priceChart" class="mb-4"></div>
             
 			<div class="mb-4">
-				<label class="block text-sm font-semibold mb-2">Quantity</label>
-				<input type="number" id="tradeQuantity" min="1" value="1" 
+				<div class="flex justify-between items-center mb-2">
+					<label for="tradeQuantity" class="block text-sm font-semibold" data-i18n="trade.quantity">Quantity</label>
+					<button type="button" id="tradeMaxBtn" class="text-sm text-purple-600 font-semibold hover:underline"></button>
+				</div>
+				<input type="number" id="tradeQuantity" min="1" step="1" value="1" aria-describedby="tradeQuantityHint tradeQuantityError"
 					   class="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 focus:outline-none">
+				<p id="tradeQuantityHint" class="text-xs text-gray-500 mt-1"></p>
+				<p id="tradeQuantityError" class="text-sm text-red-600 mt-1 hidden" role="alert"></p>
 			</div>
             
-			<div class="mb-6">
-				<p class="text-sm text-gray-600">Total Cost: <span class="font-bold text-xl" id="totalCost">$0.00</span></p>
+			<div class="mb-6 space-y-1">
+				<p class="text-sm text-gray-600"><span id="totalLabel">Total Cost</span>: <span class="font-bold text-xl" id="totalCost">$0.00</span></p>
+				<p class="text-sm text-gray-600"><span data-i18n="trade.balanceAfter">Balance after trade</span>: <span class="font-semibold" id="projectedBalance">$0.00</span></p>
+				<p class="text-sm text-purple-600 font-semibold" id="tradeXp"></p>
 			</div>
             
 			<div class="flex gap-3">
-				<button onclick="closeTradeModal()" 
+				<button id="cancelTradeBtn" data-i18n="common.cancel" 
 						class="flex-1 bg-gray-200 text-gray-800 py-3 rounded-lg font-semibold hover:bg-gray-300">
 					Cancel
 				</button>
-				<button id="confirmTradeBtn" 
+				<button id="confirmTradeBtn" data-i18n="common.confirm" 
 						class="flex-1 bg-purple-600 text-white py-3 rounded-lg font-semibold hover:bg-purple-700">
 					Confirm
 				</button>
@@ -162,7 +328,44 @@ class="flex-1 bg-purple-600 text-white py-3 rounded-lg font-semibold hover:bg-pu
 		</div>
 	</div>
 
-	<script src="{{ asset('js/services/InvestmentApi.js') }}"></script>
-	<script src="{{ asset('js/normal.js') }}"></script>
+	<!-- Command palette (Ctrl/Cmd+K) -->
+	<div id="commandPalette" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center p-4 pt-24 z-50">
+		<div role="dialog" aria-modal="true" aria-labelledby="commandPaletteLabel" class="bg-white rounded-2xl shadow-xl max-w-lg w-full overflow-hidden">
+			<label id="commandPaletteLabel" for="commandInput" class="sr-only" data-i18n="palette.label">Command palette</label>
+			<input type="text" id="commandInput" role="combobox" aria-autocomplete="list" aria-expanded="true" aria-controls="commandList" autocomplete="off" spellcheck="false"
+				   placeholder="Try &quot;buy AAPL 5&quot;, &quot;sell all TSLA&quot; or &quot;show leaderboard&quot;" data-i18n-attr="placeholder:palette.placeholder"
+				   class="w-full p-4 text-lg border-b focus:outline-none">
+			<ul id="commandList" role="listbox" aria-labelledby="commandPaletteLabel" class="max-h-80 overflow-y-auto py-2"></ul>
+			<p class="px-4 py-2 text-xs text-gray-500 border-t" data-i18n="palette.footer">↑↓ to choose · Enter to run · Esc to close</p>
+		</div>
+	</div>
+
+	<!-- Keyboard shortcuts (?) -->
+	<div id="shortcutHelp" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+		<div role="dialog" aria-modal="true" aria-labelledby="shortcutHelpTitle" class="bg-white rounded-2xl p-6 max-w-md w-full">
+			<h3 id="shortcutHelpTitle" class="text-xl font-bold mb-4" data-i18n="shortcuts.title">Keyboard shortcuts</h3>
+			<dl class="grid grid-cols-[auto,1fr] gap-x-4 gap-y-2 text-sm">
+				<dt class="whitespace-nowrap"><kbd class="px-1.5 py-0.5 border rounded bg-gray-100" data-field="modifier">Ctrl</kbd> + <kbd class="px-1.5 py-0.5 border rounded bg-gray-100">K</kbd></dt>
+				<dd data-i18n="shortcuts.palette">Open the command palette</dd>
+				<dt><kbd class="px-1.5 py-0.5 border rounded bg-gray-100">/</kbd></dt>
+				<dd data-i18n="shortcuts.search">Search the stock list</dd>
+				<dt class="whitespace-nowrap"><kbd class="px-1.5 py-0.5 border rounded bg-gray-100">B</kbd> / <kbd class="px-1.5 py-0.5 border rounded bg-gray-100">S</kbd></dt>
+				<dd data-i18n="shortcuts.trade">Buy or sell the stock card that has focus</dd>
+				<dt><kbd class="px-1.5 py-0.5 border rounded bg-gray-100">Enter</kbd></dt>
+				<dd data-i18n="shortcuts.confirm">Confirm the trade</dd>
+				<dt><kbd class="px-1.5 py-0.5 border rounded bg-gray-100">Esc</kbd></dt>
+				<dd data-i18n="shortcuts.close">Close the trade window, palette or this list</dd>
+				<dt><kbd class="px-1.5 py-0.5 border rounded bg-gray-100">?</kbd></dt>
+				<dd data-i18n="shortcuts.help">Show these shortcuts</dd>
+			</dl>
+			<p class="text-sm text-gray-600 mt-4" data-i18n="shortcuts.commands">In the palette, try: buy AAPL 5 · sell all TSLA · show leaderboard · logout</p>
+			<button type="button" id="shortcutHelpClose" data-i18n="common.done"
+					class="w-full mt-6 bg-gray-200 text-gray-800 py-2 rounded-lg font-semibold hover:bg-gray-300">
+				Done
+			</button>
+		</div>
+	</div>
+
+	@vite('resources/js/app.js')
 </body>
 </html>
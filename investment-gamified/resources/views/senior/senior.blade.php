@@ -3,135 +3,255 @@
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Senior Mode — Investment App</title>
+  <title data-i18n="senior.pageTitle">Senior Mode — Investment App</title>
   {{-- Allow JS to read the app URL for API calls --}}
   <meta name="app-url" content="{{ url('/') }}">
+  {{-- Display currency and ZiG exchange rate from config/game.php --}}
+  <meta name="currency-config" content="{{ json_encode(config('game.currency')) }}">
   <link rel="stylesheet" href="{{ asset('css/senior.css') }}">
+  <link rel="stylesheet" href="{{ asset('css/notifications.css') }}">
 </head>
 <body>
-  <main id="senior-ui" aria-live="polite">
+  <main id="senior-ui">
 
-    <header class="card" role="banner" aria-label="Senior mode header">
+    <!-- Shown while the data on screen comes from the offline cache -->
+    <div id="offline-banner" class="offline-banner hidden" role="status"></div>
+
+    <header class="card" role="banner" aria-label="Senior mode header" data-i18n-attr="aria-label:senior.headerLabel">
       <div style="display:flex;align-items:center;justify-content:space-between;gap:12px;flex-wrap:wrap">
         <div>
-          <h1>Your Money at a Glance</h1>
-          <p>Protected & Trackable — simplified for confidence</p>
+          <h1 data-i18n="senior.heading">Your Money at a Glance</h1>
+          <p data-i18n="senior.subheading">Protected & Trackable — simplified for confidence</p>
         </div>
         <div style="text-align:right">
-          <div style="font-size:14px;margin-bottom:8px">Easy View Mode</div>
-          <label style="display:inline-flex;align-items:center;gap:8px;background:#fff;padding:8px;border-radius:999px;border:1px solid #eee;">
-            <input id="senior-toggle" type="checkbox" checked aria-label="Toggle Senior Mode"/>
-            <span style="font-weight:700">ON</span>
+          <label class="pref-select">
+            <span data-i18n="settings.language">Language</span>
+            <select id="localeSelect">
+              <option value="en">English</option>
+              <option value="sn">chiShona</option>
+              <option value="nd">isiNdebele</option>
+            </select>
+          </label>
+          <label class="pref-select">
+            <span data-i18n="settings.currency">Currency</span>
+            <select id="currencySelect">
+              <option value="USD" data-i18n="settings.currencyUsd">US dollars</option>
+              <option value="ZWG" data-i18n="settings.currencyZwg">ZiG</option>
+              <option value="both" data-i18n="settings.currencyBoth">US dollars and ZiG</option>
+            </select>
+          </label>
+          <div style="font-size:14px;margin-bottom:8px" data-i18n="senior.largeText">Easy View Mode</div>
+          <label class="pref-toggle">
+            <input id="senior-toggle" type="checkbox" checked aria-label="Large text and buttons" data-i18n-attr="aria-label:senior.largeTextLabel"/>
+            <span id="senior-toggle-state" style="font-weight:700">ON</span>
+          </label>
+          <div style="font-size:14px;margin:8px 0" data-i18n="senior.highContrast">High Contrast</div>
+          <label class="pref-toggle">
+            <input id="contrast-toggle" type="checkbox" aria-label="High contrast colours" data-i18n-attr="aria-label:senior.highContrastLabel"/>
+            <span id="contrast-toggle-state" style="font-weight:700">OFF</span>
           </label>
+          <div id="read-aloud-pref" class="hidden">
+            <div style="font-size:14px;margin:8px 0" data-i18n="senior.readAloud">Read Aloud</div>
+            <label class="pref-toggle">
+              <input id="read-aloud-toggle" type="checkbox" aria-label="Read the screen aloud" data-i18n-attr="aria-label:senior.readAloudLabel"/>
+              <span id="read-aloud-toggle-state" style="font-weight:700">OFF</span>
+            </label>
+          </div>
           <div style="margin-top:8px">
-            <a href="{{ url('/toggle-ui') }}" style="font-size:14px;color:var(--accent);text-decoration:underline">Switch to Normal View</a>
+            <a href="{{ url('/toggle-ui') }}" style="font-size:14px;color:var(--accent);text-decoration:underline" data-i18n="nav.normalMode">Switch to Normal View</a>
           </div>
         </div>
       </div>
 
       <div style="margin-top:12px" class="balance card">
         <div>
-          <div class="amount" id="userBalance">$0</div>
-          <div class="tag">Protected & Trackable</div>
+          <div class="amount" id="userBalance">$0.00</div>
+          <div class="tag" data-i18n="senior.protected">Protected & Trackable</div>
         </div>
         <div style="text-align:right">
-          <div style="font-size:14px;color:var(--muted)">Account status</div>
-          <div style="font-weight:700;margin-top:6px">Active</div>
+          <div style="font-size:14px;color:var(--muted)" data-i18n="senior.accountStatus">Account status</div>
+          <div style="font-weight:700;margin-top:6px" data-i18n="senior.active">Active</div>
         </div>
       </div>
 
       <div class="action-row" aria-hidden="false">
         <div class="tile in card" data-action="put-in" tabindex="0" role="button" aria-pressed="false">
-          <div class="label">Put Money In</div>
-          <div class="desc">Quickly add funds to an investment</div>
+          <div class="label" data-i18n="senior.putIn">Put Money In</div>
+          <div class="desc" data-i18n="senior.putInDescription">Quickly add funds to an investment</div>
         </div>
         <div class="tile out card" data-action="take-out" tabindex="0" role="button" aria-pressed="false">
-          <div class="label">Take Money Out</div>
-          <div class="desc">Withdraw money back to your bank</div>
+          <div class="label" data-i18n="senior.takeOut">Take Money Out</div>
+          <div class="desc" data-i18n="senior.takeOutDescription">Sell an investment and get the cash back</div>
         </div>
       </div>
 
     </header>
 
+    <!-- Read-aloud settings, shown while read aloud is on -->
+    <section id="read-aloud-settings" class="card hidden" aria-label="Read aloud settings" data-i18n-attr="aria-label:senior.speechSettings" style="margin-top:16px">
+      <h2 data-i18n="senior.readAloud">Read Aloud</h2>
+      <div class="speech-settings">
+        <label>
+          <span data-i18n="senior.speed">Speed</span>
+          <select id="speech-rate" class="numeric">
+            <option value="0.75" data-i18n="senior.speedSlow">Slow</option>
+            <option value="1" data-i18n="senior.speedNormal">Normal</option>
+            <option value="1.25" data-i18n="senior.speedFast">Fast</option>
+          </select>
+        </label>
+        <label>
+          <span data-i18n="senior.voice">Voice</span>
+          <select id="speech-voice" class="numeric">
+            <option value="">Default voice</option>
+          </select>
+        </label>
+        <button class="btn btn-primary" id="speech-repeat" type="button" data-i18n="senior.repeat">Repeat</button>
+      </div>
+    </section>
+
     <!-- Wizard area -->
-    <section id="wizard-area" class="card wizard hidden" aria-live="polite">
+    <section id="wizard-area" class="card wizard hidden" aria-label="Put money in" data-i18n-attr="aria-label:senior.putIn">
       <!-- Steps are hidden/shown by JS -->
-      <div id="step-1" class="step active" data-step="1">
-        <h2>Step 1 — Choose Amount</h2>
-        <p>Tap a quick amount or type your own.</p>
+      <div id="step-1" class="step active" data-step="amount">
+        <h2 tabindex="-1" data-i18n="senior.invest.amountTitle">Step 1 — Choose Amount</h2>
+        <p data-i18n="senior.invest.amountHint">Tap a quick amount or type your own, in US dollars.</p>
         <div class="amount-input">
-          <input id="amount" class="numeric" type="number" min="1" value="100" aria-label="Amount to invest" />
+          <input id="amount" class="numeric" type="number" min="1" step="0.01" value="100" aria-label="Amount to invest in dollars" data-i18n-attr="aria-label:senior.invest.amountLabel" />
           <div class="chips" role="list">
-            <button class="chip" data-value="100">100</button>
-            <button class="chip" data-value="300">300</button>
-            <button class="chip" data-value="500">500</button>
-            <button class="chip" data-value="1000">1000</button>
+            <button class="chip" type="button" data-value="100">100</button>
+            <button class="chip" type="button" data-value="300">300</button>
+            <button class="chip" type="button" data-value="500">500</button>
+            <button class="chip" type="button" data-value="1000">1000</button>
           </div>
         </div>
+        <p id="amount-error" class="error hidden"></p>
       </div>
 
-      <div id="step-2" class="step" data-step="2">
-        <h2>Step 2 — Choose Stock</h2>
-        <p>Pick a stock with a single tap.</p>
-        <div id="stock-list-wizard">
+      <div id="step-2" class="step" data-step="stock">
+        <h2 tabindex="-1" data-i18n="senior.invest.stockTitle">Step 2 — Choose Stock</h2>
+        <p data-i18n="senior.invest.stockHint">Pick a stock with a single tap.</p>
+        <div id="stock-list-wizard" role="group" aria-label="Stocks" data-i18n-attr="aria-label:senior.invest.stocksLabel">
           <!-- Stocks will be loaded here -->
         </div>
+        <p id="stock-error" class="error hidden"></p>
       </div>
 
-      <div id="step-3" class="step" data-step="3">
-        <h2>Step 3 — Confirm</h2>
+      <div id="step-3" class="step" data-step="review">
+        <h2 tabindex="-1" data-i18n="senior.reviewTitle">Step 3 — Review</h2>
         <div class="card" style="padding:14px">
-          <div style="font-size:18px;font-weight:700">Summary</div>
-          <p id="confirm-summary">You are investing <strong>$100</strong> into <strong>Stock</strong>.</p>
+          <div style="font-size:18px;font-weight:700" data-i18n="senior.summary">Summary</div>
+          <p id="confirm-summary"></p>
         </div>
-        <p style="margin-top:12px">If everything looks correct, press Confirm. You can cancel anytime.</p>
+        <p style="margin-top:12px" data-i18n="senior.invest.reviewNote">Nothing is bought until you press "Confirm Investment". You can cancel anytime.</p>
+        <p id="invest-error" class="error hidden"></p>
+      </div>
+
+      <div id="step-4" class="step" data-step="done">
+        <h2 tabindex="-1" data-i18n="senior.invest.successTitle">Success! 🎉</h2>
+        <p id="invest-result" style="font-size:18px"></p>
+        <p data-i18n="senior.invest.protected">Your investment is protected &amp; trackable.</p>
+        <div style="display:flex;gap:12px;margin-top:12px;flex-wrap:wrap">
+          <button class="btn btn-primary" id="invest-again" type="button" data-i18n="senior.invest.again">Invest Again</button>
+          <button class="btn btn-ghost" id="invest-done" type="button" data-i18n="common.done">Done</button>
+        </div>
+      </div>
+
+      <div class="fixed-action" id="invest-actions">
+        <button class="btn btn-ghost" id="btn-cancel" type="button" data-i18n="common.cancel">Cancel</button>
+        <button class="btn btn-ghost" id="btn-back" type="button" style="display:none" data-i18n="common.back">Back</button>
+        <button class="btn btn-primary" id="btn-next" type="button">Continue</button>
+      </div>
+    </section>
+
+    <!-- Withdrawal wizard -->
+    <section id="withdraw-area" class="card wizard hidden" aria-label="Take money out" data-i18n-attr="aria-label:senior.takeOut">
+      <div class="step active" data-withdraw-step="1">
+        <h2 tabindex="-1" data-i18n="senior.withdraw.holdingTitle">Step 1 — Choose an Investment</h2>
+        <p data-i18n="senior.withdraw.holdingHint">Tap the investment you want to take money out of.</p>
+        <div id="withdraw-holdings" role="group" aria-label="Your investments" data-i18n-attr="aria-label:senior.withdraw.holdingsLabel">
+          <!-- Holdings will be loaded here -->
+        </div>
+        <p id="withdraw-holding-error" class="error hidden"></p>
+      </div>
+
+      <div class="step" data-withdraw-step="2">
+        <h2 tabindex="-1" data-i18n="senior.withdraw.amountTitle">Step 2 — Choose Amount</h2>
+        <p id="withdraw-holding-summary"></p>
+        <div class="amount-input">
+          <input id="withdraw-amount" class="numeric" type="number" min="0" step="0.01" aria-label="Amount to take out in dollars" data-i18n-attr="aria-label:senior.withdraw.amountLabel" />
+          <div class="chips">
+            <button class="chip" id="withdraw-all" type="button" data-i18n="senior.withdraw.all">All of it</button>
+          </div>
+        </div>
+        <p id="withdraw-rounding" role="status"></p>
+        <p id="withdraw-error" class="error hidden"></p>
+      </div>
+
+      <div class="step" data-withdraw-step="3">
+        <h2 tabindex="-1" data-i18n="senior.reviewTitle">Step 3 — Review</h2>
+        <div class="card" style="padding:14px">
+          <div style="font-size:18px;font-weight:700" data-i18n="senior.summary">Summary</div>
+          <p id="withdraw-summary"></p>
+        </div>
+        <p style="margin-top:12px" data-i18n="senior.withdraw.reviewNote">Nothing is sold until you press "Take Money Out". You can cancel anytime.</p>
+      </div>
+
+      <div class="step" data-withdraw-step="4">
+        <h2 tabindex="-1" data-i18n="senior.withdraw.doneTitle">Done! 🎉</h2>
+        <p id="withdraw-result" style="font-size:18px"></p>
       </div>
 
       <div class="fixed-action">
-        <button class="btn btn-ghost" id="btn-back" style="display:none">Back</button>
-        <button class="btn btn-primary" id="btn-next">Continue</button>
+        <button class="btn btn-ghost" id="withdraw-cancel" type="button" data-i18n="common.cancel">Cancel</button>
+        <button class="btn btn-ghost" id="withdraw-back" type="button" style="display:none" data-i18n="common.back">Back</button>
+        <button class="btn btn-primary" id="withdraw-next" type="button">Continue</button>
       </div>
     </section>
 
     <!-- Activities -->
-    <section class="card" aria-label="Activities" style="margin-top:16px">
-      <h2>Latest Activity</h2>
+    <section class="card" id="activities-section" aria-label="Activities" data-i18n-attr="aria-label:nav.activities" style="margin-top:16px">
+      <h2 data-i18n="senior.latestActivity">Latest Activity</h2>
       <div id="activities-list">
-        <p class="text-gray-500 text-sm">No recent activity</p>
+        <p data-i18n="senior.noActivity">No recent activity</p>
       </div>
     </section>
 
     <!-- Help -->
-    <section class="card" aria-label="Help" style="margin-top:16px">
-      <h2>Help</h2>
-      <p>If you need help, choose an option below.</p>
+    <section class="card" id="help-section" aria-label="Help" data-i18n-attr="aria-label:nav.help" style="margin-top:16px">
+      <h2 data-i18n="nav.help">Help</h2>
+      <p data-i18n="senior.helpIntro">If you need help, choose an option below.</p>
       <div class="help-grid">
-        <button class="help-btn" id="call-support">Call Support</button>
-        <button class="help-btn" id="chat-support">Chat With Us</button>
+        <button class="help-btn" id="call-support" data-i18n="senior.callSupport">Call Support</button>
+        <button class="help-btn" id="chat-support" data-i18n="senior.chatSupport">Chat With Us</button>
       </div>
       <div style="margin-top:12px">
         <details>
-          <summary style="font-size:18px;font-weight:700;cursor:pointer">How do I invest?</summary>
-          <p style="font-size:16px">Tap "Put Money In" on the main screen, choose an amount, select a stock, and confirm.</p>
+          <summary style="font-size:18px;font-weight:700;cursor:pointer" data-i18n="senior.faq.investQuestion">How do I invest?</summary>
+          <p style="font-size:16px" data-i18n="senior.faq.investAnswer">Tap "Put Money In" on the main screen, choose an amount, select a stock, and confirm.</p>
         </details>
         <details style="margin-top:8px">
-          <summary style="font-size:18px;font-weight:700;cursor:pointer">How do I withdraw funds?</summary>
-          <p style="font-size:16px">Tap "Take Money Out" on the main screen, choose an amount and confirm withdrawal.</p>
+          <summary style="font-size:18px;font-weight:700;cursor:pointer" data-i18n="senior.faq.withdrawQuestion">How do I withdraw funds?</summary>
+          <p style="font-size:16px" data-i18n="senior.faq.withdrawAnswer">Tap "Take Money Out" on the main screen, pick an investment, choose how much money you want back and confirm. We sell whole shares only, so the amount may be rounded down a little — the review screen shows exactly what you will get.</p>
         </details>
       </div>
     </section>
 
     <!-- Bottom navigation -->
-    <nav class="bottom-nav" aria-label="Primary">
-      <div class="nav-item active" data-tab="home" role="button" tabindex="0">Home</div>
-      <div class="nav-item" data-tab="activities" role="button" tabindex="0">Activities</div>
-      <div class="nav-item" data-tab="help" role="button" tabindex="0">Help</div>
-      <div class="nav-item" id="logout-btn" role="button" tabindex="0">Logout</div>
+    <nav class="bottom-nav" aria-label="Primary" data-i18n-attr="aria-label:nav.primary">
+      <div class="nav-item active" data-tab="home" role="button" tabindex="0" aria-current="page" data-i18n="nav.home">Home</div>
+      <div class="nav-item" data-tab="activities" role="button" tabindex="0" data-i18n="nav.activities">Activities</div>
+      <div class="nav-item" data-tab="help" role="button" tabindex="0" data-i18n="nav.help">Help</div>
+      <div class="nav-item" id="logout-btn" role="button" tabindex="0" data-i18n="nav.logout">Logout</div>
     </nav>
 
   </main>
 
-  <script src="{{ asset('js/services/InvestmentApi.js') }}"></script>
-  <script src="{{ asset('js/senior.js') }}"></script>
+  {{-- Screen reader announcements, filled by announce() in senior.js --}}
+  <div id="announcer-polite" class="sr-only" role="status" aria-live="polite"></div>
+  <div id="announcer-assertive" class="sr-only" role="alert" aria-live="assertive"></div>
+
+  <script src="{{ asset('js/services/ReadAloud.js') }}"></script>
+  @vite('resources/js/globals.js')
+  <script src="{{ asset('js/senior.js') }}" defer></script>
 </body>
 </html>
@@ -9,6 +9,7 @@
 
 // Public stock endpoints (no auth required)
 Route::get('/stocks', [StockController::class, 'index']);
+Route::get('/stocks/stream', [StockController::class, 'stream']);
 Route::get('/stocks/{symbol}', [StockController::class, 'show']);
 Route::get('/stocks/{symbol}/history', [StockController::class, 'history']);
 
@@ -12,6 +12,9 @@ class ExampleTest extends TestCase
      */
     public function test_the_application_returns_a_successful_response(): void
     {
+        // The page loads its scripts through @vite; no manifest without a build
+        $this->withoutVite();
+
         $response = $this->get('/');
 
         $response->assertStatus(200);
@@ -0,0 +1,31 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Laravel\Sanctum\Sanctum;
+use Tests\TestCase;
+
+class LeaderboardRankTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_leaderboard_entries_include_user_id_for_highlighting()
+    {
+        Cache::flush();
+
+        $leader = User::factory()->create(['level' => 5, 'experience_points' => 4200]);
+        $me = User::factory()->create(['level' => 2, 'experience_points' => 1100]);
+
+        Sanctum::actingAs($me);
+
+        $this->getJson('/api/leaderboard?page=1&per_page=10')
+            ->assertStatus(200)
+            ->assertJsonPath('data.0.id', $leader->id)
+            ->assertJsonPath('data.0.rank', 1)
+            ->assertJsonPath('data.1.id', $me->id)
+            ->assertJsonPath('data.1.rank', 2);
+    }
+}
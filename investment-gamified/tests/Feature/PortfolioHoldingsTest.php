@@ -0,0 +1,47 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Stock;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+use Tests\TestCase;
+
+class PortfolioHoldingsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_holdings_include_stock_category_and_match_summary_totals()
+    {
+        Stock::create(['symbol' => 'AAA', 'name' => 'Alpha', 'category' => 'Tech', 'current_price' => 20, 'change_percentage' => 0]);
+        Stock::create(['symbol' => 'BBB', 'name' => 'Bravo', 'category' => 'Food', 'current_price' => 10, 'change_percentage' => 0]);
+
+        Sanctum::actingAs(User::factory()->create(['balance' => 1000]));
+
+        $this->postJson('/api/portfolio/buy', ['stock_symbol' => 'AAA', 'quantity' => 2])->assertStatus(200);
+        $this->postJson('/api/portfolio/buy', ['stock_symbol' => 'BBB', 'quantity' => 3])->assertStatus(200);
+
+        Stock::where('symbol', 'AAA')->update(['current_price' => 25]);
+
+        $holdings = $this->getJson('/api/portfolio')
+            ->assertStatus(200)
+            ->assertJsonPath('meta.total', 2)
+            ->json('data');
+
+        $categories = collect($holdings)->pluck('stock_category', 'stock_symbol')->all();
+        $this->assertEquals(['AAA' => 'Tech', 'BBB' => 'Food'], $categories);
+
+        $invested = collect($holdings)->sum(fn (array $row) => $row['quantity'] * $row['average_price']);
+        $value    = collect($holdings)->sum('total_value');
+
+        $summary = $this->getJson('/api/portfolio/summary')
+            ->assertStatus(200)
+            ->json('data');
+
+        $this->assertEquals(70, $summary['total_invested']);
+        $this->assertEquals(80, $summary['total_value']);
+        $this->assertEquals($summary['total_invested'], $invested);
+        $this->assertEquals($summary['total_value'], $value);
+    }
+}
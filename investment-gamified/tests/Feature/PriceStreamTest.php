@@ -0,0 +1,43 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Stock;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class PriceStreamTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_stream_is_not_found_when_disabled()
+    {
+        config(['game.price_stream.enabled' => false]);
+
+        $this->get('/api/stocks/stream')->assertStatus(404);
+    }
+
+    public function test_stream_emits_prices_event()
+    {
+        config([
+            'game.price_stream.enabled' => true,
+            'game.price_stream.duration' => 0,
+        ]);
+
+        Stock::create([
+            'symbol' => 'AAPL',
+            'name' => 'Apple Inc.',
+            'current_price' => 150,
+            'change_percentage' => 1.25,
+        ]);
+
+        $response = $this->get('/api/stocks/stream');
+
+        $response->assertStatus(200);
+        $this->assertStringStartsWith('text/event-stream', $response->headers->get('Content-Type'));
+
+        $content = $response->streamedContent();
+        $this->assertStringContainsString("event: prices\n", $content);
+        $this->assertStringContainsString('"symbol":"AAPL"', $content);
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Stock;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class StockIndexSortTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Stock::create(['symbol' => 'AAA', 'name' => 'Alpha', 'current_price' => 50, 'change_percentage' => -2]);
+        Stock::create(['symbol' => 'BBB', 'name' => 'Bravo', 'current_price' => 10, 'change_percentage' => 5]);
+        Stock::create(['symbol' => 'CCC', 'name' => 'Charlie', 'current_price' => 30, 'change_percentage' => 1]);
+    }
+
+    public function test_stocks_can_be_sorted_by_price_descending()
+    {
+        $response = $this->getJson('/api/stocks?sort=-price');
+
+        $response->assertStatus(200);
+        $this->assertSame(['AAA', 'CCC', 'BBB'], array_column($response->json('data'), 'symbol'));
+    }
+
+    public function test_stocks_can_be_sorted_by_daily_change()
+    {
+        $response = $this->getJson('/api/stocks?sort=change');
+
+        $response->assertStatus(200);
+        $this->assertSame(['AAA', 'CCC', 'BBB'], array_column($response->json('data'), 'symbol'));
+    }
+
+    public function test_unknown_sort_is_rejected()
+    {
+        $this->getJson('/api/stocks?sort=name')->assertStatus(422);
+    }
+}
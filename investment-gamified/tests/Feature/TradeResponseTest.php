@@ -0,0 +1,35 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Stock;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+use Tests\TestCase;
+
+class TradeResponseTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_trade_response_includes_execution_price()
+    {
+        Stock::create([
+            'symbol' => 'TEST',
+            'name' => 'Test Stock',
+            'current_price' => 25.50,
+            'change_percentage' => 0,
+        ]);
+
+        Sanctum::actingAs(User::factory()->create(['balance' => 1000]));
+
+        $this->postJson('/api/portfolio/buy', ['stock_symbol' => 'TEST', 'quantity' => 2])
+            ->assertStatus(200)
+            ->assertJsonPath('data.price', 25.5)
+            ->assertJsonPath('data.xp_earned', (int) config('game.xp.buy_reward', 10));
+
+        $this->postJson('/api/portfolio/sell', ['stock_symbol' => 'TEST', 'quantity' => 1])
+            ->assertStatus(200)
+            ->assertJsonPath('data.price', 25.5);
+    }
+}
@@ -11,6 +11,9 @@ class WelcomePageTest extends TestCase
 
     public function test_welcome_page_shows_custom_content()
     {
+        // The page loads its scripts through @vite; no manifest without a build
+        $this->withoutVite();
+
         $response = $this->get('/');
 
         $response->assertStatus(200);